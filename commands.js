@@ -3,8 +3,20 @@
 // Recycle a creep
 Creep.action.recycling.assign(Game.creeps['<creepName>']);
 
+// (re)plan the base layout of a room, optionally around a given core center
+Game.rooms['<roomName>'].planLayout();
+Game.rooms['<roomName>'].planLayout(new RoomPosition(25, 25, '<roomName>'));
+// drop a planned base layout
+delete Memory.rooms['<roomName>'].layout;
+// redraw the rampart and wall barrier of a room
+delete Memory.rooms['<roomName>'].barrier;
+
 // flush road construction traces
 _.forEach(Memory.rooms, r => delete r.roadConstructionTrace);
+// measure Memory now and list the biggest keys and rooms (see MEMORY_GOVERNOR)
+MemoryGovernor.measure(); MemoryGovernor.report();
+// remove stale rooms, task entries, creep memory and traces now
+JSON.stringify(MemoryGovernor.collect());
 
 // remove all construction Sites
 _.forEach(Game.constructionSites, s => s.remove());
@@ -53,6 +65,11 @@ Game.market.createOrder(type, resourceType, price, totalAmount, roomName);
 //accept market sell or buy order
 Game.market.deal(orderId, amount, roomName);
 
+// rolling average market price of a resource (requires MARKET.ENABLED)
+Market.averagePrice(RESOURCE_CATALYST);
+// flush the market price history
+Market.history = {}; Market.historyDirty = true;
+
 //flush visuals heatmap
 _.forEach(Memory.rooms, r => delete r.heatmap);
 
@@ -66,6 +83,94 @@ Game.rooms['<roomName>'].setStore('<structure>', '<resource>', '<amount>');
 //resource management - one off amount in container
 Game.rooms['<roomName>'].placeOrder('<structure>', '<resource>', '<amount>');
 
+// show planned terminal transfers (requires LOGISTICS.ENABLED)
+JSON.stringify(Memory.logistics);
+// replan terminal transfers now
+Room.planLogistics();
+
+// run the reaction planner now (requires REACTION_PLANNER.ENABLED to keep going)
+Room.planReactions();
+// list the reactions missing for REACTION_PLANNER.TARGETS
+(() => { const schedule = []; const stock = Room.getReactionStock(_.filter(Game.rooms, r => r.my)); _.forEach(REACTION_PLANNER.TARGETS, (a, c) => Room.expandReaction(c, a, stock, schedule)); return JSON.stringify(schedule); })();
+
+// show labs reserved for boosting creeps (requires BOOST_REQUESTS.ENABLED)
+JSON.stringify(Game.rooms['<roomName>'].memory.resources.lab.filter(l => l.boost));
+// release a boost lab
+Game.rooms['<roomName>'].releaseBoostLab('<labId>');
+
+// show running power bank operations (requires POWER_MINING.ENABLED)
+JSON.stringify(Memory.tasks.power);
+// abort a power bank operation
+Task.clearMemory('power', '<roomName>');
+
+// show recorded deposits and running harvesting operations (requires DEPOSIT_MINING.ENABLED)
+JSON.stringify(Memory.tasks.deposit);
+
+// show what a factory produces (requires FACTORY.ENABLED)
+Game.rooms['<roomName>'].memory.factory.production;
+// choose the factory production now
+Game.rooms['<roomName>'].planFactory();
+
+// queue a nuke strike of <count> nukers landing together, optionally at game tick <landAt> (requires NUKER.ENABLED)
+Room.queueNuke('<roomName>', x, y, count, landAt);
+// show queued targets and launched nukes with their landing tick
+JSON.stringify({targets: Memory.nukeTargets, launches: Memory.nukeLaunches});
+// drop queued strikes on a room
+Room.cancelNuke('<roomName>');
+
+// have a squad flag (red/orange) send quads instead of SQUADS.DEFAULT_TYPE
+Game.flags['<flagName>'].memory.squadType = 'quad';
+// show the state of a flag's squad
+JSON.stringify(Memory.tasks.squad['<flagName>']);
+
+// show breach, tower damage and the progress of each wave of a siege flag (orange/red)
+JSON.stringify(Memory.tasks.siege['<flagName>']);
+
+// show what is known about a room we don't have vision of (requires INTEL.ENABLED)
+JSON.stringify(Room.getIntel('<roomName>'));
+// list rooms last seen owned by a player
+_.keys(Room.findIntel({owner: '<playerName>'}));
+// list rooms with hostile towers seen within the last 10000 ticks
+_.keys(Room.findIntel(i => i.towers > 0 && Game.time - i.lastSeen < 10000));
+// show which room each scout explores next (requires SCOUTING.ENABLED)
+_.filter(Game.creeps, c => c.data && c.data.creepType === 'scout').map(c => [c.name, c.data.scoutRoom]);
+// show lairs, keepers and spawn ticks of a source keeper mining room (flag green/cyan)
+JSON.stringify(Memory.tasks.skMining['<roomName>']);
+// show the remote mining flags a room placed (requires REMOTE_MINING.ENABLED)
+JSON.stringify(Game.rooms['<roomName>'].memory.remotes);
+// score a neighbour for remote mining
+JSON.stringify(Game.rooms['<roomName>'].scoreRemote('<remoteRoomName>'));
+// list the best expansion candidates with their scores (rooms need intel, see INTEL.ENABLED)
+Room.expansionCandidates().slice(0, 5).map(c => JSON.stringify(c));
+// log the expansion suggestions, or claim the best room with EXPANSION.AUTO_CLAIM
+Room.planExpansion();
+
+// show cpu average, interval and postponed count of every scheduled job (requires SCHEDULER.ENABLED)
+_.map(Scheduler.jobs, j => `${j.name}: ${_.round(j.average || 0, 2)} cpu, every ${j.interval}, postponed ${j.postponed}`);
+// log starved and over budget jobs now
+Scheduler.report();
+
+// record snapshots and intents of rooms and creeps for 50 ticks, the recording is kept in a memory segment
+Recorder.start({rooms: ['<roomName>'], creeps: ['<creepName>'], ticks: 50});
+// stop the recording early
+Recorder.stop();
+// show a recorded tick (and draw its creeps), then step through the following ones
+Recorder.show('<tick>');
+Recorder.step();
+Recorder.step(-1);
+// copy the recording, its rooms and the memory into files to replay them offline with test/replay.js
+JSON.stringify(Recorder.snapshots);
+JSON.stringify(Recorder.fixture());
+JSON.stringify(Memory);
+
+// show the segments of every dataset and how many of them hold data
+JSON.stringify(Memory.segments);
+// read a dataset kept in memory segments, undefined until it has been loaded (a tick or two)
+OCSMemory.get('roomIntel');
+
+// check if safe mode may be activated automatically in a room (SAFE_MODE.ENABLED, not listed in SAFE_MODE.NEVER, charges and cooldown)
+Game.rooms['<roomName>'].canActivateSafeMode();
+
 // Order all labs to store 2000 energy
 _.values(Game.structures).filter(i=>i.structureType==='lab').map(i=>i.room.setStore(i.id, RESOURCE_ENERGY, 2000));
 
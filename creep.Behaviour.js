@@ -113,6 +113,17 @@ const Behaviour = function(name) {
     this.assign = function(creep) {
         creep.data.creepType = this.name;
     };
+    // the creep remembered in creep.data.partner, otherwise the first of the candidates matching the filter
+    this.findPartner = function(creep, filter, candidates = Game.creeps) {
+        if (creep.data.partner) {
+            const partner = Game.creeps[creep.data.partner];
+            if (partner) return partner;
+            delete creep.data.partner;
+        }
+        const partner = _.find(candidates, c => c !== creep && c.data && c.data.destiny && filter(c.data.destiny));
+        if (partner) creep.data.partner = partner.name;
+        return partner;
+    };
     this.strategies = {
         defaultStrategy: {
             name: `default-${this.name}`,
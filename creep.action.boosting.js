@@ -72,6 +72,42 @@ function work(creep) {
 }
 action.work = work;
 
+/**
+ * Moves the creep through the labs reserved by Room.reserveBoostLabs.
+ * Returns true while the creep is busy with requested boosts.
+ */
+function requested(creep) {
+    const room = Game.rooms[creep.data.homeRoom];
+    creep.data.boostLabs = creep.data.boostLabs.filter(labId => {
+        const data = room && room.memory.resources && room.memory.resources.lab.find(l => l.id === labId);
+        const boost = data && data.reactionState === LAB_BOOST && data.boost;
+        if (!boost || boost.creepName !== creep.name) return false;
+        if (!Game.getObjectById(labId) || Game.time > boost.until || !canBoostType(creep, getBoostPartType(boost.type))) {
+            room.releaseBoostLab(labId);
+            return false;
+        }
+        return true;
+    });
+    if (creep.data.boostLabs.length === 0) {
+        delete creep.data.boostLabs;
+        return false;
+    }
+    const lab = _.min(creep.data.boostLabs.map(id => Game.getObjectById(id)), l => creep.pos.getRangeTo(l));
+    if (creep.pos.isNearTo(lab)) {
+        const boost = room.memory.resources.lab.find(l => l.id === lab.id).boost;
+        // wait for the labTech to load the lab
+        if (lab.mineralType === boost.type && lab.mineralAmount >= LAB_BOOST_MINERAL && lab.energy >= LAB_BOOST_ENERGY) {
+            const result = lab.boostCreep(creep);
+            if (global.DEBUG) logSystem(room.name, `Boosting ${creep.name} with ${boost.type}: ${translateErrorCode(result)}`);
+            if (result !== OK) room.releaseBoostLab(lab.id);
+        }
+    } else {
+        creep.travelTo(lab, {range: 1});
+    }
+    return true;
+}
+action.requested = requested;
+
 function onAssignment(creep) {
     if (SAY_ASSIGNMENT) creep.say(ACTION_SAY.BOOSTING, global.SAY_PUBLIC);
 }
@@ -4,7 +4,7 @@ action.maxPerTarget = 1;
 action.maxPerAction = 1;
 action.targetRange = 3;
 action.isValidAction = function(creep){
-    return (creep.carry.energy > 0 && ( (!creep.room.storage || !creep.room.storage.active) || creep.room.storage.charge > 0.6 ));
+    return (creep.carry.energy > 0 && ( (!creep.room.storage || !creep.room.storage.active) || creep.room.storage.charge > 0.6 || creep.room.nukeFortifyable.length > 0 ));
 };
 action.isValidTarget = function(target){
     return ( target && target.active && target.hits && target.hits < target.hitsMax);
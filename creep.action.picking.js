@@ -9,12 +9,12 @@ action.isValidTarget = function(target){
     return (target != null && target.amount != null && target.amount > 0);
 };
 action.isAddableAction = function(creep){
-    if( creep.data.creepType.indexOf('remote') > 0 ) return true;
+    if( creep.data.creepType.indexOf('remote') > 0 || ['powerHauler', 'depositHauler'].includes(creep.data.creepType) ) return true;
     else return (this.maxPerAction === Infinity || !creep.room.population || !creep.room.population.actionCount[this.name] || creep.room.population.actionCount[this.name] < this.maxPerAction);
 };
 action.isAddableTarget = function(target, creep){
     let max;
-    if( creep.data.creepType.indexOf('remote') > 0 ) max = Infinity;
+    if( creep.data.creepType.indexOf('remote') > 0 || ['powerHauler', 'depositHauler'].includes(creep.data.creepType) ) max = Infinity;
     else max =  this.maxPerTarget;
     let pickers = target.targetOf ? _.filter(target.targetOf, {actionName: 'picking'}) : [];
     return (!target.targetOf || !pickers.length || ((pickers.length < max) && target.amount > _.sum( pickers.map( t => t.carryCapacityLeft))));
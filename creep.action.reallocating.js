@@ -49,6 +49,24 @@ action.findNeeding = function(room, resourceType, amountMin, structureId){
             }
         }
     }
+    const nukers = room.structures.nukers.all;
+    if (nukers.length > 0) {
+        for (let i = 0; i < nukers.length; i++) {
+            const nuker = Game.getObjectById(nukers[i].id);
+            let amount = 0;
+            if (nuker) amount = nuker.getNeeds(resourceType);
+            if (amount >= amountMin && (resourceType == RESOURCE_GHODIUM || resourceType == RESOURCE_ENERGY) && nuker.id != structureId) {
+                return { structure: nuker, amount: amount};
+            }
+        }
+    }
+    const factory = room.structures.factory;
+    if (factory) {
+        let amount = factory.getNeeds(resourceType);
+        if (amount >= amountMin && factory.id != structureId) {
+            return { structure: factory, amount: amount };
+        }
+    }
     const containers = room.structures.container.all;
     if (containers.length > 0) {
         for (let i = 0; i < containers.length; i++) {
@@ -250,6 +268,76 @@ action.newTargetPowerSpawn = function(creep) {
     }
     return null;
 };
+action.newTargetNuker = function(creep) {
+    const room = creep.room;
+    const nukers = room.structures.nukers.all;
+    // check nukers for needs, they only get loaded
+    for (var i = 0; i < nukers.length; i++) {
+        const nuker = Game.getObjectById(nukers[i].id);
+        if (!nuker) continue;
+        for (const type of [RESOURCE_GHODIUM, RESOURCE_ENERGY]) {
+            let amount = nuker.getNeeds(type);
+            if (amount > 0) {
+                if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, structureId: nuker.id, resourceType: type, needs: amount });
+                if (room.storage && room.storage.active && room.storage.store[type] && !(type == RESOURCE_ENERGY && room.storage.charge < 0.5)) {
+                    if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, targetStructureId: room.storage.id, resourceType: type, targetNeeds: room.storage.store[type] });
+                    creep.data.reallocating = type;
+                    return room.storage;
+                }
+                if (room.terminal && room.terminal.active && room.terminal.getNeeds(type) < 0) {
+                    if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, targetStructureId: room.terminal.id, resourceType: type, targetNeeds: room.terminal.store[type] });
+                    creep.data.reallocating = type;
+                    return room.terminal;
+                }
+            }
+        }
+    }
+    return null;
+};
+action.newTargetFactory = function(creep) {
+    const room = creep.room;
+    const factory = room.structures.factory;
+    if (!factory) return null;
+    // check contents for products and components no longer needed
+    for (var resource in factory.store) {
+        var needs = factory.getNeeds(resource);
+        if (resource && needs < 0) {
+            if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, structureId: factory.id, resourceType: resource, needs: needs });
+            var needing = this.findNeeding(room, resource, 1, factory.id);
+            if (needing) {
+                if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, targetStructureId: needing.structure.id, resourceType: resource, targetNeeds: needing.amount });
+                creep.data.reallocating = resource;
+                return factory;
+            }
+        }
+    }
+    // check orders for components
+    if (room.memory.resources && room.memory.resources.factory) {
+        let factoryData = room.memory.resources.factory.find( (s) => s.id == factory.id );
+        if (factoryData) {
+            let orders = factoryData.orders;
+            for (var j = 0; j < orders.length; j++) {
+                let type = orders[j].type;
+                let amount = factory.getNeeds(type);
+                if (amount > 0) {
+                    // found a needed resource so check lower priority containers
+                    if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, structureId: factory.id, resourceType: type, needs: amount });
+                    if (room.storage && room.storage.active && room.storage.store[type] && !(type == RESOURCE_ENERGY && room.storage.charge < 0.5)) {
+                        if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, targetStructureId: room.storage.id, resourceType: type, targetNeeds: room.storage.store[type] });
+                        creep.data.reallocating = type;
+                        return room.storage;
+                    }
+                    if (room.terminal && room.terminal.active && room.terminal.getNeeds(type) < 0) {
+                        if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating', roomName: room.name, creepName: creep.name, targetStructureId: room.terminal.id, resourceType: type, targetNeeds: room.terminal.store[type] });
+                        creep.data.reallocating = type;
+                        return room.terminal;
+                    }
+                }
+            }
+        }
+    }
+    return null;
+};
 action.newTargetContainer = function(creep) {
     const room = creep.room;
     const containers = room.structures.container.all;
@@ -391,6 +479,8 @@ action.newTarget = function(creep){
         if (data) {
             target = this.newTargetLab(creep);
             if (target === null) target = this.newTargetPowerSpawn(creep);
+            if (target === null) target = this.newTargetNuker(creep);
+            if (target === null) target = this.newTargetFactory(creep);
             if (target === null) target = this.newTargetContainer(creep);
             if (target === null) target = this.newTargetTerminal(creep);
             if (target === null) target = this.newTargetStorage(creep);
@@ -486,6 +576,35 @@ action.unloadPowerSpawn = function(creep) {
     } else this.cancelAction(creep);
     return workResult;
 };
+action.unloadFactory = function(creep) {
+    let target = creep.target;
+    let room = creep.room;
+    var workResult = null;
+    var resource = null;
+    var amount = 0;
+    // take out products and components no longer needed
+    let store = Object.keys(target.store);
+    if (creep.data.reallocating) {
+        store.unshift(creep.data.reallocating);
+        delete creep.data.reallocating;
+    }
+    for (let i=0;i<store.length;i++) {
+        let res = store[i];
+        amount = -target.getNeeds(res);
+        if (amount > 0 && this.findNeeding(room, res, 1, target.id)) {
+            resource = res;
+            break;
+        }
+    }
+    if (resource) {
+        workResult = this.unloadStructure(creep, target, resource, amount);
+    }
+    if (DEBUG && TRACE) trace('Action', { actionName: 'reallocating-unloadFactory', roomName: room.name, creepName: creep.name, structureId: target.id, resourceType: resource, needs: amount, workResult });
+    if (workResult == OK) {
+        this.assignDropOff(creep, resource);
+    } else this.cancelAction(creep);
+    return workResult;
+};
 action.unloadContainer = function(creep) {
     let target = creep.target;
     var workResult = null;
@@ -759,6 +878,13 @@ action.work = function(creep) {
                 // cannot unload a powerSpawn
                 this.cancelAction(creep);
                 break;
+            case STRUCTURE_NUKER:
+                // cannot unload a nuker
+                this.cancelAction(creep);
+                break;
+            case STRUCTURE_FACTORY:
+                workResult = this.unloadFactory(creep);
+                break;
             case STRUCTURE_CONTAINER:
                 workResult = this.unloadContainer(creep);
                 break;
@@ -780,6 +906,14 @@ action.work = function(creep) {
             case STRUCTURE_POWER_SPAWN:
                 workResult = this.loadPowerSpawn(creep);
                 break;
+            case STRUCTURE_NUKER:
+                // nuker orders work like container orders
+                workResult = this.loadContainer(creep);
+                break;
+            case STRUCTURE_FACTORY:
+                // factory orders work like container orders
+                workResult = this.loadContainer(creep);
+                break;
             case STRUCTURE_CONTAINER:
                 workResult = this.loadContainer(creep);
                 break;
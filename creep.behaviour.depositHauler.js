@@ -0,0 +1,34 @@
+const mod = new Creep.Behaviour('depositHauler');
+module.exports = mod;
+mod.nextAction = function(creep) {
+    const destiny = creep.data.destiny;
+    const depositRoom = Game.rooms[destiny.room];
+    const active = Task.deposit.isActive(destiny.targetName);
+    const type = Task.deposit.memory(destiny.targetName).type;
+    const loot = depositRoom && _.some(depositRoom.droppedResources, {resourceType: type});
+    // time left to get home
+    const returning = creep.ticksToLive < routeRange(destiny.room, creep.data.homeRoom) * 50 + 50;
+
+    // full or nothing left to pick up: bring it home
+    if (creep.sum > 0 && (creep.sum === creep.carryCapacity || returning || (!active && !loot))) {
+        if (creep.pos.roomName !== creep.data.homeRoom) return Creep.action.travelling.assignRoom(creep, creep.data.homeRoom);
+        if (this.assignAction(creep, 'storing')) return;
+        return this.assignAction(creep, 'idle');
+    }
+    if (!returning && (active || loot || !depositRoom)) {
+        if (creep.pos.roomName !== destiny.room) return Creep.action.travelling.assignRoom(creep, destiny.room);
+        if (loot && this.assignAction(creep, 'picking')) return;
+        // wait next to the deposit for the harvesters
+        const deposit = Game.getObjectById(destiny.targetName);
+        if (deposit && creep.pos.getRangeTo(deposit) > 2) {
+            creep.data.travelRange = 2;
+            return this.assignAction(creep, 'travelling', deposit);
+        }
+        return this.assignAction(creep, 'idle');
+    }
+    return this.assignAction(creep, 'recycling');
+};
+mod.strategies.picking = {
+    name: `picking-${mod.name}`,
+    energyOnly: false
+};
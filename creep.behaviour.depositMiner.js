@@ -0,0 +1,30 @@
+const mod = new Creep.Behaviour('depositMiner');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const deposit = Game.getObjectById(creep.data.destiny.targetName);
+    if (deposit && deposit.pos.roomName === creep.pos.roomName) {
+        if (!creep.pos.isNearTo(deposit)) {
+            creep.travelTo(deposit, {range: 1});
+            return;
+        }
+        // hand the load over to the haulers
+        if (creep.sum > 0 && (creep.sum === creep.carryCapacity || creep.ticksToLive < 2)) {
+            const hauler = creep.pos.findInRange(creep.room.creeps, 1).find(c => c.data && c.data.creepType === 'depositHauler' && c.sum < c.carryCapacity);
+            if (hauler) creep.transfer(hauler, deposit.depositType);
+            else creep.drop(deposit.depositType);
+        } else if (deposit.cooldown === 0) {
+            creep.harvest(deposit);
+        }
+        return;
+    }
+    super_run.call(this, creep);
+};
+mod.nextAction = function(creep) {
+    const roomName = creep.data.destiny.room;
+    if (Task.deposit.isActive(creep.data.destiny.targetName)) {
+        if (creep.pos.roomName !== roomName) return Creep.action.travelling.assignRoom(creep, roomName);
+        return this.assignAction(creep, 'idle');
+    }
+    return this.assignAction(creep, 'recycling');
+};
@@ -0,0 +1,37 @@
+const mod = new Creep.Behaviour('keeperKiller');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const roomName = creep.data.destiny.targetName;
+    if (!Task.skMining.isActive(roomName)) {
+        if (creep.hits < creep.hitsMax) creep.heal(creep);
+        super_run.call(this, creep);
+        return;
+    }
+    if (creep.pos.roomName !== roomName) {
+        if (creep.hits < creep.hitsMax) creep.heal(creep);
+        creep.travelTo(new RoomPosition(25, 25, roomName), {range: 20});
+        return;
+    }
+    const keepers = creep.room.hostiles.filter(c => c.owner.username === 'Source Keeper');
+    const keeper = creep.pos.findClosestByRange(keepers);
+    if (keeper) {
+        if (!creep.pos.isNearTo(keeper)) creep.travelTo(keeper, {range: 1, ignoreCreeps: false});
+        // heal wins over attack in the same tick, only heal when it's needed
+        if (creep.pos.isNearTo(keeper) && creep.hits >= creep.hitsMax * SK_MINING.KILLER_HEAL_RATIO) creep.attack(keeper);
+        else if (creep.hits < creep.hitsMax) creep.heal(creep);
+        return;
+    }
+    // wait at the lair spawning next
+    if (creep.hits < creep.hitsMax) creep.heal(creep);
+    const memory = Task.skMining.memory(roomName);
+    const next = _.min(_.filter(memory.lairs, lair => lair.spawnAt !== null), 'spawnAt');
+    if (next && next.x !== undefined) {
+        const pos = new RoomPosition(next.x, next.y, roomName);
+        if (!creep.pos.isNearTo(pos)) creep.travelTo(pos, {range: 1});
+    }
+};
+mod.nextAction = function(creep) {
+    // mining called off
+    return this.assignAction(creep, 'recycling');
+};
@@ -0,0 +1,31 @@
+const mod = new Creep.Behaviour('powerHauler');
+module.exports = mod;
+mod.nextAction = function(creep) {
+    const destiny = creep.data.destiny;
+    const bankRoom = Game.rooms[destiny.targetName];
+    const active = Task.power.isActive(destiny.targetName);
+    const loot = bankRoom && _.some(bankRoom.droppedResources, {resourceType: RESOURCE_POWER});
+
+    // full or nothing left to pick up: deliver
+    if (creep.sum > 0 && (creep.sum === creep.carryCapacity || (!active && !loot))) {
+        if (creep.pos.roomName !== destiny.deliverRoom) return Creep.action.travelling.assignRoom(creep, destiny.deliverRoom);
+        if (this.assignAction(creep, 'storing')) return;
+        return this.assignAction(creep, 'idle');
+    }
+    if (active || loot || !bankRoom) {
+        if (creep.pos.roomName !== destiny.targetName) return Creep.action.travelling.assignRoom(creep, destiny.targetName);
+        if (loot && this.assignAction(creep, 'picking')) return;
+        // wait near the bank until it breaks
+        const bank = Game.getObjectById(destiny.bankId);
+        if (bank && creep.pos.getRangeTo(bank) > 3) {
+            creep.data.travelRange = 3;
+            return this.assignAction(creep, 'travelling', bank);
+        }
+        return this.assignAction(creep, 'idle');
+    }
+    return this.assignAction(creep, 'recycling');
+};
+mod.strategies.picking = {
+    name: `picking-${mod.name}`,
+    energyOnly: false
+};
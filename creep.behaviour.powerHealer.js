@@ -0,0 +1,27 @@
+const mod = new Creep.Behaviour('powerHealer');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const partner = this.getPartner(creep);
+    if (partner && partner.pos.roomName === creep.pos.roomName && creep.pos.roomName === creep.data.destiny.targetName) {
+        if (!creep.pos.isNearTo(partner)) creep.travelTo(partner, {range: 1});
+        if (partner.hits < partner.hitsMax && creep.pos.isNearTo(partner)) creep.heal(partner);
+        else if (creep.hits < creep.hitsMax) creep.heal(creep);
+        return;
+    }
+    if (creep.hits < creep.hitsMax) creep.heal(creep);
+    super_run.call(this, creep);
+};
+// the attacker spawned for the same pair
+mod.getPartner = function(creep) {
+    const destiny = creep.data.destiny;
+    return this.findPartner(creep, d => d.task === 'power' && d.role === 'attacker' && d.targetName === destiny.targetName && d.pair === destiny.pair);
+};
+mod.nextAction = function(creep) {
+    const roomName = creep.data.destiny.targetName;
+    if (Task.power.isActive(roomName)) {
+        if (creep.pos.roomName !== roomName) return Creep.action.travelling.assignRoom(creep, roomName);
+        return this.assignAction(creep, 'idle');
+    }
+    return this.assignAction(creep, 'recycling');
+};
@@ -0,0 +1,21 @@
+const mod = new Creep.Behaviour('powerMiner');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const bank = Game.getObjectById(creep.data.destiny.bankId);
+    if (bank && bank.pos.roomName === creep.pos.roomName) {
+        if (!creep.pos.isNearTo(bank)) creep.travelTo(bank, {range: 1});
+        // hold back until the healer caught up with the reflected damage
+        else if (creep.hits >= creep.hitsMax / 2) creep.attack(bank);
+        return;
+    }
+    super_run.call(this, creep);
+};
+mod.nextAction = function(creep) {
+    const roomName = creep.data.destiny.targetName;
+    if (Task.power.isActive(roomName)) {
+        if (creep.pos.roomName !== roomName) return Creep.action.travelling.assignRoom(creep, roomName);
+        return this.assignAction(creep, 'idle');
+    }
+    return this.assignAction(creep, 'recycling');
+};
@@ -0,0 +1,49 @@
+const mod = new Creep.Behaviour('scout');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const destiny = creep.data.destiny;
+    if (!SCOUTING.ENABLED) {
+        super_run.call(this, creep);
+        return;
+    }
+    // arrived: the room gets recorded by the intel module, look for the next one
+    if (!creep.data.scoutRoom || (creep.pos.roomName === creep.data.scoutRoom && !this.signing(creep))) {
+        creep.data.scoutRoom = Task.scout.nextTarget(destiny.homeRoom, creep);
+        if (!creep.data.scoutRoom) {
+            super_run.call(this, creep);
+            return;
+        }
+    }
+    if (creep.pos.roomName === creep.data.scoutRoom) return;
+    creep.travelTo(new RoomPosition(25, 25, creep.data.scoutRoom), {
+        range: 20,
+        routeCallback: this.routeCallback(creep.pos.roomName, creep.data.scoutRoom),
+    });
+};
+// neutral controllers get our sign if SCOUTING.SIGN is set. true while walking there
+mod.signing = function(creep) {
+    const controller = creep.room.controller;
+    if (!SCOUTING.SIGN || !CONTROLLER_SIGN || !controller || controller.owner || controller.reservation) return false;
+    const signMessage = Util.fieldOrFunction(CONTROLLER_SIGN_MESSAGE, creep.room);
+    const sign = controller.sign;
+    if (sign && sign.username === creep.owner.username && (!CONTROLLER_SIGN_UPDATE || sign.text === signMessage)) return false;
+    if (creep.pos.isNearTo(controller)) {
+        creep.controllerSign();
+        return false;
+    }
+    creep.travelTo(controller, {range: 1});
+    return true;
+};
+// keep out of rooms with known hostile towers
+mod.routeCallback = function(origin, destination) {
+    const callback = Room.routeCallback(origin, destination, {});
+    return roomName => {
+        if (roomName !== destination && Task.scout.isDangerous(roomName)) return Number.POSITIVE_INFINITY;
+        return callback(roomName);
+    };
+};
+mod.nextAction = function(creep) {
+    // nothing left to explore
+    return this.assignAction(creep, 'recycling');
+};
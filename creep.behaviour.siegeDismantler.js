@@ -0,0 +1,46 @@
+const mod = new Creep.Behaviour('siegeDismantler');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const destiny = creep.data.destiny;
+    const flag = Game.flags[destiny.targetName];
+    const memory = Task.siege.memory(destiny.targetName);
+    if (!flag || memory.wave !== destiny.wave) {
+        super_run.call(this, creep);
+        return;
+    }
+    // back off to get healed up, the healers follow
+    if (creep.hits < creep.hitsMax * SIEGE.RETREAT_RATIO) creep.data.retreating = true;
+    else if (creep.hits === creep.hitsMax) delete creep.data.retreating;
+    const roomName = flag.pos.roomName;
+    if (creep.data.retreating) {
+        if (creep.pos.roomName === roomName) creep.travelTo(new RoomPosition(25, 25, memory.spawnRoom), {range: 20});
+        return;
+    }
+    if (creep.pos.roomName !== roomName) {
+        // enter together with the healers
+        const healers = Task.siege.team(destiny.targetName, destiny.team).filter(c => c.data.destiny.role === 'healer');
+        if (!creep.data.gathered) {
+            const wave = _.last(memory.waves);
+            if (!wave || healers.length < wave.healers || _.some(healers, 'spawning')) return;
+            creep.data.gathered = true;
+        }
+        if (!_.every(healers, c => c.pos.inRangeTo(creep, 2))) return;
+        creep.travelTo(flag, {range: 1});
+        return;
+    }
+    const target = Game.getObjectById(memory.targetId);
+    if (!target) {
+        if (!creep.pos.inRangeTo(flag, 1)) creep.travelTo(flag, {range: 1});
+        return;
+    }
+    if (!creep.pos.isNearTo(target)) {
+        creep.travelTo(target, {range: 1});
+        return;
+    }
+    if (creep.dismantle(target) === OK && memory.state === 'forming') memory.state = 'attacking';
+};
+mod.nextAction = function(creep) {
+    // siege called off or replaced by a newer wave
+    return this.assignAction(creep, 'recycling');
+};
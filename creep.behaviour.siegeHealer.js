@@ -0,0 +1,31 @@
+const mod = new Creep.Behaviour('siegeHealer');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const destiny = creep.data.destiny;
+    const partner = this.getPartner(creep);
+    if (!Game.flags[destiny.targetName] || !partner) {
+        if (creep.hits < creep.hitsMax) creep.heal(creep);
+        super_run.call(this, creep);
+        return;
+    }
+    if (!creep.pos.isNearTo(partner)) creep.travelTo(partner, {range: 1});
+    // the dismantler first, then whoever of the team is hurt most
+    let target = partner.hits < partner.hitsMax ? partner : null;
+    if (!target) {
+        const injured = Task.siege.team(destiny.targetName, destiny.team).filter(c => c.hits < c.hitsMax && creep.pos.inRangeTo(c, 3));
+        target = _.min(injured, c => c.hits / c.hitsMax);
+    }
+    if (target && target.name && creep.pos.isNearTo(target)) creep.heal(target);
+    else if (target && target.name) creep.rangedHeal(target);
+    else creep.heal(creep);
+};
+// the dismantler spawned for the same team
+mod.getPartner = function(creep) {
+    const destiny = creep.data.destiny;
+    return this.findPartner(creep, d => d.role === 'dismantler' && d.wave === destiny.wave, Task.siege.team(destiny.targetName, destiny.team));
+};
+mod.nextAction = function(creep) {
+    // siege called off or the dismantler is gone
+    return this.assignAction(creep, 'recycling');
+};
@@ -0,0 +1,37 @@
+const mod = new Creep.Behaviour('skHauler');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const roomName = creep.data.destiny.targetName;
+    // stay clear of the keepers, whatever the current action
+    if (creep.pos.roomName === roomName && Task.skMining.retreat(creep, Task.skMining.memory(roomName))) return;
+    super_run.call(this, creep);
+};
+mod.nextAction = function(creep) {
+    const roomName = creep.data.destiny.targetName;
+    const room = Game.rooms[roomName];
+    const memory = Task.skMining.memory(roomName);
+    const active = Task.skMining.isActive(roomName);
+    // loot lying next to a target whose keeper is dead
+    const loot = room && _.some(memory.targets, target => Task.skMining.isSafe(memory, target) &&
+        room.lookForAtArea(LOOK_RESOURCES, target.y - 1, target.x - 1, target.y + 1, target.x + 1, true).length > 0);
+    // time left to get home
+    const returning = creep.ticksToLive < routeRange(roomName, creep.data.homeRoom) * 50 + 50;
+
+    // full or nothing left to pick up: bring it home
+    if (creep.sum > 0 && (creep.sum === creep.carryCapacity || returning || !active)) {
+        if (creep.pos.roomName !== creep.data.homeRoom) return Creep.action.travelling.assignRoom(creep, creep.data.homeRoom);
+        if (this.assignAction(creep, 'storing')) return;
+        return this.assignAction(creep, 'idle');
+    }
+    if (!returning && active) {
+        if (creep.pos.roomName !== roomName) return Creep.action.travelling.assignRoom(creep, roomName);
+        if (loot && this.assignAction(creep, 'picking')) return;
+        return this.assignAction(creep, 'idle');
+    }
+    return this.assignAction(creep, 'recycling');
+};
+mod.strategies.picking = {
+    name: `picking-${mod.name}`,
+    energyOnly: false
+};
@@ -0,0 +1,40 @@
+const mod = new Creep.Behaviour('skMiner');
+module.exports = mod;
+const super_run = mod.run;
+mod.run = function(creep) {
+    const destiny = creep.data.destiny;
+    const roomName = destiny.targetName;
+    const memory = Task.skMining.memory(roomName);
+    const target = _.find(memory.targets, {id: destiny.target});
+    if (!Task.skMining.isActive(roomName) || !target) {
+        super_run.call(this, creep);
+        return;
+    }
+    if (creep.pos.roomName !== roomName) {
+        creep.travelTo(new RoomPosition(25, 25, roomName), {range: 20});
+        return;
+    }
+    // only work while the keeper is dead
+    if (Task.skMining.retreat(creep, memory) || !Task.skMining.isSafe(memory, target)) return;
+    const resource = Game.getObjectById(target.id);
+    if (!resource) return;
+    if (!creep.pos.isNearTo(resource)) {
+        creep.travelTo(resource, {range: 1});
+        return;
+    }
+    if (target.mineral) {
+        const extractor = _.find(resource.pos.lookFor(LOOK_STRUCTURES), {structureType: STRUCTURE_EXTRACTOR});
+        if (!extractor || extractor.cooldown > 0 || resource.mineralAmount === 0) return;
+    }
+    // haulers pick up what gets dropped
+    if (creep.sum > 0 && creep.sum >= creep.carryCapacity - creep.getActiveBodyparts(WORK) * HARVEST_POWER) {
+        const hauler = creep.pos.findInRange(creep.room.creeps, 1).find(c => c.data && c.data.creepType === 'skHauler' && c.sum < c.carryCapacity);
+        if (hauler) creep.transfer(hauler, _.findKey(creep.carry));
+        else creep.drop(_.findKey(creep.carry));
+    }
+    creep.harvest(resource);
+};
+mod.nextAction = function(creep) {
+    // mining called off
+    return this.assignAction(creep, 'recycling');
+};
@@ -0,0 +1,42 @@
+const mod = new Creep.Behaviour('squad');
+module.exports = mod;
+const super_run = mod.run;
+const MASS_DAMAGE = {1: 10, 2: 4, 3: 1};
+mod.run = function(creep) {
+    const destiny = creep.data.destiny;
+    const flag = Game.flags[destiny.targetName];
+    if (!flag || Task.squad.memory(destiny.targetName).wave !== destiny.wave) {
+        super_run.call(this, creep);
+        return;
+    }
+    // the task moves the whole squad, members only fight
+    const memory = Task.squad.update(destiny.targetName);
+    if (destiny.role === 'healer') this.heal(creep, memory);
+    else this.attack(creep);
+};
+mod.heal = function(creep, memory) {
+    const target = Game.creeps[memory.healTarget];
+    if (target && creep.pos.isNearTo(target)) creep.heal(target);
+    else if (target && creep.pos.inRangeTo(target, 3)) creep.rangedHeal(target);
+    else creep.heal(creep);
+};
+mod.attack = function(creep) {
+    const hostiles = creep.pos.findInRange(creep.room.hostiles, 3);
+    // mass attack deals 10/4/1 per part at range 1/2/3, a single ranged attack 10
+    if (_.sum(hostiles, c => MASS_DAMAGE[Math.max(creep.pos.getRangeTo(c), 1)]) > MASS_DAMAGE[1]) {
+        creep.rangedMassAttack();
+        return;
+    }
+    let target = _.min(hostiles, 'hits');
+    if (!target || !target.id) {
+        if (creep.room.my || creep.room.ally) return;
+        target = _.min(creep.pos.findInRange(FIND_HOSTILE_STRUCTURES, 3, {
+            filter: s => s.structureType !== STRUCTURE_CONTROLLER
+        }), 'hits');
+    }
+    if (target && target.id) creep.rangedAttack(target);
+};
+mod.nextAction = function(creep) {
+    // squad called off or replaced
+    return this.assignAction(creep, 'recycling');
+};
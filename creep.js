@@ -78,8 +78,13 @@ mod.extend = function(){
             }
             if( global.DEBUG && global.TRACE ) trace('Creep', {creepName:this.name, pos:this.pos, Behaviour: behaviour && behaviour.name, Creep:'run'});
             if( behaviour ) {
-                behaviour.run(this);
-                p.checkCPU('behaviour.run', PROFILING.MIN_THRESHOLD);
+                // visit the labs reserved for this creep before starting its behaviour
+                if( this.data.boostLabs && Creep.action.boosting.requested(this) ) {
+                    p.checkCPU('boosting.requested', PROFILING.MIN_THRESHOLD);
+                } else {
+                    behaviour.run(this);
+                    p.checkCPU('behaviour.run', PROFILING.MIN_THRESHOLD);
+                }
             }
             else if(!this.data){
                 if( global.DEBUG && global.TRACE ) trace('Creep', {creepName:this.name, pos:this.pos, Creep:'run'}, 'memory init');
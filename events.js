@@ -45,6 +45,18 @@ mod.flush = function(){
     // param: room
     Room.collapsed = new LiteEvent();
 
+    // ocurrs every tick a power bank is visible
+    // param: power bank
+    Room.powerBankFound = new LiteEvent();
+
+    // ocurrs every tick a deposit is visible in a highway room
+    // param: deposit
+    Room.depositFound = new LiteEvent();
+
+    // ocurrs every SCOUTING.INTERVAL ticks for each owned room
+    // param: room
+    Room.explorationDue = new LiteEvent();
+
     // occurs when a room needs to rebuild its costMatrix
     Room.costMatrixInvalid = new LiteEvent();
     
@@ -438,6 +438,54 @@ mod.extend = function(){
         if (store > unloadTarget * 1.05) return unloadTarget-store;
         return 0;
     };
+    StructureNuker.prototype.getNeeds = function(resourceType) {
+        if (!this.room.memory.resources || !this.room.memory.resources.nuker) return 0;
+        let loadTarget = 0;
+
+        // look up resource and calculate needs, nukers can't be unloaded
+        let containerData = this.room.memory.resources.nuker.find( (s) => s.id == this.id );
+        if (containerData) {
+            let order = containerData.orders.find((o)=>{return o.type==resourceType;});
+            if (order) {
+                let amt = 0;
+                if (resourceType == RESOURCE_ENERGY) amt = this.energy;
+                else if (resourceType == RESOURCE_GHODIUM) amt = this.ghodium;
+                loadTarget = Math.max(order.orderRemaining + amt, order.storeAmount);
+            }
+        }
+        let store = 0;
+        let space = 0;
+        if (resourceType == RESOURCE_ENERGY) {
+            store = this.energy;
+            space = this.energyCapacity-this.energy;
+        } else if (resourceType == RESOURCE_GHODIUM) {
+            store = this.ghodium;
+            space = this.ghodiumCapacity-this.ghodium;
+        }
+        if (store < loadTarget) return Math.min(loadTarget-store,space);
+        return 0;
+    };
+    StructureFactory.prototype.getNeeds = function(resourceType) {
+        if (!this.room.memory.resources || !this.room.memory.resources.factory) return 0;
+        let loadTarget = 0;
+        let unloadTarget = 0;
+
+        // look up resource and calculate needs
+        let containerData = this.room.memory.resources.factory.find( (s) => s.id == this.id );
+        if (containerData) {
+            let order = containerData.orders.find((o)=>{return o.type==resourceType;});
+            if (order) {
+                loadTarget = Math.max(order.orderRemaining + (this.store[resourceType]||0), order.storeAmount);
+                unloadTarget = order.orderAmount + order.storeAmount;
+                if (unloadTarget < 0) unloadTarget = 0;
+            }
+        }
+        // resources without an order are products to take out
+        let store = this.store[resourceType] || 0;
+        if (store < loadTarget) return Math.min(loadTarget-store,FACTORY_CAPACITY-_.sum(this.store));
+        if (store > unloadTarget*1.05) return unloadTarget-store;
+        return 0;
+    };
 
     if( Memory.pavementArt === undefined ) Memory.pavementArt = {};
 };
@@ -55,6 +55,10 @@ mod.FLAG_COLOR = {
         attackController: { // attack enemy controller and then claim
             color: COLOR_RED,
             secondaryColor: COLOR_CYAN,
+        },
+        squad: { // send a squad moving in formation, flag.memory.squadType chooses the formation (duo or quad)
+            color: COLOR_RED,
+            secondaryColor: COLOR_ORANGE,
         }
     },
     //COLOR_PURPLE - Reserved labs
@@ -135,6 +139,10 @@ mod.FLAG_COLOR = {
             color: COLOR_GREEN,
             secondaryColor: COLOR_YELLOW,
         },
+        skMining: { // kill the source keepers and mine this center nine room
+            color: COLOR_GREEN,
+            secondaryColor: COLOR_CYAN,
+        },
     },
     //COLOR_YELLOW
     defense: { // point to gather troops
@@ -149,6 +157,10 @@ mod.FLAG_COLOR = {
             color: COLOR_ORANGE,
             secondaryColor: COLOR_YELLOW,
         },
+        siege: { // send dismantler and healer teams against a defended room
+            color: COLOR_ORANGE,
+            secondaryColor: COLOR_RED,
+        },
     },
     //COLOR_BROWN
     pavementArt: {
@@ -207,12 +219,6 @@ for (let a in REACTIONS) {
         mod.LAB_REACTIONS[REACTIONS[a][b]] = [a, b];
     }
 }
-mod.MEM_SEGMENTS = {
-    COSTMATRIX_CACHE: {
-        start: 99,
-        end: 95
-    }
-};
 // used to log something meaningful instead of numbers
 mod.translateErrorCode = function(code) {
     var codes = {
@@ -141,7 +141,11 @@ global.install = () => {
         Events: load('events'),
         OCSMemory: load('ocsMemory'),
         Grafana: GRAFANA ? load('grafana') : undefined,
+        Market: load('market'),
         Visuals: load('visuals'),
+        Scheduler: load('scheduler'),
+        Recorder: load('recorder'),
+        MemoryGovernor: load('memoryGovernor'),
     });
     _.assign(global.Util, {
         DiamondIterator: load('util.diamond.iterator'),
@@ -159,6 +163,12 @@ global.install = () => {
         reputation: load("task.reputation"),
         delivery: load("task.delivery"),
         labTech: load("task.labTech"),
+        power: load("task.power"),
+        deposit: load("task.deposit"),
+        squad: load("task.squad"),
+        siege: load("task.siege"),
+        scout: load("task.scout"),
+        skMining: load("task.skMining"),
     });
     Creep.Action = load("creep.Action");
     Creep.Behaviour = load("creep.Behaviour");
@@ -199,8 +209,11 @@ global.install = () => {
         behaviour: {
             claimer: load("creep.behaviour.claimer"),
             collapseWorker: load("creep.behaviour.collapseWorker"),
+            depositHauler: load("creep.behaviour.depositHauler"),
+            depositMiner: load("creep.behaviour.depositMiner"),
             hauler: load("creep.behaviour.hauler"),
             healer: load("creep.behaviour.healer"),
+            keeperKiller: load("creep.behaviour.keeperKiller"),
             labTech: load("creep.behaviour.labTech"),
             melee: load("creep.behaviour.melee"),
             miner: load("creep.behaviour.miner"),
@@ -209,9 +222,18 @@ global.install = () => {
             remoteHauler: load("creep.behaviour.remoteHauler"),
             remoteWorker: load("creep.behaviour.remoteWorker"),
             pioneer: load("creep.behaviour.pioneer"),
+            powerHauler: load("creep.behaviour.powerHauler"),
+            powerHealer: load("creep.behaviour.powerHealer"),
+            powerMiner: load("creep.behaviour.powerMiner"),
             privateer: load("creep.behaviour.privateer"),
             recycler: load("creep.behaviour.recycler"),
             ranger: load("creep.behaviour.ranger"),
+            scout: load("creep.behaviour.scout"),
+            siegeDismantler: load("creep.behaviour.siegeDismantler"),
+            siegeHealer: load("creep.behaviour.siegeHealer"),
+            skHauler: load("creep.behaviour.skHauler"),
+            skMiner: load("creep.behaviour.skMiner"),
+            squad: load("creep.behaviour.squad"),
             upgrader: load("creep.behaviour.upgrader"),
             worker: load("creep.behaviour.worker")
         },
@@ -232,13 +254,20 @@ global.install = () => {
             construction: load("room.construction"),
             containers: load("room.container"),
             defense: load("room.defense"),
+            expansion: load("room.expansion"),
             extensions: load("room.extension"),
+            factory: load("room.factory"),
+            intel: load("room.intel"),
             labs: load("room.lab"),
+            layout: load("room.layout"),
             links: load("room.link"),
+            logistics: load("room.logistics"),
             nuker: load("room.nuker"),
             observers: load("room.observer"),
             orders: load("room.orders"),
             power: load("room.power"),
+            ramparts: load("room.rampart"),
+            remotes: load("room.remote"),
             resources: load("room.resources"),
             spawns: load("room.spawn"),
             towers: load("room.tower"),
@@ -253,10 +282,19 @@ global.install = () => {
     Room.extend();
     Spawn.extend();
     FlagDir.extend();
+    Recorder.extend();
     Task.populate();
     // custom extend
     if( global.mainInjection.extend ) global.mainInjection.extend();
-    OCSMemory.activateSegment(MEM_SEGMENTS.COSTMATRIX_CACHE, true);
+    // scheduled jobs, SCHEDULER.JOBS sets their priority, interval and budget
+    _.keys(Room._ext).forEach(key => Scheduler.register(`room.${key}`));
+    Task.tasks.forEach(task => Scheduler.register(`task.${task.name}`));
+    ['roads', 'statistics', 'visuals'].forEach(name => Scheduler.register(name));
+    // datasets kept in memory segments by their budget in kb, the lazy ones load once used
+    OCSMemory.register('costMatrixCache', {budget: 500, onLoad: Room.loadCostMatrixCache});
+    OCSMemory.register('marketHistory', {budget: 100, onLoad: Market.loadPriceHistory, lazy: true});
+    OCSMemory.register('roomIntel', {budget: 300, onLoad: Room.loadIntel, lazy: true});
+    OCSMemory.register('recorder', {budget: RECORDER.MAX_SIZE, onLoad: Recorder.loadSnapshots, lazy: true});
     
     global.modulesValid = Memory.modules.valid;
     if (global.DEBUG) logSystem('Global.install', 'Code reloaded.');
@@ -292,6 +330,8 @@ module.exports.loop = function () {
         // ensure up to date parameters, override in memory
         _.assign(global, load("parameter"));
         _.merge(global, parameters);        
+        // decide which jobs fit into this tick
+        Scheduler.plan();
         
       // process loaded memory segments
         OCSMemory.processSegments();
@@ -316,10 +356,14 @@ module.exports.loop = function () {
             return;
         }
         p.checkCPU('FlagDir.analyze', PROFILING.ANALYZE_LIMIT);
+        Market.analyze();
+        p.checkCPU('Market.analyze', PROFILING.ANALYZE_LIMIT);
         Room.analyze();
         p.checkCPU('Room.analyze', PROFILING.ANALYZE_LIMIT);
         Population.analyze();
         p.checkCPU('Population.analyze', PROFILING.ANALYZE_LIMIT);
+        MemoryGovernor.analyze();
+        p.checkCPU('MemoryGovernor.analyze', PROFILING.ANALYZE_LIMIT);
         // custom analyze
         if( global.mainInjection.analyze ) global.mainInjection.analyze();
 
@@ -347,25 +391,30 @@ module.exports.loop = function () {
         if( global.mainInjection.execute ) global.mainInjection.execute();
 
         // Postprocessing
-        if (SEND_STATISTIC_REPORTS) {
+        if (SEND_STATISTIC_REPORTS && Scheduler.allowed('statistics')) Scheduler.measure('statistics', () => {
             if( !Memory.statistics || ( Memory.statistics.tick && Memory.statistics.tick + TIME_REPORT <= Game.time ))
                 load("statistics").process();
             processReports();
+        });
         p.checkCPU('processReports', PROFILING.FLUSH_LIMIT);
-        }
         FlagDir.cleanup();
         p.checkCPU('FlagDir.cleanup', PROFILING.FLUSH_LIMIT);
         Population.cleanup();
         p.checkCPU('Population.cleanup', PROFILING.FLUSH_LIMIT);
         Room.cleanup(); 
         p.checkCPU('Room.cleanup', PROFILING.FLUSH_LIMIT);
+        Market.cleanup();
+        p.checkCPU('Market.cleanup', PROFILING.FLUSH_LIMIT);
         // custom cleanup
         if( global.mainInjection.cleanup ) global.mainInjection.cleanup();
+        Recorder.cleanup();
+        p.checkCPU('Recorder.cleanup', PROFILING.FLUSH_LIMIT);
 
         OCSMemory.cleanup(); // must come last
         p.checkCPU('OCSMemory.cleanup', PROFILING.ANALYZE_LIMIT);
-        if (ROOM_VISUALS && !Memory.CPU_CRITICAL) Visuals.run(); // At end to correctly display used CPU.
+        if (ROOM_VISUALS && !Memory.CPU_CRITICAL && Scheduler.allowed('visuals')) Scheduler.measure('visuals', () => Visuals.run()); // At end to correctly display used CPU.
         p.checkCPU('visuals', PROFILING.EXECUTE_LIMIT);
+        Scheduler.cleanup();
 
         if ( GRAFANA && Game.time % GRAFANA_INTERVAL === 0 ) Grafana.run();
         p.checkCPU('grafana', PROFILING.EXECUTE_LIMIT);
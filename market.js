@@ -0,0 +1,180 @@
+let mod = {};
+module.exports = mod;
+// price samples per resource as [[time, price]], persisted in the 'marketHistory' dataset of OCSMemory
+mod.history = {};
+mod.historyLoaded = false;
+mod.historyDirty = false;
+mod.loadPriceHistory = function(data) {
+    mod.history = data;
+    mod.historyLoaded = true;
+};
+mod.analyze = function() {
+    if (!MARKET.ENABLED) return;
+    if (!mod.historyLoaded) return OCSMemory.load('marketHistory');
+    if (Game.time % PROCESS_ORDERS_INTERVAL !== 0) return;
+    mod.samplePrices();
+    mod.cleanupOrders();
+};
+mod.cleanup = function() {
+    if (mod.historyDirty) {
+        OCSMemory.save('marketHistory', mod.history);
+        mod.historyDirty = false;
+    }
+};
+// all market orders, fetched once per tick
+mod.getAllOrders = function() {
+    if (mod._ordersTime !== Game.time) {
+        mod._orders = Game.market.getAllOrders();
+        mod._ordersTime = Game.time;
+    }
+    return mod._orders;
+};
+mod.samplePrices = function() {
+    const prices = {};
+    mod.getAllOrders().forEach(o => {
+        if (o.amount < MARKET.MIN_AMOUNT) return;
+        const price = prices[o.resourceType] || (prices[o.resourceType] = {});
+        if (o.type === ORDER_SELL && (_.isUndefined(price.sell) || o.price < price.sell)) price.sell = o.price;
+        if (o.type === ORDER_BUY && (_.isUndefined(price.buy) || o.price > price.buy)) price.buy = o.price;
+    });
+    _.forEach(prices, (price, resourceType) => {
+        // the middle of the spread, or the only side available
+        const sample = _.isUndefined(price.sell) ? price.buy : _.isUndefined(price.buy) ? price.sell : (price.sell + price.buy) / 2;
+        const history = mod.history[resourceType] || (mod.history[resourceType] = []);
+        history.push([Game.time, _.round(sample, 3)]);
+        if (history.length > MARKET.HISTORY_LENGTH) history.splice(0, history.length - MARKET.HISTORY_LENGTH);
+    });
+    mod.historyDirty = true;
+};
+mod.averagePrice = function(resourceType) {
+    const history = mod.history[resourceType];
+    if (!history || history.length === 0) return null;
+    return _.sum(history, h => h[1]) / history.length;
+};
+// remove own orders that are done
+mod.cleanupOrders = function() {
+    _.forEach(Game.market.orders, order => {
+        if (order.remainingAmount === 0) Game.market.cancelOrder(order.id);
+    });
+};
+mod.stock = function(room, resourceType) {
+    return (room.storage ? room.storage.store[resourceType] || 0 : 0) + (room.terminal ? room.terminal.store[resourceType] || 0 : 0);
+};
+mod.target = function(room, resourceType) {
+    if (!_.isUndefined(MARKET.TARGETS[resourceType])) return MARKET.TARGETS[resourceType];
+    return MARKET.DEFAULT_TARGET;
+};
+// missing amounts per resource: configured targets, energy and inputs of queued lab reactions
+mod.needs = function(room) {
+    const needs = {};
+    const need = (resourceType, amount) => {
+        const missing = amount - mod.stock(room, resourceType);
+        if (missing >= MARKET.MIN_AMOUNT) needs[resourceType] = Math.max(needs[resourceType] || 0, missing);
+    };
+    _.forEach(MARKET.TARGETS, (amount, resourceType) => need(resourceType, amount));
+    if (MARKET.BUY_ENERGY) need(RESOURCE_ENERGY, MIN_STORAGE_ENERGY[room.controller.level]);
+    const reactions = _.get(room.memory, ['resources', 'reactions', 'orders'], []);
+    reactions.forEach(order => {
+        if (LAB_REACTIONS[order.type]) LAB_REACTIONS[order.type].forEach(component => need(component, order.amount));
+    });
+    return needs;
+};
+// resources above their target that may be sold
+mod.surplus = function(room, needs) {
+    const surplus = {};
+    _.forEach(room.terminal.store, (amount, resourceType) => {
+        if (needs[resourceType] || MARKET.NEVER_SELL.includes(resourceType)) return;
+        const available = Math.min(amount, mod.stock(room, resourceType) - mod.target(room, resourceType));
+        if (available >= MARKET.MIN_AMOUNT) surplus[resourceType] = available;
+    });
+    return surplus;
+};
+// called by terminalBroker. returns true if the terminal has been used
+mod.trade = function(room) {
+    if (!mod.historyLoaded) return false;
+    const needs = mod.needs(room);
+    const surplus = mod.surplus(room, needs);
+    for (const resourceType in surplus) {
+        if (mod.sell(room, resourceType, surplus[resourceType])) return true;
+    }
+    for (const resourceType in needs) {
+        if (mod.buy(room, resourceType, needs[resourceType])) return true;
+    }
+    return false;
+};
+mod.sell = function(room, resourceType, amount) {
+    const average = mod.averagePrice(resourceType);
+    if (!average) return false;
+    // sell to buy orders while short on credits, assuming 1e == ENERGY_VALUE_CREDITS credits
+    if (Game.market.credits < MARKET.CREDIT_TARGET) {
+        const energy = room.terminal.store.energy || 0;
+        let best = null;
+        mod.getAllOrders().forEach(o => {
+            if (o.type !== ORDER_BUY || o.resourceType !== resourceType || !o.roomName || o.amount < MARKET.MIN_AMOUNT) return;
+            const transactionAmount = Math.min(o.amount, amount);
+            const transactionCost = Game.market.calcTransactionCost(transactionAmount, room.name, o.roomName);
+            if (transactionCost > energy) return;
+            const ratio = (transactionAmount * o.price - transactionCost * ENERGY_VALUE_CREDITS) / transactionAmount;
+            if (!best || ratio > best.ratio) best = {order: o, ratio, transactionAmount, transactionCost};
+        });
+        if (best && best.ratio >= average * MARKET.SELL_RATIO) {
+            const result = Game.market.deal(best.order.id, best.transactionAmount, room.name);
+            if (global.DEBUG || SELL_NOTIFICATION) logSystem(room.name, `Selling ${best.transactionAmount} ${resourceType} for ${_.round(best.transactionAmount * best.order.price, 2)} (${best.order.price} ¢/${resourceType}, ${best.transactionCost} e): ${translateErrorCode(result)}`);
+            if (result === OK) {
+                best.order.amount -= best.transactionAmount;
+                return true;
+            }
+        }
+    }
+    mod.placeOrder(room, ORDER_SELL, resourceType, amount, average * MARKET.ORDER_RATIO);
+    return false;
+};
+mod.buy = function(room, resourceType, amount) {
+    const average = mod.averagePrice(resourceType);
+    const credits = Game.market.credits - MARKET.CREDIT_FLOOR;
+    if (!average || credits <= 0) return false;
+    const energy = room.terminal.store.energy || 0;
+    let best = null;
+    mod.getAllOrders().forEach(o => {
+        if (o.type !== ORDER_SELL || o.resourceType !== resourceType || !o.roomName || o.amount < MARKET.MIN_AMOUNT) return;
+        const transactionAmount = Math.min(o.amount, amount, Math.floor(credits / o.price));
+        if (transactionAmount < MARKET.MIN_AMOUNT) return;
+        const transactionCost = Game.market.calcTransactionCost(transactionAmount, room.name, o.roomName);
+        if (transactionCost > energy) return;
+        const price = (transactionAmount * o.price + transactionCost * ENERGY_VALUE_CREDITS) / transactionAmount;
+        if (!best || price < best.price) best = {order: o, price, transactionAmount, transactionCost};
+    });
+    if (best && best.price <= average * MARKET.BUY_RATIO) {
+        const result = Game.market.deal(best.order.id, best.transactionAmount, room.name);
+        if (global.DEBUG) logSystem(room.name, `Buying ${best.transactionAmount} ${resourceType} for ${_.round(best.transactionAmount * best.order.price, 2)} (${best.order.price} ¢/${resourceType}, ${best.transactionCost} e): ${translateErrorCode(result)}`);
+        if (result === OK) {
+            best.order.amount -= best.transactionAmount;
+            return true;
+        }
+    }
+    mod.placeOrder(room, ORDER_BUY, resourceType, amount, average * MARKET.BUY_RATIO);
+    return false;
+};
+// place or refresh an own order of the room
+mod.placeOrder = function(room, type, resourceType, amount, price) {
+    price = _.round(price, 3);
+    amount = Math.min(amount, MARKET.MAX_ORDER_AMOUNT);
+    if (price <= 0 || amount < MARKET.MIN_AMOUNT) return ERR_INVALID_ARGS;
+    const existing = _.find(Game.market.orders, o => o.roomName === room.name && o.type === type && o.resourceType === resourceType);
+    if (existing) {
+        if (Math.abs(existing.price - price) > price * 0.05) Game.market.changeOrderPrice(existing.id, price);
+        const extend = amount - existing.remainingAmount;
+        if (extend >= MARKET.MIN_AMOUNT && mod.canAfford(type, extend, price)) Game.market.extendOrder(existing.id, extend);
+        return OK;
+    }
+    if (!mod.canAfford(type, amount, price)) return ERR_NOT_ENOUGH_RESOURCES;
+    const result = Game.market.createOrder(type, resourceType, price, amount, room.name);
+    if (global.DEBUG) logSystem(room.name, `New ${type} order for ${amount} ${resourceType} at ${price} ¢: ${translateErrorCode(result)}`);
+    return result;
+};
+// order fees and buy orders must not drop credits below MARKET.CREDIT_FLOOR
+mod.canAfford = function(type, amount, price) {
+    const fee = amount * price * MARKET_FEE;
+    const reserved = type === ORDER_BUY ? amount * price : 0;
+    return Game.market.credits - fee - reserved >= MARKET.CREDIT_FLOOR;
+};
@@ -0,0 +1,105 @@
+let mod = {};
+module.exports = mod;
+// tick a task memory entry was first found orphaned, by task and key
+mod.orphans = {};
+// size in kb of the last audit: {tick, total, keys: {key: kb}, rooms: {roomName: kb}}
+mod.sizes = null;
+mod.size = value => _.isUndefined(value) ? 0 : JSON.stringify(value).length / 1024;
+// measure, collect and report on the interval. runs before spawning, so every creep with memory is in Game.creeps
+mod.analyze = function() {
+    if (!MEMORY_GOVERNOR.ENABLED || Game.time % MEMORY_GOVERNOR.INTERVAL !== 0) return;
+    mod.collect();
+    mod.measure();
+    mod.report();
+};
+mod.measure = function() {
+    const sizes = {tick: Game.time, total: RawMemory.get().length / 1024, keys: {}, rooms: {}};
+    _.forEach(Memory, (value, key) => sizes.keys[key] = mod.size(value));
+    _.forEach(Memory.rooms, (memory, roomName) => {
+        if (_.isObject(memory)) sizes.rooms[roomName] = mod.size(memory);
+    });
+    mod.sizes = sizes;
+    return sizes;
+};
+// true if any creep or spawn queue entry has a destiny pointing at key
+mod.isReferenced = function(key) {
+    const refers = entry => entry && _.some(entry.destiny, value => value === key);
+    if (_.some(Memory.population, refers)) return true;
+    return _.some(Game.rooms, room => room.my && ['spawnQueueHigh', 'spawnQueueMedium', 'spawnQueueLow'].some(queue => _.some(room[queue], refers)));
+};
+mod.collect = function() {
+    const collected = {rooms: 0, tasks: 0, creeps: 0, traces: 0};
+    // rooms without vision for too long, as long as no flag is placed in them
+    _.forEach(Memory.rooms, (memory, roomName) => {
+        if (!_.isObject(memory)) return;
+        // Room.analyze updates it every tick a room is visible
+        if (_.isUndefined(memory.lastSeen)) {
+            memory.lastSeen = Game.time;
+            return;
+        }
+        if (Game.time - memory.lastSeen <= MEMORY_GOVERNOR.ROOM_MAX_AGE) return;
+        if (_.some(Game.flags, flag => flag.pos.roomName === roomName)) return;
+        delete Memory.rooms[roomName];
+        collected.rooms++;
+    });
+    // leftovers of features switched off
+    _.forEach(Memory.rooms, memory => {
+        if (!_.isObject(memory)) return;
+        if (!ROAD_CONSTRUCTION_ENABLE && memory.roadConstructionTrace) {
+            delete memory.roadConstructionTrace;
+            collected.traces++;
+        }
+        if (!VISUALS.HEATMAP && memory.heatmap) {
+            delete memory.heatmap;
+            collected.traces++;
+        }
+    });
+    // task memory of removed tasks, or of flags, rooms and objects gone for MEMORY_GOVERNOR.TASK_MAX_AGE with no creeps left
+    _.forEach(Memory.tasks, (entries, task) => {
+        if (!_.some(Task.tasks, {name: task})) {
+            delete Memory.tasks[task];
+            collected.tasks += _.size(entries);
+            return;
+        }
+        _.forEach(entries, (memory, key) => {
+            const orphanKey = `${task}:${key}`;
+            const alive = Game.flags[key] || Game.getObjectById(key) ||
+                _.some(Game.flags, flag => flag.pos.roomName === key) || mod.isReferenced(key);
+            if (alive) {
+                delete mod.orphans[orphanKey];
+                return;
+            }
+            if (_.isUndefined(mod.orphans[orphanKey])) mod.orphans[orphanKey] = Game.time;
+            if (Game.time - mod.orphans[orphanKey] < MEMORY_GOVERNOR.TASK_MAX_AGE) return;
+            Task.clearMemory(task, key);
+            delete mod.orphans[orphanKey];
+            collected.tasks++;
+        });
+    });
+    // creep memory without a creep, e.g. of creeps spawned by hand
+    _.forEach(Memory.creeps, (memory, creepName) => {
+        if (Game.creeps[creepName] || Population.died.includes(creepName)) return;
+        Population.unregisterCreep(creepName);
+        collected.creeps++;
+    });
+    if (_.some(collected)) {
+        logSystem('Memory', `Collected ${collected.rooms} rooms, ${collected.tasks} task entries, ${collected.creeps} creeps and ${collected.traces} traces.`);
+    }
+    return collected;
+};
+// log keys and rooms above their budget and the biggest ones
+mod.report = function() {
+    const sizes = mod.sizes || mod.measure();
+    const BUDGETS = MEMORY_GOVERNOR.BUDGETS;
+    const format = ([name, kb]) => `${name} ${_.round(kb, 1)}kb`;
+    const top = values => _.sortBy(_.pairs(values), ([, kb]) => -kb).slice(0, MEMORY_GOVERNOR.REPORT_TOP);
+    const overKeys = _.pairs(sizes.keys).filter(([key, kb]) => BUDGETS.KEYS[key] && kb > BUDGETS.KEYS[key]);
+    const overRooms = _.pairs(sizes.rooms).filter(([, kb]) => kb > BUDGETS.ROOM);
+    if (sizes.total > BUDGETS.TOTAL) logSystem('Memory', dye(CRAYON.error, `${_.round(sizes.total, 1)}kb in total, budget ${BUDGETS.TOTAL}kb.`));
+    if (overKeys.length > 0) logSystem('Memory', dye(CRAYON.error, `Over budget: ${overKeys.map(format).join(', ')}`));
+    if (overRooms.length > 0) logSystem('Memory', dye(CRAYON.error, `Rooms over ${BUDGETS.ROOM}kb: ${overRooms.map(format).join(', ')}`));
+    if (global.DEBUG || sizes.total > BUDGETS.TOTAL || overKeys.length > 0 || overRooms.length > 0) {
+        logSystem('Memory', `Biggest keys: ${top(sizes.keys).map(format).join(', ')}`);
+        logSystem('Memory', `Biggest rooms: ${top(sizes.rooms).map(format).join(', ')}`);
+    }
+};
@@ -1,103 +1,161 @@
 let mod = {};
 module.exports = mod;
-mod.numSaved = 0;
-mod.toActivate = {};
-mod.activateSegment = (id, reset = false) => {
-    if (id.start && id.end) {
-        for (let i = id.start; i >= id.end; i--) {
-            mod.activateSegment(i, reset);
-        }
-        return;
+// segments RawMemory may hold in a tick, active and written ones together
+mod.MAX_SEGMENTS = 10;
+// characters stored per segment
+mod.SEGMENT_SIZE = 100 * 1024;
+// segments RawMemory offers, ids 0 to 99
+mod.SEGMENT_COUNT = 100;
+// registered datasets by name: {name, segments, onLoad, requested, loaded, version, data, chunks, dirty, pending}
+mod.datasets = {};
+// segments requested for the next tick, null until set in this global
+mod.activeSegments = null;
+// register a named dataset taking up to budget kb. the manager allocates its range of segments, kept in Memory.segments.
+// onLoad receives the data once loaded, and again whenever another global wrote a newer version.
+// lazy datasets load on their first get, load or save, the others right away
+mod.register = (name, {budget = 100, onLoad, lazy = false} = {}) => {
+    const dataset = mod.datasets[name] || (mod.datasets[name] = {name, chunks: {}, loaded: false});
+    dataset.segments = Math.ceil(budget / (mod.SEGMENT_SIZE / 1024));
+    dataset.onLoad = onLoad;
+    dataset.requested = dataset.requested || !lazy;
+    mod.meta(dataset);
+    return dataset;
+};
+// the Memory.segments entry of a dataset, allocating its range if it has none yet or its budget changed
+mod.meta = dataset => {
+    const meta = Util.get(Memory, ['segments', dataset.name], {});
+    if (_.isUndefined(meta.start) || meta.start - meta.end + 1 !== dataset.segments) {
+        const range = mod.allocate(dataset.name, dataset.segments);
+        if (!range) return logError('OCSMemory', `cannot allocate ${dataset.segments} segments for ${dataset.name}, no range left`);
+        if (!_.isUndefined(meta.start) && global.DEBUG) logSystem('OCSMemory', `Moving ${dataset.name} to segments ${range.start} to ${range.end}, its data is dropped`);
+        // a new range starts empty
+        _.assign(meta, range, {chunks: 0});
+        delete meta.version;
+        dataset.loaded = false;
+        dataset.chunks = {};
     }
-    if (id < 0 || id > 99) return logError('RawMemory', 'cannot activate invalid segment ' + id);
-    const numActive = _.size(RawMemory.segments);
-    if (OCSMemory.numSaved >= 10) return logError('RawMemory', '10 segments saved, cannot activate segment ' + id);
-    if (!reset) {
-        if (numActive >= 10) return logError('RawMemory', '10 segments loaded, cannot activate segment ' + id);
-        if (numActive + OCSMemory.numSaved >= 10) return logError('RawMemory', 'combined loaded and saved exceeds limit(10), cannot activate segment ' + id);
+    return meta;
+};
+// the highest range of count segments no other dataset in Memory.segments takes
+mod.allocate = (name, count) => {
+    const taken = {};
+    _.forEach(Memory.segments, (meta, other) => {
+        if (other !== name && !_.isUndefined(meta.start)) mod.ids(meta).forEach(id => taken[id] = true);
+    });
+    for (let start = mod.SEGMENT_COUNT - 1; start - count + 1 >= 0; start--) {
+        const range = {start, end: start - count + 1};
+        if (!mod.ids(range).some(id => taken[id])) return range;
     }
-    OCSMemory.toActivate[id] = true;
+    return null;
 };
-mod.deactivateSegment = (id) => {
-    if (id < 0 || id > 99) return logError('RawMemory', 'cannot deactivate invalid segment ' + id);
-    if (_.size(OCSMemory.toActivate) === 0) Object.keys(RawMemory.segments).forEach(id => OCSMemory.toActivate[id] = true);
-    delete OCSMemory.toActivate[id];
+mod.ids = range => _.range(range.start, range.end - 1, -1);
+// segments holding data, all of the range while it is in the former format of an object per segment
+mod.usedIds = meta => {
+    const ids = mod.ids(meta);
+    return _.isUndefined(meta.chunks) ? ids : ids.slice(0, meta.chunks);
 };
-mod.cacheValid = (id) => {
-    return global.cacheValid[id] === Memory.cacheValid[id];
+// the data of a dataset, undefined while it is loading
+mod.get = name => {
+    const dataset = mod.load(name);
+    return dataset && dataset.loaded ? dataset.data : undefined;
 };
-mod.processSegment = (id, process) => {
-    if (_.isUndefined(Memory.cacheValid[id])) Memory.cacheValid[id] = false;
-    const segment = RawMemory.segments[id];
-    if (!OCSMemory.cacheValid(id)) {
-        try {
-            let data = segment ? JSON.parse(segment) : {};
-            process(data);
-            global.cacheValid[id] = Memory.cacheValid[id];
-        } catch (e) {
-            console.log('<font style="color:FireBrick">Error loading segment' + id + ' caused by ' + (e.stack || e.toString()) + '</font>');
-            RawMemory.segments[id] = '';
-            delete global.cacheValid[id];
-            delete Memory.cacheValid[id];
-        }
-    }
+// request a lazy dataset, its onLoad runs once all of its segments got active
+mod.load = name => {
+    const dataset = mod.datasets[name];
+    if (!dataset) return logError('OCSMemory', `cannot load unknown dataset ${name}`);
+    dataset.requested = true;
+    return dataset;
 };
-mod.processSegments = () => {
-    if (_.isUndefined(global.cacheValid)) global.cacheValid = {};
-    if (_.isUndefined(Memory.cacheValid)) Memory.cacheValid = {};
-
-    for (let id = MEM_SEGMENTS.COSTMATRIX_CACHE.start; id >= MEM_SEGMENTS.COSTMATRIX_CACHE.end; id--) {
-        mod.processSegment(id, Room.loadCostMatrixCache);
+mod.isLoaded = name => {
+    const dataset = mod.datasets[name];
+    return !!dataset && dataset.loaded;
+};
+// queue data to be written. it waits until the dataset is loaded and the segment limit allows, only the latest data is written
+mod.save = (name, data) => {
+    const dataset = mod.datasets[name];
+    if (!dataset) return logError('OCSMemory', `cannot save unknown dataset ${name}`);
+    dataset.requested = true;
+    dataset.pending = data;
+    dataset.dirty = true;
+};
+mod.assemble = (meta, chunks) => {
+    const ids = mod.usedIds(meta);
+    if (_.isUndefined(meta.chunks)) {
+        // every segment holds an object of its own
+        return _.reduce(ids, (data, id) => _.assign(data, chunks[id] ? JSON.parse(chunks[id]) : {}), {});
     }
+    return ids.length > 0 ? JSON.parse(ids.map(id => chunks[id]).join('')) : {};
 };
-mod.saveSegment = (range, inputData) => {
-    const numActive = _.size(RawMemory.segments);
-    const keys = Object.keys(inputData);
-    let keyNum = 0;
-    let encodedData;
-    for (let id = range.start; id >= range.end; id--) {
-        if ((keys && keyNum < keys.length) || (encodedData && encodedData.length > 1)) { // more data to save
-            if (!_.isUndefined(RawMemory.segments[id]) || numActive + OCSMemory.numSaved < 10) {
-                let temp;
-                let full = false;
-                while (keyNum < keys.length) {
-                    const key = keys[keyNum];
-                    keyNum++;
-                    const stringified = JSON.stringify(inputData[key]);
-                    temp = `"${key}":${stringified}`;
-                    full = (_.get(encodedData, 'length', 0) + _.get(temp, 'length', 0) + 2) / 1024 > 100;
-                    if (full) break;
-                    encodedData = encodedData ? encodedData + ',' + temp : '{' + temp;
-                }
-                if (!encodedData && temp && temp.length > 0) {
-                    const size = _.round((temp.length + 2) / 1024, 2);
-                    return logError('RawMemory', `Cannot save data at key ${keyNum}, exceeds 100kb limit ${size}kb`);
-                }
-                if (global.DEBUG) logSystem('OCSMemory.saveSegment', 'Saving ' + _.round(encodedData.length / 1024, 2) + 'kb of data to segment ' + id);
-                RawMemory.segments[id] = encodedData + '}';
-                Memory.cacheValid[id] = Game.time;
-                encodedData = full && temp ? '{' + temp : '{';
-                if (_.isUndefined(RawMemory.segments[id])) OCSMemory.numSaved++;
-            } else if (numActive > 10) {
-                // TODO: also defer? (This should be impossible)
-                return logError('RawMemory', 'cannot save segment ' + id + ' too many active segments.');
-            } else if (numActive + OCSMemory.numSaved > 10) {
-                // TODO: defer one tick?
-                return logError('RawMemory', 'cannot save segment ' + id + ' loaded + saved exceeds limit(10).');
-            } else {
-                logError('RawMemory', 'should not be here.');
-            }
-        } else if (Memory.cacheValid[id]) { // no more data, clear this segment
-            if (global.DEBUG) logSystem('OCSMemory.saveSegment', 'clearing unused segment ' + id);
-            RawMemory.segments[id] = '';
-            delete Memory.cacheValid[id];
+// collect the active segments of loading datasets and hand over complete ones.
+// a dataset written by another global since it got loaded here is loaded again, its queued data is dropped
+mod.processSegments = () => {
+    _.forEach(mod.datasets, dataset => {
+        const meta = mod.meta(dataset);
+        if (!meta) return;
+        if (dataset.loaded && dataset.version !== meta.version) {
+            if (global.DEBUG) logSystem('OCSMemory', `Reloading ${dataset.name}, version ${meta.version} replaces ${dataset.version}`);
+            dataset.loaded = false;
+            dataset.dirty = false;
+            delete dataset.pending;
         }
+        if (dataset.loaded || !dataset.requested) return;
+        const ids = mod.usedIds(meta);
+        ids.forEach(id => {
+            if (!_.isUndefined(RawMemory.segments[id])) dataset.chunks[id] = RawMemory.segments[id];
+        });
+        if (ids.some(id => _.isUndefined(dataset.chunks[id]))) return;
+        try {
+            dataset.data = mod.assemble(meta, dataset.chunks);
+        } catch (e) {
+            console.log('<font style="color:FireBrick">Error loading ' + dataset.name + ' caused by ' + (e.stack || e.toString()) + '</font>');
+            dataset.data = {};
+        }
+        dataset.chunks = {};
+        dataset.loaded = true;
+        dataset.version = meta.version;
+        if (dataset.onLoad) dataset.onLoad(dataset.data);
+    });
+};
+mod.write = (dataset, free) => {
+    const meta = mod.meta(dataset);
+    if (!meta) return 0;
+    const ids = mod.ids(meta);
+    const encoded = JSON.stringify(dataset.pending);
+    const chunks = Math.ceil(encoded.length / mod.SEGMENT_SIZE);
+    if (chunks > ids.length) {
+        dataset.dirty = false;
+        logError('RawMemory', `cannot save ${dataset.name}, ${_.round(encoded.length / 1024, 2)}kb exceed its ${ids.length} segments`);
+        return 0;
     }
+    // segments no longer used are cleared
+    const written = ids.slice(0, Math.max(chunks, mod.usedIds(meta).length));
+    const needed = written.filter(id => _.isUndefined(RawMemory.segments[id])).length;
+    if (needed > free) return 0;
+    written.forEach((id, i) => RawMemory.segments[id] = encoded.substr(i * mod.SEGMENT_SIZE, mod.SEGMENT_SIZE));
+    if (global.DEBUG) logSystem('OCSMemory.save', `Saving ${_.round(encoded.length / 1024, 2)}kb of ${dataset.name} to ${chunks} segments`);
+    meta.chunks = chunks;
+    meta.version = dataset.version = Game.time;
+    dataset.data = dataset.pending;
+    dataset.dirty = false;
+    delete dataset.pending;
+    return needed;
 };
+// write queued datasets as far as the segment limit allows and request the segments of loading datasets
 mod.cleanup = () => {
-    if (_.size(OCSMemory.toActivate) > 0) {
-        RawMemory.setActiveSegments(Object.keys(OCSMemory.toActivate));
+    let free = mod.MAX_SEGMENTS - _.size(RawMemory.segments);
+    _.forEach(mod.datasets, dataset => {
+        if (dataset.dirty && dataset.loaded) free -= mod.write(dataset, free);
+    });
+    const toActivate = [];
+    _.forEach(mod.datasets, dataset => {
+        const meta = mod.meta(dataset);
+        if (dataset.loaded || !dataset.requested || !meta) return;
+        mod.usedIds(meta).forEach(id => {
+            if (toActivate.length < mod.MAX_SEGMENTS && _.isUndefined(dataset.chunks[id])) toActivate.push(id);
+        });
+    });
+    if (!_.isEqual(toActivate, mod.activeSegments)) {
+        RawMemory.setActiveSegments(toActivate);
+        mod.activeSegments = toActivate;
     }
-    OCSMemory.toActivate = {};
-    OCSMemory.numSaved = 0;
 };
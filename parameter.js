@@ -66,6 +66,13 @@ let mod = {
     SEMI_AUTOMATIC_CONSTRUCTION: true, // enables semi-automatic construction. Will construct based on flags.
     // function parameters: room, structure type. expected result: boolean
     REMOVE_CONSTRUCTION_FLAG: true, // if false, flag will remain. This is good if a structure decays, it can rebuild
+    // function parameters: room. expected result: boolean
+    AUTOMATIC_LAYOUT: false, // plans a complete base for owned rooms and constructs it like construction flags. Requires SEMI_AUTOMATIC_CONSTRUCTION
+    AUTOMATIC_LAYOUT_ROAD_LEVEL: 3, // min RCL to construct the planned road spines
+    AUTOMATIC_LAYOUT_ROAD_SITES: 5, // max road construction sites of the planned layout per room at once
+    // function parameters: room. expected result: boolean
+    RAMPART_PLANNER: false, // plans the smallest barrier between the base core and all room exits, ramparts where creeps pass and walls elsewhere, and constructs it
+    RAMPART_PLANNER_LEVEL: 4, // min RCL to construct the planned barrier
     MAX_STORAGE_ENERGY: { // get rid of energy when reached
         1: 2000,
         2: 2000,
@@ -102,6 +109,218 @@ let mod = {
         'Z': 0.2,
         'X': 0.2
     },
+    LOGISTICS: {
+        ENABLED: false, // balance resources between owned terminals every PROCESS_ORDERS_INTERVAL. Replaces the fixed 50k energy transfer of terminalBroker
+        DEFAULT_TARGET: 0, // amount of each resource without a target every room keeps in storage and terminal. labs, nukers and power spawns add their needs
+        MAX_AMOUNT: 50000, // max amount of a single transfer
+        MIN_AMOUNT: 1000, // smaller surpluses and deficits are ignored
+        TARGETS: { [RESOURCE_ENERGY]: 150000 }, // per resource targets, e.g. `{ [RESOURCE_CATALYZED_GHODIUM_ACID]: 3000 }`
+    },
+    MARKET: {
+        ENABLED: false, // trade on the market. Replaces selling the room mineral in terminalBroker
+        BUY_ENERGY: true, // buy energy for rooms below MIN_STORAGE_ENERGY
+        BUY_RATIO: 0.95, // buy when the best sell order is below this factor of the rolling average price, own buy orders use the same price
+        CREDIT_FLOOR: 50000, // never spend credits below this amount
+        CREDIT_TARGET: 1000000, // sell surplus to buy orders until reaching this amount of credits, above only with own sell orders
+        DEFAULT_TARGET: 20000, // amount of each resource without a target to keep per room before selling the surplus
+        HISTORY_LENGTH: 24, // price samples kept per resource, sampled every PROCESS_ORDERS_INTERVAL
+        MAX_ORDER_AMOUNT: 20000, // max amount per own order
+        MIN_AMOUNT: 1000, // min amount worth trading
+        NEVER_SELL: [RESOURCE_ENERGY, RESOURCE_POWER],
+        ORDER_RATIO: 1.05, // price of own sell orders as factor of the rolling average price
+        SELL_RATIO: 1, // sell to buy orders paying at least this factor of the rolling average price
+        TARGETS: {}, // amounts to keep per room. surplus gets sold and missing amounts bought. e.g. `{ [RESOURCE_CATALYST]: 10000 }`
+    },
+    REACTION_PLANNER: {
+        ENABLED: false, // queues reactions in every flower reactor until the compound targets are met. Registers a flower reactor in rooms without one
+        BATCH_SIZE: 3000, // max amount of a single reaction order
+        INTERVAL: 100, // ticks between planning runs
+        TARGETS: { // empire wide stock to maintain per compound, intermediates get scheduled as required
+            [RESOURCE_CATALYZED_UTRIUM_ACID]: 3000,
+            [RESOURCE_CATALYZED_UTRIUM_ALKALIDE]: 3000,
+            [RESOURCE_CATALYZED_KEANIUM_ACID]: 3000,
+            [RESOURCE_CATALYZED_KEANIUM_ALKALIDE]: 3000,
+            [RESOURCE_CATALYZED_LEMERGIUM_ACID]: 3000,
+            [RESOURCE_CATALYZED_LEMERGIUM_ALKALIDE]: 3000,
+            [RESOURCE_CATALYZED_ZYNTHIUM_ACID]: 3000,
+            [RESOURCE_CATALYZED_ZYNTHIUM_ALKALIDE]: 3000,
+            [RESOURCE_CATALYZED_GHODIUM_ACID]: 3000,
+            [RESOURCE_CATALYZED_GHODIUM_ALKALIDE]: 3000,
+        },
+    },
+    POWER_MINING: {
+        ENABLED: false, // harvest power banks spotted in highway rooms (e.g. by observers)
+        CHECK_INTERVAL: 500, // ticks until a bank that is not worth it gets judged again
+        HAULER_MARGIN: 50, // ticks haulers get sent ahead of the expected break
+        MAX_PAIRS: 3, // max attacker/healer pairs working on one bank
+        MAX_QUEUE: 5, // rooms with more creeps in their spawn queues are too busy
+        MAX_RANGE: 5, // max route range between spawn room and bank
+        MIN_ENERGY: 100000, // storage energy required in the spawn room
+        MIN_POWER: 2000, // ignore smaller banks
+    },
+    DEPOSIT_MINING: {
+        ENABLED: false, // harvest deposits spotted in highway rooms (e.g. by observers)
+        CHECK_INTERVAL: 500, // ticks until a deposit that is not worth it gets judged again
+        HAULERS: 1, // haulers per harvester
+        MAX_COOLDOWN: 60, // stop spawning harvesters once the deposit's lastCooldown exceeds this
+        MAX_HARVESTERS: 2, // max harvesters working on one deposit
+        MAX_QUEUE: 5, // rooms with more creeps in their spawn queues are too busy
+        MAX_RANGE: 4, // max route range between spawn room and deposit
+        MIN_AMOUNT: 1000, // min expected harvest per harvester lifetime
+    },
+    SQUADS: {
+        DEFAULT_TYPE: 'duo', // formation of squad flags without flag.memory.squadType, see Task.squad.squads
+        FORM_RETRIES: 1, // times members which failed to spawn are queued again before the wave is disbanded
+        FORM_TIMEOUT: 1000, // ticks a wave may take to spawn and gather before missing members are queued again
+        MAX_RANGE: 10, // max route range between spawn room and squad flag
+        RESUME_RATIO: 0.95, // retreating squads attack again above this fraction of their combined hits
+        RETREAT_RATIO: 0.6, // squads retreat together below this fraction of their combined hits
+    },
+    SIEGE: {
+        HISTORY_LENGTH: 10, // waves kept in the siege progress history
+        MAX_HEALERS: 3, // healers per dismantler. sieges needing more to tank the towers are put on hold
+        MAX_RANGE: 10, // max route range between spawn room and siege flag
+        RETREAT_RATIO: 0.5, // dismantlers back off below this fraction of their hits until healed up
+        SCOUT_INTERVAL: 500, // ticks between observer checks of a sieged room without vision
+        TEAMS: 2, // dismantler teams per wave
+    },
+    BOOST_REQUESTS: {
+        ENABLED: false, // reserve labs for the boosts declared in task creep definitions (`boosts: [compound, ...]`) and boost creeps before they start working
+        TIMEOUT: 200, // ticks a spawned creep waits for its boost labs to get loaded before leaving unboosted
+    },
+    NUKER: {
+        ENABLED: false, // keep nukers loaded through resource orders and launch them at the targets queued with `Room.queueNuke`
+        LAUNCH_WINDOW: 10, // ticks a strike with landAt may launch late, it lands that much later
+    },
+    FACTORY: {
+        ENABLED: false, // produce commodities in room factories. labTechs and haulers supply the components through resource orders
+        BATTERY_ENERGY: 400000, // pack storage energy above this amount into batteries
+        COMPRESS_AMOUNT: 30000, // compress minerals above this amount (storage, terminal and factory) into bars
+        INTERVAL: 100, // ticks between choosing what to produce
+        RUNS: 10, // production runs worth of components to keep loaded
+        TARGETS: {}, // commodities to keep per room, produced when all components are in the room. leveled ones need an operated factory of that level, e.g. `{ [RESOURCE_COMPOSITE]: 1000 }`
+    },
+    TOWER_FOCUS: {
+        ENABLED: false, // all towers of a room shoot the hostile dying fastest after healing and TOUGH boosts, or hold fire. Otherwise each tower shoots the closest hostile
+        MAX_KILL_TICKS: 20, // hold fire if no hostile dies within this many ticks of focused fire
+    },
+    SAFE_MODE: {
+        ENABLED: false, // activate safe mode when a room can't hold against hostiles. true, false or a function(room)
+        BREACH_HITS: 10000, // ramparts below this amount of hits in range of hostiles count as breached
+        CRITICAL_RANGE: 3, // hostiles this close to a spawn, the storage or the controller are a threat
+        IGNORE_INVADERS: true, // NPC invaders never trigger safe mode
+        NEVER: [], // rooms never using safe mode, e.g. ['W1N1']
+        THREAT_RATIO: 1, // hostiles are outmatching when their threat exceeds our defenseLevel times this ratio
+    },
+    NUKE_DEFENSE: {
+        ENABLED: false, // cover critical structures with ramparts against incoming nukes and stop spawning creeps that would be in the room when they land
+        CRITICAL: [STRUCTURE_SPAWN, STRUCTURE_STORAGE, STRUCTURE_TERMINAL, STRUCTURE_TOWER, STRUCTURE_LAB, STRUCTURE_FACTORY, STRUCTURE_POWER_SPAWN, STRUCTURE_NUKER], // structures worth protecting
+        INTERVAL: 100, // ticks between updating the defense plan of known nukes
+        MARGIN: 100000, // rampart hits required on top of the nuke damage
+        SPAWN_MARGIN: 50, // don't spawn creeps for other rooms finishing less than this many ticks before a landing
+    },
+    INTEL: {
+        ENABLED: false, // keep a record of every room seen in memory segments, see Room.getIntel
+        INTERVAL: 50, // ticks between rescanning the layout of a visible room. hostile sightings and last seen are recorded every tick
+        MAX_AGE: 200000, // forget rooms not seen for this many ticks
+        SAVE_INTERVAL: 20, // ticks between writing changed records to the segments
+    },
+    SCOUTING: {
+        ENABLED: false, // owned rooms send a scout when rooms around them have outdated intel (requires INTEL.ENABLED)
+        INTERVAL: 500, // ticks between checking the intel around each owned room
+        MAX_AGE: 5000, // intel older than this many ticks needs a visit
+        MIN_RCL: 2, // rooms below this level don't send scouts
+        RANGE: 3, // rooms within this many exits of an owned room are explored
+        SIGN: false, // sign controllers of neutral rooms with CONTROLLER_SIGN_MESSAGE on the way
+    },
+    SK_MINING: {
+        FLEE_TICKS: 20, // miners and haulers leave a source this many ticks before its keeper spawns
+        HAULERS: 1, // haulers per miner
+        KEEPER_DAMAGE: 300, // estimated damage per tick a source keeper deals to its killer
+        KEEPER_HITS: 5000, // hits of a source keeper
+        KILLER_HEAL_RATIO: 0.5, // keeper killers heal instead of attacking below this fraction of their hits
+        LAIR_RANGE: 5, // max range between a lair and the source or mineral it guards
+        LAIR_RESPAWN: 300, // ticks until a lair spawns a new keeper
+        LAIR_TRAVEL: 25, // estimated ticks the killer walks between two lairs
+        MAX_RANGE: 3, // max route range between spawn room and mined room
+        MINERALS: true, // mine the room mineral as well
+        SAFE_RANGE: 5, // range miners and haulers keep from living keepers and spawning lairs
+    },
+    REMOTE_MINING: {
+        ENABLED: false, // owned rooms place and remove mining flags in their neighbours to fit their spare spawn time. function parameters: room
+        CONTESTED_FACTOR: 0.5, // score factor of rooms reserved by someone else
+        INTERVAL: 1500, // ticks between planning the remotes
+        INVADER_FACTOR: 0.8, // score factor per invasion within INVADER_WINDOW (requires SEND_STATISTIC_REPORTS)
+        INVADER_WINDOW: 20000, // ticks of invader history to regard
+        MAX_PATH: 150, // max path length from storage to a source
+        MIN_RCL: 3, // rooms below this level or without storage don't plan remotes
+        SPAWN_UTILIZATION: 0.7, // fraction of the spawn time creeps of a room may use in total
+    },
+    EXPANSION: {
+        ENABLED: false, // score claimable rooms from intel when the GCL allows another room (requires INTEL.ENABLED)
+        AUTO_CLAIM: false, // place claim and spawn flags in the best room. otherwise only log the top choices
+        INTERVAL: 5000, // ticks between expansion plannings
+        MAX_RANGE: 8, // max route range from the nearest owned room
+        MIN_RANGE: 2, // min route range from the nearest owned room, closer rooms are left for remote mining
+        NEIGHBOUR_RANGE: 2, // rooms owned by other players within this linear distance count as hostile neighbours
+        SUGGESTIONS: 3, // candidates logged without AUTO_CLAIM
+        WEIGHTS: { // score = sources * SOURCE + NEW_MINERAL - distance * DISTANCE - swamp ratio * SWAMP - hostile neighbours * HOSTILE_NEIGHBOUR
+            DISTANCE: 5,
+            HOSTILE_NEIGHBOUR: 15,
+            NEW_MINERAL: 10,
+            SOURCE: 20,
+            SWAMP: 20,
+        },
+    },
+    SCHEDULER: {
+        ENABLED: false, // run room modules, tasks, roads, statistics and visuals by priority within the cpu budget
+        AGING: 1, // priority gained per missed interval, so postponed jobs get their turn
+        AVERAGE_RUNS: 20, // runs the cpu average of a job is taken over
+        BURST_BUCKET: 9000, // above this bucket the jobs may use BURST_RATIO of the cpu limit
+        BURST_RATIO: 1.5, // share of the cpu limit available with a full bucket
+        CRITICAL_RATIO: 0.5, // share of the cpu limit available below CRITICAL_BUCKET_LEVEL
+        DEFAULT: { // settings of jobs without an entry in JOBS
+            BUDGET: 1, // expected cpu per run until it has been measured
+            INTERVAL: 1, // ticks between runs
+            PRIORITY: 5, // lower runs first, 0 always runs
+        },
+        JOBS: { // overrides by job name, e.g. 'room.labs': {PRIORITY: 6, INTERVAL: 5}
+            'room.defense': {PRIORITY: 0},
+            'room.nuker': {PRIORITY: 0}, // timed nuke strikes have to launch at their tick
+            'room.observers': {PRIORITY: 7},
+            'room.spawns': {PRIORITY: 0},
+            'room.towers': {PRIORITY: 0},
+            'roads': {PRIORITY: 9, BUDGET: 3},
+            'statistics': {PRIORITY: 8},
+            'task.defense': {PRIORITY: 0},
+            'task.guard': {PRIORITY: 1},
+            'visuals': {PRIORITY: 9, BUDGET: 2},
+        },
+        REPORT_INTERVAL: 1000, // ticks between logging starved jobs
+        RESERVED: 0.4, // share of the cpu kept for creeps, spawns and the rest of the loop
+        STARVED_FACTOR: 10, // jobs not run for this many intervals are reported as starved
+    },
+    RECORDER: { // Recorder.start({rooms, creeps, ticks}) records snapshots and intents into the recorder's memory segment
+        MAX_SIZE: 95, // kb a recording may take, it stops when the segment is full
+        SAVE_INTERVAL: 10, // ticks between saving the recording while it runs
+        TICKS: 100, // default length of a recording
+    },
+    MEMORY_GOVERNOR: {
+        ENABLED: false, // measure Memory, collect stale entries and report keys over budget
+        BUDGETS: { // in kb
+            KEYS: { // per top level key
+                population: 150,
+                rooms: 800,
+                tasks: 200,
+            },
+            ROOM: 25, // per entry of Memory.rooms
+            TOTAL: 1500, // all of Memory, the game allows 2048
+        },
+        INTERVAL: 1000, // ticks between audits
+        REPORT_TOP: 5, // biggest keys and rooms listed when over budget
+        ROOM_MAX_AGE: 50000, // room memory without vision for this many ticks is removed, unless a flag is placed in the room
+        TASK_MAX_AGE: 5000, // task memory without flag, room flag, object or creeps for this many ticks is removed
+    },
     MAX_REPAIR_LIMIT: { // Limits how high structures get repaired by towers, regarding RCL
         1: 1000,
         2: 1000,
@@ -0,0 +1,204 @@
+let mod = {};
+module.exports = mod;
+// snapshots of the current recording by tick, persisted in the 'recorder' dataset of OCSMemory
+mod.snapshots = {};
+mod.dirty = false;
+// true once this global took snapshots, they are newer than the saved ones
+mod.recorded = false;
+// intents issued this tick by creep name or structure id
+mod.intents = {};
+mod.intentsTick = 0;
+// tick shown by step
+mod.cursor = null;
+// methods recorded as intents, by prototype
+mod.INTENTS = {
+    Creep: ['attack', 'attackController', 'build', 'claimController', 'dismantle', 'drop', 'harvest', 'heal', 'move', 'pickup',
+        'rangedAttack', 'rangedHeal', 'rangedMassAttack', 'repair', 'reserveController', 'signController', 'transfer', 'upgradeController', 'withdraw'],
+    StructureLab: ['boostCreep', 'runReaction'],
+    StructureLink: ['transferEnergy'],
+    StructureSpawn: ['spawnCreep', 'createCreep'],
+    StructureTerminal: ['send'],
+    StructureTower: ['attack', 'heal', 'repair'],
+};
+// a running recording is newer than the saved one
+mod.loadSnapshots = function(data) {
+    if (mod.recording() || mod.recorded) return;
+    mod.snapshots = data;
+};
+// the saved recording loads on first use, false until it is there
+mod.loaded = function() {
+    if (mod.recorded || OCSMemory.isLoaded('recorder')) return true;
+    OCSMemory.load('recorder');
+    return false;
+};
+// true while Memory.recorder has ticks left
+mod.recording = function() {
+    return !!Memory.recorder && Game.time <= Memory.recorder.until;
+};
+// record rooms and creeps (by name) for a number of ticks, replaces the previous recording
+mod.start = function({rooms = [], creeps = [], ticks = RECORDER.TICKS} = {}) {
+    Memory.recorder = {rooms, creeps, start: Game.time, until: Game.time + ticks - 1};
+    mod.snapshots = {};
+    mod.dirty = true;
+    mod.recorded = true;
+    logSystem('Recorder', `Recording ${rooms.concat(creeps).join(', ')} for ${ticks} ticks.`);
+};
+mod.stop = function() {
+    if (!mod.recording()) return;
+    Memory.recorder.until = Game.time - 1;
+    mod.dirty = true;
+    logSystem('Recorder', `Stopped recording, ${_.size(mod.snapshots)} ticks recorded.`);
+};
+mod.isRecorded = function(object) {
+    const recorder = Memory.recorder;
+    if (object instanceof Creep && recorder.creeps.includes(object.name)) return true;
+    return !!object.room && recorder.rooms.includes(object.room.name);
+};
+// ids and positions instead of game objects, bodies as part counts. options are left out
+mod.compact = function(arg) {
+    if (arg instanceof RoomPosition) return `${arg.x},${arg.y},${arg.roomName}`;
+    if (arg && arg.id) return arg.id;
+    if (_.isArray(arg)) return _.countBy(arg);
+    if (_.isObject(arg)) return null;
+    return arg;
+};
+mod.addIntent = function(object, method, args, result) {
+    if (mod.intentsTick !== Game.time) {
+        mod.intents = {};
+        mod.intentsTick = Game.time;
+    }
+    const key = object instanceof Creep ? object.name : object.id;
+    if (!mod.intents[key]) mod.intents[key] = [];
+    mod.intents[key].push([method, ...args.map(mod.compact), result]);
+};
+// wrap the intent methods, they record their calls while recording
+mod.extend = function() {
+    _.forEach(mod.INTENTS, (methods, type) => {
+        const proto = global[type].prototype;
+        methods.forEach(method => {
+            const original = proto[method];
+            if (!original || original.recorded) return;
+            proto[method] = function(...args) {
+                const result = original.apply(this, args);
+                if (mod.recording() && mod.isRecorded(this)) mod.addIntent(this, method, args, result);
+                return result;
+            };
+            proto[method].recorded = true;
+        });
+    });
+};
+mod.snapshot = function() {
+    const recorder = Memory.recorder;
+    const pos = p => `${p.x},${p.y},${p.roomName}`;
+    const snapshot = {rooms: {}, creeps: {}, flags: [], intents: mod.intentsTick === Game.time ? mod.intents : {}};
+    recorder.rooms.forEach(roomName => {
+        const room = Game.rooms[roomName];
+        if (!room) return;
+        snapshot.rooms[roomName] = {
+            energy: room.energyAvailable,
+            queue: room.my ? [room.spawnQueueHigh.length, room.spawnQueueMedium.length, room.spawnQueueLow.length] : undefined,
+            hostiles: room.hostiles.map(c => `${c.owner.username} ${pos(c.pos)} ${c.id}`),
+        };
+    });
+    _.forEach(Game.creeps, creep => {
+        if (!mod.isRecorded(creep)) return;
+        const data = creep.data || {};
+        snapshot.creeps[creep.name] = {
+            pos: pos(creep.pos),
+            hits: creep.hits,
+            fatigue: creep.fatigue,
+            spawning: creep.spawning || undefined,
+            sum: creep.sum,
+            type: data.creepType,
+            action: data.actionName,
+            target: data.targetId,
+            task: data.destiny ? data.destiny.task : undefined,
+        };
+    });
+    snapshot.flags = _.filter(Game.flags, flag => recorder.rooms.includes(flag.pos.roomName))
+        .map(flag => [flag.name, flag.color, flag.secondaryColor, pos(flag.pos)]);
+    mod.snapshots[Game.time] = snapshot;
+    mod.recorded = true;
+};
+// take this tick's snapshot and save the recording every RECORDER.SAVE_INTERVAL ticks and when it ends
+mod.cleanup = function() {
+    const recording = mod.recording();
+    if (recording) {
+        mod.snapshot();
+        mod.dirty = true;
+    }
+    if (!mod.dirty || (recording && Game.time % RECORDER.SAVE_INTERVAL !== 0)) return;
+    // a recording has to fit into its segment, stop once it is full
+    const ticks = _.keys(mod.snapshots).map(Number).sort((a, b) => a - b);
+    while (ticks.length > 0 && JSON.stringify(mod.snapshots).length / 1024 > RECORDER.MAX_SIZE) {
+        delete mod.snapshots[ticks.pop()];
+        if (mod.recording()) {
+            Memory.recorder.until = Game.time - 1;
+            logSystem('Recorder', `Segment full, stopped recording after ${ticks.length} ticks.`);
+        }
+    }
+    OCSMemory.save('recorder', mod.snapshots);
+    mod.dirty = false;
+};
+// log a recorded tick and draw its creeps and intents in the rooms
+mod.show = function(tick) {
+    if (!mod.loaded()) return 'Loading the recording, try again next tick.';
+    const snapshot = mod.snapshots[tick];
+    if (!snapshot) {
+        const ticks = _.keys(mod.snapshots).map(Number);
+        return ticks.length > 0 ? `No snapshot of ${tick}, recorded ${_.min(ticks)} to ${_.max(ticks)}.` : 'Nothing recorded.';
+    }
+    mod.cursor = Number(tick);
+    _.forEach(snapshot.creeps, (creep, name) => {
+        const [x, y, roomName] = creep.pos.split(',');
+        const intents = (snapshot.intents[name] || []).map(intent => intent[0]).join(' ');
+        new RoomVisual(roomName).text(`${name} ${creep.action || ''} ${intents}`, Number(x), Number(y) - 0.6, {font: 0.4});
+    });
+    const lines = [`tick ${tick}`];
+    _.forEach(snapshot.rooms, (room, roomName) => lines.push(`${roomName} ${JSON.stringify(room)}`));
+    _.forEach(snapshot.creeps, (creep, name) => lines.push(`${name} ${JSON.stringify(creep)} ${JSON.stringify(snapshot.intents[name] || [])}`));
+    _.forEach(snapshot.intents, (intents, id) => {
+        if (!snapshot.creeps[id]) lines.push(`${id} ${JSON.stringify(intents)}`);
+    });
+    return lines.join('\n');
+};
+// the recorded rooms as a fixture for the offline replayer in test/replay.js, with the ids the snapshots refer to
+mod.fixture = function(roomNames = Memory.recorder ? Memory.recorder.rooms : []) {
+    const object = o => ({id: o.id, x: o.pos.x, y: o.pos.y});
+    const store = o => o.store ? _.pick(o.store, amount => amount > 0) : undefined;
+    const rooms = {};
+    roomNames.forEach(roomName => {
+        const room = Game.rooms[roomName];
+        if (!room) return;
+        const terrain = room.getTerrain();
+        const rows = [];
+        for (let y = 0; y < 50; y++) {
+            let row = '';
+            for (let x = 0; x < 50; x++) {
+                const type = terrain.get(x, y);
+                row += type & TERRAIN_MASK_WALL ? '#' : (type & TERRAIN_MASK_SWAMP ? '~' : ' ');
+            }
+            rows.push(row);
+        }
+        const controller = room.controller;
+        rooms[roomName] = {
+            terrain: rows,
+            controller: controller ? _.assign(object(controller), {level: controller.level, owner: controller.owner ? controller.owner.username : null}) : undefined,
+            structures: room.find(FIND_STRUCTURES, {filter: s => s.structureType !== STRUCTURE_CONTROLLER}).map(s => _.assign(object(s), {
+                structureType: s.structureType, name: s.name, owner: s.owner ? s.owner.username : undefined, hits: s.hits, store: store(s),
+            })),
+            sources: room.find(FIND_SOURCES).map(object),
+            minerals: room.find(FIND_MINERALS).map(m => _.assign(object(m), {mineralType: m.mineralType})),
+            creeps: room.find(FIND_CREEPS).map(c => _.assign(object(c), {name: c.name, owner: c.owner.username, body: c.body.map(part => part.type), store: store(c)})),
+        };
+    });
+    return {user: _ME, time: Game.time, rooms};
+};
+// show the next (or previous, with negative ticks) recorded tick
+mod.step = function(ticks = 1) {
+    if (!mod.loaded()) return 'Loading the recording, try again next tick.';
+    const recorded = _.keys(mod.snapshots).map(Number).sort((a, b) => a - b);
+    if (recorded.length === 0) return 'Nothing recorded.';
+    const index = mod.cursor === null ? -1 : _.sortedIndex(recorded, mod.cursor);
+    return mod.show(recorded[Math.max(0, Math.min(recorded.length - 1, index + ticks))]);
+};
@@ -7,12 +7,9 @@ mod.analyzeRoom = function(room, needMemoryResync) {
     if (needMemoryResync) {
         room.processConstructionFlags();
     }
-    room.roadConstruction();
+    if (Scheduler.allowed('roads')) Scheduler.measure('roads', () => room.roadConstruction());
 };
 mod.extend = function() {
-    // Construction related Room variables go here
-    Room.roomLayoutArray = [[,,,,,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION],[,,,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_TOWER,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD],[,,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_SPAWN,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD],[,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_TOWER,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD],[,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION],[STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_NUKER,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION],[STRUCTURE_ROAD,STRUCTURE_TOWER,STRUCTURE_EXTENSION,STRUCTURE_SPAWN,STRUCTURE_ROAD,STRUCTURE_POWER_SPAWN,STRUCTURE_LINK,STRUCTURE_TERMINAL,STRUCTURE_ROAD,STRUCTURE_OBSERVER,STRUCTURE_EXTENSION,STRUCTURE_TOWER,STRUCTURE_ROAD],[STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_STORAGE,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION],[,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION],[,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_TOWER,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_EXTENSION,STRUCTURE_ROAD],[,,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_SPAWN,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD],[,,,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_TOWER,STRUCTURE_ROAD,STRUCTURE_EXTENSION,STRUCTURE_ROAD],[,,,,,STRUCTURE_EXTENSION,STRUCTURE_ROAD,STRUCTURE_EXTENSION]];
-
     // Room property extensions go here
     Object.defineProperties(Room.prototype, {
         'constructionSites': {
@@ -101,6 +98,8 @@ mod.extend = function() {
         const LEVEL = this.controller.level;
         const POS = new RoomPosition(25, 25, this.name);
         const ARGS = [POS, true];
+        // hand placed construction flags first, then the planned layout
+        const FLAGS = (flagColor, type) => FlagDir.filter(flagColor, ...ARGS).concat(this.getLayoutFlags(type));
         const CONSTRUCT = (flag, type) => {
             if (sitesSize >= 100) return;
             if (!flag) return;
@@ -123,7 +122,7 @@ mod.extend = function() {
         // Extensions
         let shortAmount = CONTROLLER_STRUCTURES[STRUCTURE_EXTENSION][LEVEL] - (this.structures.extensions.length + _.filter(this.constructionSites, s => s.structureType === STRUCTURE_EXTENSION).length);
         if (shortAmount > 0) {
-            FlagDir.filter(FLAG_COLOR.construct, ...ARGS).splice(0, shortAmount).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct, STRUCTURE_EXTENSION).splice(0, shortAmount).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_EXTENSION);
             });
         }
@@ -131,7 +130,7 @@ mod.extend = function() {
         // Spawns
         shortAmount = CONTROLLER_STRUCTURES[STRUCTURE_SPAWN][LEVEL] - (this.structures.spawns.length + _.filter(this.constructionSites, s => s.structureType === STRUCTURE_SPAWN).length);
         if (shortAmount > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.spawn, ...ARGS).splice(0, shortAmount).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.spawn, STRUCTURE_SPAWN).splice(0, shortAmount).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_SPAWN);
             });
         }
@@ -139,7 +138,7 @@ mod.extend = function() {
         // Towers
         shortAmount = CONTROLLER_STRUCTURES[STRUCTURE_TOWER][LEVEL] - (this.structures.towers.length + _.filter(this.constructionSites, s => s.structureType === STRUCTURE_TOWER).length);
         if (shortAmount > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.tower, ...ARGS).splice(0, shortAmount).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.tower, STRUCTURE_TOWER).splice(0, shortAmount).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_TOWER);
             });
         }
@@ -147,7 +146,7 @@ mod.extend = function() {
         // Links
         shortAmount = CONTROLLER_STRUCTURES[STRUCTURE_LINK][LEVEL] - (this.structures.links.all.length + _.filter(this.constructionSites, s => s.structureType === STRUCTURE_LINK).length);
         if (shortAmount > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.link, ...ARGS).splice(0, shortAmount).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.link, STRUCTURE_LINK).splice(0, shortAmount).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_LINK);
             });
         }
@@ -155,46 +154,68 @@ mod.extend = function() {
         // Labs
         shortAmount = CONTROLLER_STRUCTURES[STRUCTURE_LAB][LEVEL] - (this.structures.labs.all.length + _.filter(this.constructionSites, s => s.structureType === STRUCTURE_LAB).length);
         if (shortAmount > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.lab, ...ARGS).splice(0, shortAmount).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.lab, STRUCTURE_LAB).splice(0, shortAmount).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_LAB);
             });
         }
 
         // Storage
         if (!this.storage && CONTROLLER_STRUCTURES[STRUCTURE_STORAGE][LEVEL] > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.storage, ...ARGS).splice(0, 1).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.storage, STRUCTURE_STORAGE).splice(0, 1).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_STORAGE);
             });
         }
 
         // Terminal
         if (!this.terminal && CONTROLLER_STRUCTURES[STRUCTURE_TERMINAL][LEVEL] > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.terminal, ...ARGS).splice(0, 1).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.terminal, STRUCTURE_TERMINAL).splice(0, 1).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_TERMINAL);
             });
         }
 
         // Observer
         if (!this.structures.observer && CONTROLLER_STRUCTURES[STRUCTURE_OBSERVER][LEVEL] > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.observer, ...ARGS).splice(0, 1).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.observer, STRUCTURE_OBSERVER).splice(0, 1).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_OBSERVER);
             });
         }
 
         // Nuker
         if (!this.structures.nuker && CONTROLLER_STRUCTURES[STRUCTURE_NUKER][LEVEL] > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.nuker, ...ARGS).splice(0, 1).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.nuker, STRUCTURE_NUKER).splice(0, 1).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_NUKER);
             });
         }
 
         // Power Spawn
         if (!this.structures.powerSpawn && CONTROLLER_STRUCTURES[STRUCTURE_POWER_SPAWN][LEVEL] > 0) {
-            FlagDir.filter(FLAG_COLOR.construct.powerSpawn, ...ARGS).splice(0, 1).forEach(flag => {
+            FLAGS(FLAG_COLOR.construct.powerSpawn, STRUCTURE_POWER_SPAWN).splice(0, 1).forEach(flag => {
                 CONSTRUCT(flag, STRUCTURE_POWER_SPAWN);
             });
         }
 
+        // Roads, a few at a time to leave construction sites for other rooms
+        shortAmount = AUTOMATIC_LAYOUT_ROAD_SITES - _.filter(this.constructionSites, s => s.structureType === STRUCTURE_ROAD).length;
+        if (LEVEL >= AUTOMATIC_LAYOUT_ROAD_LEVEL && shortAmount > 0) {
+            this.getLayoutFlags(STRUCTURE_ROAD).splice(0, shortAmount).forEach(flag => {
+                CONSTRUCT(flag, STRUCTURE_ROAD);
+            });
+        }
+
+        // Ramparts
+        if (CONTROLLER_STRUCTURES[STRUCTURE_RAMPART][LEVEL] > 0 && LEVEL >= RAMPART_PLANNER_LEVEL) {
+            this.getLayoutFlags(STRUCTURE_RAMPART).forEach(flag => {
+                CONSTRUCT(flag, STRUCTURE_RAMPART);
+            });
+        }
+
+        // Walls, closing the barrier between its ramparts
+        if (CONTROLLER_STRUCTURES[STRUCTURE_WALL][LEVEL] > 0 && LEVEL >= RAMPART_PLANNER_LEVEL) {
+            this.getLayoutFlags(STRUCTURE_WALL).forEach(flag => {
+                CONSTRUCT(flag, STRUCTURE_WALL);
+            });
+        }
+
         // Extractor
         if (CONTROLLER_STRUCTURES[STRUCTURE_EXTRACTOR][LEVEL] > 0) {
             const [mineral] = this.find(FIND_MINERALS);
@@ -210,59 +231,12 @@ mod.extend = function() {
         flag = Game.flags[flag.name];
         const room = flag.room;
         if (!room) return;
-        const layout = Room.roomLayoutArray;
-        const constructionFlags = {
-            [STRUCTURE_SPAWN]: FLAG_COLOR.construct.spawn,
-            [STRUCTURE_TOWER]: FLAG_COLOR.construct.tower,
-            [STRUCTURE_EXTENSION]: FLAG_COLOR.construct,
-            [STRUCTURE_LINK]: FLAG_COLOR.construct.link,
-            [STRUCTURE_STORAGE]: FLAG_COLOR.construct.storage,
-            [STRUCTURE_TERMINAL]: FLAG_COLOR.construct.terminal,
-            [STRUCTURE_NUKER]: FLAG_COLOR.construct.nuker,
-            [STRUCTURE_POWER_SPAWN]: FLAG_COLOR.construct.powerSpawn,
-            [STRUCTURE_OBSERVER]: FLAG_COLOR.construct.observer,
-        };
-
-        const [centerX, centerY] = [flag.pos.x, flag.pos.y];
-
-        const placed = [];
-        const sites = [];
-
-        const failed = () => {
+        // plan the base around the flag, it marks the storage of the core stamp
+        if (room.planLayout(flag.pos)) {
+            room.processConstructionFlags();
+        } else {
             flag.pos.newFlag(FLAG_COLOR.command.invalidPosition, 'NO_ROOM');
-            flag.remove();
-            return false;
-        };
-
-        for (let x = 0; x < layout.length; x++) {
-            for (let y = 0; y < layout[x].length; y++) {
-                const xPos = Math.floor(centerX + (x - layout.length / 2) + 1);
-                const yPos = Math.floor(centerY + (y - layout.length / 2) + 1);
-                if (xPos >= 50 || xPos < 0 || yPos >= 50 || yPos < 0) return failed();
-                const pos = room.getPositionAt(xPos, yPos);
-                const structureType = layout[x] && layout[x][y];
-                if (structureType) {
-                    if (Game.map.getTerrainAt(pos) === 'wall') return failed();
-                    if (structureType === STRUCTURE_ROAD) {
-                        sites.push(pos);
-                    } else {
-                        const flagColour = constructionFlags[structureType];
-                        placed.push({
-                            flagColour, pos
-                        });
-                    }
-                }
-            }
         }
-
-        placed.forEach(f => {
-            f.pos.newFlag(f.flagColour);
-        });
-        _.forEach(sites, p => {
-            if (_.size(Game.constructionSites) >= 100) return false;
-            p.createConstructionSite(STRUCTURE_ROAD);
-        });
-
         flag.remove();
     };
-};
\ No newline at end of file
+};
@@ -1,7 +1,14 @@
 const mod = {};
 module.exports = mod;
 mod.analyzeRoom = function(room) {
-    if (room.hostiles.length > 0) room.processInvaders();
+    if (room.hostiles.length > 0) {
+        room.processInvaders();
+        if (room.my) room.checkSafeMode();
+    }
+    if (NUKE_DEFENSE.ENABLED && room.my) {
+        if (room.nukes.length > 0) room.processNukes();
+        else delete room.memory.nukeDefense;
+    }
 };
 const triggerNewInvaders = creep => {
     // create notification
@@ -102,6 +109,30 @@ mod.extend = function() {
                 return this._hostileIds;
             }
         },
+        'nukes': {
+            configurable: true,
+            get: function() {
+                if( _.isUndefined(this._nukes) ){
+                    this._nukes = this.find(FIND_NUKES);
+                }
+                return this._nukes;
+            }
+        },
+        'nukeFortifyable': {
+            configurable: true,
+            get: function() {
+                if( _.isUndefined(this._nukeFortifyable) ){
+                    // ramparts covering critical structures, still below the hits to survive the nukes
+                    const plan = this.memory.nukeDefense;
+                    const below = entry => {
+                        const rampart = _.find(this.lookForAt(LOOK_STRUCTURES, entry.x, entry.y), s => s.structureType === STRUCTURE_RAMPART);
+                        return rampart && rampart.hits < entry.hits ? rampart : null;
+                    };
+                    this._nukeFortifyable = plan ? _.sortBy(_.compact(plan.ramparts.map(below)), 'hits') : [];
+                }
+                return this._nukeFortifyable;
+            }
+        },
         'hostileThreatLevel': {
             configurable: true,
             get: function () {
@@ -173,6 +204,101 @@ mod.extend = function() {
         this.memory.hostileIds = this.hostileIds;
     };
 
+    // true if safe mode may be activated in this room right now
+    Room.prototype.canActivateSafeMode = function() {
+        const controller = this.controller;
+        if (!this.my || SAFE_MODE.NEVER.includes(this.name) || !Util.fieldOrFunction(SAFE_MODE.ENABLED, this)) return false;
+        if (controller.safeMode || !controller.safeModeAvailable || controller.safeModeCooldown || controller.upgradeBlocked) return false;
+        // only one room can be in safe mode at a time
+        return !_.some(Game.rooms, room => room.my && room.controller.safeMode);
+    };
+
+    // activate safe mode if the room can't hold against its hostiles
+    Room.prototype.checkSafeMode = function() {
+        if (!this.canActivateSafeMode()) return;
+        const hostiles = SAFE_MODE.IGNORE_INVADERS ? this.hostiles.filter(c => c.owner.username !== 'Invader') : this.hostiles;
+        if (hostiles.length === 0) return;
+        // outmatched by the hostile threat
+        if (_.sum(hostiles, 'threat') <= this.defenseLevel.sum * SAFE_MODE.THREAT_RATIO) return;
+        // close to what we can't afford to lose
+        const critical = this.structures.spawns.concat(_.compact([this.storage, this.controller]));
+        const close = _.some(hostiles, hostile => critical.some(target => hostile.pos.inRangeTo(target, SAFE_MODE.CRITICAL_RANGE)));
+        // next to ramparts about to break
+        const breached = _.some(this.structures.my, s => s.structureType === STRUCTURE_RAMPART && s.hits < SAFE_MODE.BREACH_HITS &&
+            hostiles.some(hostile => hostile.pos.inRangeTo(s, 3)));
+        if (!close && !breached) return;
+        const result = this.controller.activateSafeMode();
+        const message = `Activating safe mode against ${JSON.stringify(_.countBy(hostiles, c => c.owner.username))}` +
+            `${close ? ', hostiles close to critical structures' : ''}${breached ? ', ramparts breached' : ''}: ${translateErrorCode(result)}`;
+        logSystem(this.name, message);
+        if (result === OK) Game.notify(`Room ${this.name}: ${message}`);
+    };
+
+    Room.prototype.processNukes = function() {
+        const plan = this.memory.nukeDefense;
+        const arrived = !plan || _.some(this.nukes, nuke => !plan.ids.includes(nuke.id));
+        const due = Scheduler.due(`room.defense.nukes.${this.name}`, NUKE_DEFENSE.INTERVAL);
+        if (arrived || due) this.planNukeDefense(arrived);
+    };
+
+    // true if a creep spawned now would be in the room when a nuke lands. the landing kills every creep in the room,
+    // creeps working here are exposed for their whole lifetime, creeps heading to other rooms while spawning
+    Room.prototype.nukeExposes = function(body, destiny) {
+        if (!NUKE_DEFENSE.ENABLED || this.nukes.length === 0) return false;
+        const remote = destiny && destiny.room && destiny.room !== this.name;
+        const lifeTime = body.includes(CLAIM) ? CREEP_CLAIM_LIFE_TIME : CREEP_LIFE_TIME;
+        const ticks = body.length * CREEP_SPAWN_TIME + (remote ? NUKE_DEFENSE.SPAWN_MARGIN : lifeTime);
+        return _.some(this.nukes, nuke => nuke.timeToLand <= ticks);
+    };
+
+    // damage each tile takes from the incoming nukes, keyed by 'x,y'
+    Room.prototype.getNukeDamage = function() {
+        const damage = {};
+        this.nukes.forEach(nuke => {
+            for (let x = Math.max(nuke.pos.x - 2, 0); x <= Math.min(nuke.pos.x + 2, 49); x++) {
+                for (let y = Math.max(nuke.pos.y - 2, 0); y <= Math.min(nuke.pos.y + 2, 49); y++) {
+                    const key = `${x},${y}`;
+                    const hit = (x === nuke.pos.x && y === nuke.pos.y) ? NUKE_DAMAGE[0] : NUKE_DAMAGE[2];
+                    damage[key] = (damage[key] || 0) + hit;
+                }
+            }
+        });
+        return damage;
+    };
+
+    // cover critical structures in the blast radius with ramparts strong enough to take the damage
+    Room.prototype.planNukeDefense = function(notify) {
+        const damage = this.getNukeDamage();
+        const maxHits = RAMPART_HITS_MAX[this.controller.level] || 0;
+        const ramparts = [];
+        const lost = [];
+        this.find(FIND_MY_STRUCTURES, {
+            filter: s => NUKE_DEFENSE.CRITICAL.includes(s.structureType) && damage[`${s.pos.x},${s.pos.y}`]
+        }).forEach(structure => {
+            const hits = damage[`${structure.pos.x},${structure.pos.y}`] + NUKE_DEFENSE.MARGIN;
+            if (hits > maxHits) {
+                lost.push(structure.structureType);
+                return;
+            }
+            ramparts.push({x: structure.pos.x, y: structure.pos.y, hits});
+            const covered = structure.pos.lookFor(LOOK_STRUCTURES).some(s => s.structureType === STRUCTURE_RAMPART) ||
+                structure.pos.lookFor(LOOK_CONSTRUCTION_SITES).some(s => s.structureType === STRUCTURE_RAMPART);
+            if (!covered) this.createConstructionSite(structure.pos, STRUCTURE_RAMPART);
+        });
+        const landing = Game.time + _.min(this.nukes, 'timeToLand').timeToLand;
+        this.memory.nukeDefense = {ids: _.map(this.nukes, 'id'), landing, ramparts};
+        if (notify) {
+            const missing = _.sum(ramparts, entry => {
+                const rampart = _.find(this.lookForAt(LOOK_STRUCTURES, entry.x, entry.y), s => s.structureType === STRUCTURE_RAMPART);
+                return Math.max(entry.hits - (rampart ? rampart.hits : 0), 0);
+            });
+            const message = `${this.nukes.length} nukes incoming, first landing at ${landing}. Fortifying ${ramparts.length} critical structures, ${missing} rampart hits missing.` +
+                (lost.length > 0 ? ` Can't be saved: ${JSON.stringify(_.countBy(lost))}.` : '');
+            logSystem(this.name, message);
+            Game.notify(`Room ${this.name}: ${message}`);
+        }
+    };
+
     Room.prototype.registerIsHostile = function() {
         if (this.controller) {
             if (_.isUndefined(this.hostile) || typeof this.hostile === 'number') { // not overridden by user
@@ -0,0 +1,138 @@
+const mod = {};
+module.exports = mod;
+mod.analyze = function() {
+    if (!EXPANSION.ENABLED || !INTEL.ENABLED || Memory.CPU_CRITICAL) return;
+    if (!Scheduler.due('room.expansion', EXPANSION.INTERVAL)) return;
+    Room.planExpansion();
+};
+mod.extend = function() {
+    // true if the GCL allows another room and no claim is in progress
+    Room.canExpand = function() {
+        const owned = _.filter(Game.rooms, room => room.my).length;
+        return Game.gcl.level > owned && !FlagDir.findName(FLAG_COLOR.claim, null, false);
+    };
+
+    // layout center for the core stamp using the terrain only, null if it doesn't fit
+    Room.findExpansionCenter = function(roomName, intel) {
+        const index = (x, y) => y * 50 + x;
+        const range = (i, pos) => Math.max(Math.abs(i % 50 - pos.x), Math.abs(Math.floor(i / 50) - pos.y));
+        const terrain = Game.map.getRoomTerrain(roomName);
+        const blocked = new Uint8Array(2500);
+        let swamps = 0;
+        let plains = 0;
+        for (let y = 0; y < 50; y++) {
+            for (let x = 0; x < 50; x++) {
+                const t = terrain.get(x, y);
+                if (t & TERRAIN_MASK_WALL || x < 3 || x > 46 || y < 3 || y > 46) blocked[index(x, y)] = 1;
+                if (t & TERRAIN_MASK_WALL) continue;
+                if (t & TERRAIN_MASK_SWAMP) swamps++;
+                else plains++;
+            }
+        }
+        const targets = [intel.controller].concat(intel.sources);
+        if (intel.mineral) targets.push(intel.mineral);
+        targets.forEach(pos => {
+            for (let x = pos.x - 1; x <= pos.x + 1; x++) {
+                for (let y = pos.y - 1; y <= pos.y + 1; y++) {
+                    if (x >= 0 && x < 50 && y >= 0 && y < 50) blocked[index(x, y)] = 1;
+                }
+            }
+        });
+        // distance transform, same as the layout planner
+        const dist = new Uint8Array(2500);
+        for (let y = 0; y < 50; y++) {
+            for (let x = 0; x < 50; x++) {
+                const i = index(x, y);
+                if (blocked[i]) continue;
+                dist[i] = Math.min(dist[i - 1], dist[i - 51], dist[i - 50], dist[i - 49]) + 1;
+            }
+        }
+        for (let y = 49; y >= 0; y--) {
+            for (let x = 49; x >= 0; x--) {
+                const i = index(x, y);
+                if (!dist[i]) continue;
+                dist[i] = Math.min(dist[i], dist[i + 1] + 1, dist[i + 51] + 1, dist[i + 50] + 1, dist[i + 49] + 1);
+            }
+        }
+        const anchors = [intel.controller].concat(intel.sources);
+        let centerIndex;
+        let best = Infinity;
+        for (let i = 0; i < 2500; i++) {
+            if (dist[i] < 3) continue;
+            const score = _.sum(anchors, t => range(i, t)) - dist[i];
+            if (score < best) {
+                best = score;
+                centerIndex = i;
+            }
+        }
+        return {
+            center: _.isUndefined(centerIndex) ? null : {x: centerIndex % 50, y: Math.floor(centerIndex / 50)},
+            swampRatio: swamps / Math.max(swamps + plains, 1),
+        };
+    };
+
+    // score a room for claiming from its intel, null if it can't be claimed
+    Room.scoreExpansion = function(roomName) {
+        const intel = Room.getIntel(roomName);
+        if (!intel || !intel.controller || intel.owner || intel.lairs || !intel.sources || intel.sources.length === 0) return null;
+        if (intel.reservation && intel.reservation.username !== ME && intel.reservation.end > Game.time) return null;
+        const myRooms = _.filter(Game.rooms, room => room.my);
+        const distance = _.min(myRooms.map(room => routeRange(room.name, roomName)));
+        if (distance < EXPANSION.MIN_RANGE || distance > EXPANSION.MAX_RANGE) return null;
+        const layout = Room.findExpansionCenter(roomName, intel);
+        if (!layout.center) return null;
+        const WEIGHTS = EXPANSION.WEIGHTS;
+        const ownedMinerals = _.uniq(myRooms.map(room => room.mineralType));
+        const newMineral = intel.mineral && !ownedMinerals.includes(intel.mineral.type);
+        const hostileNeighbours = _.filter(Room.findIntel(i => i.owner && i.owner !== ME && !Task.reputation.isAlly(i.owner)),
+            (i, name) => Game.map.getRoomLinearDistance(roomName, name) <= EXPANSION.NEIGHBOUR_RANGE).length;
+        const score = intel.sources.length * WEIGHTS.SOURCE +
+            (newMineral ? WEIGHTS.NEW_MINERAL : 0) -
+            distance * WEIGHTS.DISTANCE -
+            layout.swampRatio * WEIGHTS.SWAMP -
+            hostileNeighbours * WEIGHTS.HOSTILE_NEIGHBOUR;
+        return {
+            roomName,
+            score: _.round(score, 2),
+            sources: intel.sources.length,
+            mineral: intel.mineral ? intel.mineral.type : null,
+            distance,
+            swampRatio: _.round(layout.swampRatio, 2),
+            hostileNeighbours,
+            center: layout.center,
+        };
+    };
+
+    // claimable rooms from intel, best first
+    Room.expansionCandidates = function() {
+        const candidates = _.compact(_.keys(Room.findIntel(i => i.controller && !i.owner)).map(Room.scoreExpansion));
+        return _.sortBy(candidates, c => -c.score);
+    };
+
+    // suggest the best rooms or place the claim and spawn flags, depending on EXPANSION.AUTO_CLAIM
+    Room.planExpansion = function() {
+        if (!Room.canExpand()) return;
+        const candidates = Room.expansionCandidates();
+        if (candidates.length === 0) {
+            if (global.DEBUG) logSystem('Room.planExpansion', 'No expansion candidates known.');
+            return;
+        }
+        const [best] = candidates;
+        if (EXPANSION.AUTO_CLAIM) {
+            const intel = Room.getIntel(best.roomName);
+            const controller = new RoomPosition(intel.controller.x, intel.controller.y, best.roomName);
+            // the spawn takes its place in the core stamp, so the layout planner anchors on it
+            const spawnOffset = _.find(Room.layoutCore, c => c[2] === STRUCTURE_SPAWN);
+            const spawn = new RoomPosition(best.center.x + spawnOffset[0], best.center.y + spawnOffset[1], best.roomName);
+            controller.createFlag(null, FLAG_COLOR.claim.color, FLAG_COLOR.claim.secondaryColor);
+            spawn.createFlag(null, FLAG_COLOR.claim.spawn.color, FLAG_COLOR.claim.spawn.secondaryColor);
+            logSystem(best.roomName, `Claiming expansion, score ${best.score}.`);
+            Game.notify(`Claiming expansion ${best.roomName}, score ${best.score}.`);
+            return;
+        }
+        candidates.slice(0, EXPANSION.SUGGESTIONS).forEach((c, i) => {
+            logSystem('Room.planExpansion', `#${i + 1} ${c.roomName}: score ${c.score}, ${c.sources} sources, ${c.mineral}, ` +
+                `${c.distance} rooms away, ${Math.round(c.swampRatio * 100)}% swamp, ${c.hostileNeighbours} hostile neighbours`);
+        });
+    };
+};
@@ -0,0 +1,84 @@
+const mod = {};
+module.exports = mod;
+mod.analyzeRoom = function(room, needMemoryResync) {
+    if (needMemoryResync) {
+        room.saveFactory();
+    }
+    if (FACTORY.ENABLED && !Memory.CPU_CRITICAL && room.structures.factory) room.processFactory();
+};
+mod.extend = function() {
+    // compressed commodity per mineral
+    Room.factoryBars = {
+        [RESOURCE_UTRIUM]: RESOURCE_UTRIUM_BAR,
+        [RESOURCE_LEMERGIUM]: RESOURCE_LEMERGIUM_BAR,
+        [RESOURCE_ZYNTHIUM]: RESOURCE_ZYNTHIUM_BAR,
+        [RESOURCE_KEANIUM]: RESOURCE_KEANIUM_BAR,
+        [RESOURCE_GHODIUM]: RESOURCE_GHODIUM_MELT,
+        [RESOURCE_OXYGEN]: RESOURCE_OXIDANT,
+        [RESOURCE_HYDROGEN]: RESOURCE_REDUCTANT,
+        [RESOURCE_CATALYST]: RESOURCE_PURIFIER,
+    };
+
+    Room.prototype.saveFactory = function() {
+        let [factory] = this.find(FIND_MY_STRUCTURES, {
+            filter: (structure) => ( structure.structureType == STRUCTURE_FACTORY )
+        });
+        if (factory) {
+            if (!this.memory.factory || this.memory.factory.id != factory.id) this.memory.factory = { id: factory.id };
+        } else delete this.memory.factory;
+    };
+
+    // amount of a resource held in storage, terminal and factory
+    Room.prototype.getFactoryStock = function(resourceType) {
+        const factory = this.structures.factory;
+        return (this.storage ? this.storage.store[resourceType] || 0 : 0) +
+            (this.terminal ? this.terminal.store[resourceType] || 0 : 0) +
+            (factory ? factory.store[resourceType] || 0 : 0);
+    };
+
+    // the commodity worth producing next: configured targets first, then batteries and bars
+    Room.prototype.getFactoryProduction = function() {
+        const factory = this.structures.factory;
+        const operated = _.some(factory.effects, e => e.effect === PWR_OPERATE_FACTORY);
+        const available = type => {
+            const recipe = COMMODITIES[type];
+            if (!recipe) return false;
+            if (recipe.level && (recipe.level !== factory.level || !operated)) return false;
+            return _.every(recipe.components, (amount, component) => this.getFactoryStock(component) >= amount);
+        };
+        const target = _.findKey(FACTORY.TARGETS, (amount, type) => this.getFactoryStock(type) < amount && available(type));
+        if (target) return target;
+        if (this.storage && (this.storage.store.energy || 0) > FACTORY.BATTERY_ENERGY && available(RESOURCE_BATTERY)) return RESOURCE_BATTERY;
+        const minerals = _.filter(_.keys(Room.factoryBars), mineral => this.getFactoryStock(mineral) > FACTORY.COMPRESS_AMOUNT && available(Room.factoryBars[mineral]));
+        if (minerals.length > 0) return Room.factoryBars[_.max(minerals, mineral => this.getFactoryStock(mineral))];
+        return null;
+    };
+
+    // choose the production and have the factory loaded with its components
+    Room.prototype.planFactory = function() {
+        const factory = this.structures.factory;
+        const data = this.memory.factory;
+        const production = this.getFactoryProduction();
+        if (production !== data.production && global.DEBUG) logSystem(this.name, production ? `Factory producing ${production}.` : 'Factory idle.');
+        data.production = production;
+        const components = production ? COMMODITIES[production].components : {};
+        // components of earlier productions get unloaded
+        const orders = _.get(this.memory, ['resources', STRUCTURE_FACTORY, 0, 'orders'], []);
+        orders.forEach(order => {
+            if (!components[order.type] && order.storeAmount > 0) this.setStore(factory.id, order.type, 0);
+        });
+        _.forEach(components, (amount, component) => this.setStore(factory.id, component, amount * FACTORY.RUNS));
+    };
+
+    Room.prototype.processFactory = function() {
+        const factory = this.structures.factory;
+        if (Scheduler.due(`room.factory.${this.name}`, FACTORY.INTERVAL) || _.isUndefined(this.memory.factory.production)) this.planFactory();
+        const production = this.memory.factory.production;
+        if (!production || factory.cooldown > 0) return;
+        const recipe = COMMODITIES[production];
+        if (_.every(recipe.components, (amount, component) => (factory.store[component] || 0) >= amount)) {
+            if (global.DEBUG && global.TRACE) trace('Room', { roomName: this.name, actionName: 'processFactory', resourceType: production });
+            factory.produce(production);
+        }
+    };
+};
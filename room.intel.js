@@ -0,0 +1,104 @@
+const mod = {};
+module.exports = mod;
+// intel records per room name, persisted in the 'roomIntel' dataset of OCSMemory
+mod.intel = {};
+mod.intelLoaded = false;
+mod.intelDirty = false;
+mod.loadIntel = function(data) {
+    // records are spread over several segments, keep the latest of each room
+    _.forEach(data, (record, roomName) => {
+        if (!mod.intel[roomName] || mod.intel[roomName].lastSeen < record.lastSeen) mod.intel[roomName] = record;
+    });
+    mod.intelLoaded = true;
+};
+mod.analyze = function() {
+    if (!INTEL.ENABLED) return;
+    if (!mod.intelLoaded) return OCSMemory.load('roomIntel');
+    if (!Scheduler.due('room.intel.prune', INTEL.SAVE_INTERVAL)) return;
+    // forget rooms not seen for too long
+    _.forEach(mod.intel, (record, roomName) => {
+        if (Game.time - record.lastSeen > INTEL.MAX_AGE) {
+            delete mod.intel[roomName];
+            mod.intelDirty = true;
+        }
+    });
+};
+mod.analyzeRoom = function(room) {
+    if (!INTEL.ENABLED || !mod.intelLoaded) return;
+    room.recordIntel();
+};
+mod.executeRoom = function(memory, roomName) {
+    const room = Game.rooms[roomName];
+    if (room && room.my && Scheduler.due(`explorationDue.${roomName}`, SCOUTING.INTERVAL)) Room.explorationDue.trigger(room);
+};
+mod.cleanup = function() {
+    if (mod.intelDirty && Scheduler.due('room.intel.save', INTEL.SAVE_INTERVAL)) {
+        OCSMemory.save('roomIntel', mod.intel);
+        mod.intelDirty = false;
+    }
+};
+mod.extend = function() {
+    Room.loadIntel = mod.loadIntel;
+    // the last known state of a room, undefined if never seen
+    Room.getIntel = function(roomName) {
+        return mod.intel[roomName];
+    };
+    // all records matching a filter function or lodash matches object, by room name
+    Room.findIntel = function(filter) {
+        return _.pick(mod.intel, filter);
+    };
+    // ticks since a room was visible, Infinity if never seen
+    Room.intelAge = function(roomName) {
+        const record = mod.intel[roomName];
+        return record ? Game.time - record.lastSeen : Infinity;
+    };
+
+    Room.prototype.recordIntel = function() {
+        let record = mod.intel[this.name];
+        if (!record) record = mod.intel[this.name] = {};
+        record.lastSeen = Game.time;
+        const hostiles = this.hostiles;
+        if (hostiles.length > 0) {
+            record.hostiles = {
+                tick: Game.time,
+                count: hostiles.length,
+                owners: _.uniq(_.map(hostiles, 'owner.username')),
+                threat: this.hostileThreatLevel,
+            };
+        }
+        // the layout changes slowly, only scan it every now and then
+        if (!record.updated || Game.time - record.updated >= INTEL.INTERVAL) {
+            this.scanIntel(record);
+            record.updated = Game.time;
+        }
+        mod.intelDirty = true;
+    };
+
+    Room.prototype.scanIntel = function(record) {
+        const controller = this.controller;
+        record.controller = controller ? {x: controller.pos.x, y: controller.pos.y} : undefined;
+        record.owner = this.owner || undefined;
+        record.level = controller && controller.owner ? controller.level : undefined;
+        record.reservation = controller && controller.reservation ? {
+            username: controller.reservation.username,
+            end: Game.time + controller.reservation.ticksToEnd,
+        } : undefined;
+        const towers = this.find(FIND_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_TOWER && s.owner && !s.my
+        });
+        record.towers = towers.length;
+        record.towerEnergy = _.sum(towers, 'energy');
+        record.sources = this.sources.map(s => ({id: s.id, x: s.pos.x, y: s.pos.y}));
+        const [mineral] = this.find(FIND_MINERALS);
+        record.mineral = mineral ? {id: mineral.id, type: mineral.mineralType, density: mineral.density, x: mineral.pos.x, y: mineral.pos.y} : undefined;
+        const portals = this.find(FIND_STRUCTURES, {filter: s => s.structureType === STRUCTURE_PORTAL});
+        record.portals = portals.length > 0 ? portals.map(p => ({
+            x: p.pos.x,
+            y: p.pos.y,
+            room: p.destination.roomName || p.destination.room,
+            shard: p.destination.shard,
+        })) : undefined;
+        const lairs = this.find(FIND_STRUCTURES, {filter: s => s.structureType === STRUCTURE_KEEPER_LAIR});
+        record.lairs = lairs.length > 0 ? lairs.map(l => ({id: l.id, x: l.pos.x, y: l.pos.y})) : undefined;
+    };
+};
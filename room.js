@@ -106,10 +106,13 @@ mod.extend = function(){
                 get: function() {
                     if( _.isUndefined(this._fortifyableSites) ){
                         let that = this;
-                        this._fortifyableSites = _.sortBy(
+                        // ramparts against incoming nukes go first, even above MAX_FORTIFY_LIMIT
+                        const nukeFortifyable = that.room.nukeFortifyable;
+                        this._fortifyableSites = nukeFortifyable.concat(_.sortBy(
                             that.all.filter(
                                 structure => (
                                     that.room.my &&
+                                    !nukeFortifyable.includes(structure) &&
                                     structure.hits < structure.hitsMax &&
                                     structure.hits < MAX_FORTIFY_LIMIT[that.room.controller.level] &&
                                     ( structure.structureType != STRUCTURE_CONTAINER || structure.hits < MAX_FORTIFY_CONTAINER ) &&
@@ -119,7 +122,7 @@ mod.extend = function(){
                                 )
                             ),
                             'hits'
-                        );
+                        ));
                     }
                     return this._fortifyableSites;
                 }
@@ -196,6 +199,15 @@ mod.extend = function(){
                     return this._observer;
                 },
             },
+            'factory': {
+                configurable: true,
+                get: function() {
+                    if (_.isUndefined(this._factory) && this.room.memory.factory) {
+                        this._factory = Game.getObjectById(this.room.memory.factory.id);
+                    }
+                    return this._factory;
+                },
+            },
             'nuker': {
                 configurable: true,
                 get: function() {
@@ -975,22 +987,25 @@ mod.needMemoryResync = function(room) {
 };
 mod.analyze = function() {
     const p = Util.startProfiling('Room.analyze', {enabled:PROFILING.ROOMS});
-    // run analyze in each of our submodules
-    for (const key of Object.keys(Room._ext)) {
-        if (Room._ext[key].analyze) Room._ext[key].analyze();
+    // run analyze in each of our submodules, as far as the scheduler allows
+    const scheduled = Object.keys(Room._ext).filter(key => Scheduler.allowed(`room.${key}`));
+    for (const key of scheduled) {
+        if (Room._ext[key].analyze) Scheduler.measure(`room.${key}`, () => Room._ext[key].analyze());
     }
     const totalSitesChanged = Room.totalSitesChanged();
     const totalStructuresChanged = Room.totalStructuresChanged();
     const getEnvironment = room => {
         try {
             const needMemoryResync = Room.needMemoryResync(room);
-            // run analyzeRoom in each of our submodules
-            for (const key of Object.keys(Room._ext)) {
-                if (Room._ext[key].analyzeRoom) Room._ext[key].analyzeRoom(room, needMemoryResync);
+            // run analyzeRoom in each of our submodules, in all of them when memory gets resynced
+            for (const key of needMemoryResync ? Object.keys(Room._ext) : scheduled) {
+                if (Room._ext[key].analyzeRoom) Scheduler.measure(`room.${key}`, () => Room._ext[key].analyzeRoom(room, needMemoryResync));
             }
             if (totalSitesChanged) room.countMySites();
             if (totalStructuresChanged) room.countMyStructures();
             room.checkRCL();
+            // only rooms with memory, MemoryGovernor.collect starts the others' age once they got some
+            if (MEMORY_GOVERNOR.ENABLED && Memory.rooms[room.name]) Memory.rooms[room.name].lastSeen = Game.time;
         }
         catch(err) {
             Game.notify('Error in room.js (Room.prototype.loop) for "' + room.name + '" : ' + err.stack ? err + '<br/>' + err.stack : err);
@@ -1005,15 +1020,16 @@ mod.analyze = function() {
 };
 mod.execute = function() {
     const p = Util.startProfiling('Room.execute', {enabled:PROFILING.ROOMS});
-    // run execute in each of our submodules
-    for (const key of Object.keys(Room._ext)) {
-        if (Room._ext[key].execute) Room._ext[key].execute();
+    // run execute in each of our submodules, as far as the scheduler allows
+    const scheduled = Object.keys(Room._ext).filter(key => Scheduler.allowed(`room.${key}`));
+    for (const key of scheduled) {
+        if (Room._ext[key].execute) Scheduler.measure(`room.${key}`, () => Room._ext[key].execute());
     }
     let run = (memory, roomName) => {
         try {
             // run executeRoom in each of our submodules
-            for (const key of Object.keys(Room._ext)) {
-                if (Room._ext[key].executeRoom) Room._ext[key].executeRoom(memory, roomName);
+            for (const key of scheduled) {
+                if (Room._ext[key].executeRoom) Scheduler.measure(`room.${key}`, () => Room._ext[key].executeRoom(memory, roomName));
             }
             const room = Game.rooms[roomName];
             if (room) { // has sight
@@ -1039,7 +1055,7 @@ mod.cleanup = function() {
     }
     // flush changes to the pathfinderCache but wait until load
     if (!_.isUndefined(Memory.pathfinder)) {
-        OCSMemory.saveSegment(MEM_SEGMENTS.COSTMATRIX_CACHE, Memory.pathfinder);
+        OCSMemory.save('costMatrixCache', Memory.pathfinder);
         delete Memory.pathfinder;
     }
     if (Room.pathfinderCacheDirty && Room.pathfinderCacheLoaded) {
@@ -1058,7 +1074,7 @@ mod.cleanup = function() {
                 if (entry.stale) encodedCache[key].stale = true;
             }
         }
-        OCSMemory.saveSegment(MEM_SEGMENTS.COSTMATRIX_CACHE, encodedCache);
+        OCSMemory.save('costMatrixCache', encodedCache);
         Room.pathfinderCacheDirty = false;
     }
 };
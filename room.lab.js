@@ -6,6 +6,13 @@ mod.analyzeRoom = function(room, needMemoryResync) {
     }
     if (room.structures.labs.all.length > 0) room.processLabs();
 };
+mod.register = function() {
+    Creep.spawningStarted.on(params => Room.handleBoostSpawning(params));
+};
+mod.analyze = function() {
+    if (!REACTION_PLANNER.ENABLED || Memory.CPU_CRITICAL) return;
+    if (Scheduler.due('room.lab', REACTION_PLANNER.INTERVAL)) Room.planReactions();
+};
 mod.extend = function() {
     // Labs constructor
     Room.Labs = function(room){
@@ -69,9 +76,10 @@ mod.extend = function() {
 
     Room.prototype.processLabs = function() {
         // only process labs every 10 turns and avoid room tick
-        if (Game.time % LAB_COOLDOWN !== 5) return;
+        if (!Scheduler.due(`room.lab.${this.name}`, LAB_COOLDOWN, 5)) return;
         let labs = this.find(FIND_MY_STRUCTURES, { filter: (s) => { return s.structureType == STRUCTURE_LAB; } } );
         if (!this.memory.resources) return;
+        this.updateBoostLabs();
         // run basic reactions
         let master_labs = labs.filter( (l) => {
             let data = this.memory.resources.lab.find( (s) => s.id == l.id );
@@ -547,5 +555,159 @@ mod.extend = function() {
 
         return OK;
     };
+
+    // amount of each requested compound that can be applied to body. skips compounds we don't have in stock
+    Room.prototype.getBoostRequest = function(compounds, body) {
+        const boosts = {};
+        if (!BOOST_REQUESTS.ENABLED || !this.my || this.structures.labs.all.length === 0) return boosts;
+        const counts = _.countBy(body);
+        const partTypes = [];
+        compounds.forEach(compound => {
+            const partType = Creep.action.boosting.getBoostPartType(compound);
+            const amount = (counts[partType] || 0) * LAB_BOOST_MINERAL;
+            if (amount === 0 || partTypes.includes(partType)) return;
+            let stock = (this.storage ? this.storage.store[compound] || 0 : 0) + (this.terminal ? this.terminal.store[compound] || 0 : 0);
+            this.structures.labs.all.forEach(lab => {
+                if (lab.mineralType === compound) stock += lab.mineralAmount;
+            });
+            if (stock < amount) return;
+            partTypes.push(partType);
+            boosts[compound] = amount;
+        });
+        return boosts;
+    };
+
+    // reserve an idle lab per boost and have it loaded with the compound and energy
+    Room.prototype.reserveBoostLabs = function(creepName, boosts, spawnTime = 0) {
+        const creepData = Memory.population[creepName];
+        if (!creepData) return ERR_NOT_FOUND;
+        const spawnPos = this.structures.spawns.length ? this.structures.spawns[0].pos : this.controller.pos;
+        const reserved = [];
+        _.forEach(boosts, (amount, compound) => {
+            const labs = this.structures.labs.all.filter(lab => {
+                const data = this.memory.resources && this.memory.resources.lab.find(l => l.id === lab.id);
+                return lab.mineralCapacity >= amount && (!data || data.reactionState === LAB_IDLE);
+            });
+            if (labs.length === 0) return;
+            // prefer labs already holding the compound, then empty ones
+            const lab = _.min(labs, l => (l.mineralType === compound ? 0 : l.mineralAmount > 0 ? 100 : 50) + l.pos.getRangeTo(spawnPos));
+            this.setStore(lab.id, compound, amount);
+            const data = this.memory.resources.lab.find(l => l.id === lab.id);
+            const energyOrder = data.orders.find(o => o.type === RESOURCE_ENERGY);
+            const energy = amount / LAB_BOOST_MINERAL * LAB_BOOST_ENERGY;
+            if (!energyOrder || energyOrder.storeAmount < energy) this.setStore(lab.id, RESOURCE_ENERGY, energy);
+            data.reactionState = LAB_BOOST;
+            data.boost = {creepName, type: compound, amount, until: Game.time + spawnTime + BOOST_REQUESTS.TIMEOUT};
+            delete data.reactionType;
+            reserved.push(lab.id);
+        });
+        if (reserved.length === 0) return ERR_NOT_FOUND;
+        creepData.boostLabs = reserved;
+        if (global.DEBUG) logSystem(this.name, `Reserved ${reserved.length} boost labs for ${creepName}.`);
+        return OK;
+    };
+
+    // return a boost lab to the reactions. energy stays ordered for the next boost
+    Room.prototype.releaseBoostLab = function(labId) {
+        const data = this.memory.resources && this.memory.resources.lab.find(l => l.id === labId);
+        if (!data || data.reactionState !== LAB_BOOST) return ERR_NOT_FOUND;
+        data.reactionState = LAB_IDLE;
+        delete data.boost;
+        data.orders.forEach(order => {
+            if (order.type === RESOURCE_ENERGY) return;
+            order.orderAmount = 0;
+            order.orderRemaining = 0;
+            order.storeAmount = 0;
+        });
+        return OK;
+    };
+
+    // release labs of creeps that died or didn't show up in time
+    Room.prototype.updateBoostLabs = function() {
+        this.memory.resources.lab.forEach(data => {
+            if (data.reactionState !== LAB_BOOST) return;
+            if (!data.boost || !Memory.population[data.boost.creepName] || Game.time > data.boost.until) this.releaseBoostLab(data.id);
+        });
+    };
+
     // New Room methods go here
+    // pick the two labs most other labs are in range of as seeds
+    Room.prototype.autoRegisterReactor = function() {
+        const labs = this.structures.labs.all;
+        if (labs.length < 3) return ERR_NOT_ENOUGH_RESOURCES;
+        let best = null;
+        for (let i = 0; i < labs.length; i++) {
+            for (let j = i + 1; j < labs.length; j++) {
+                const reactors = labs.filter(l => l !== labs[i] && l !== labs[j] && l.pos.inRangeTo(labs[i], 2) && l.pos.inRangeTo(labs[j], 2)).length;
+                if (!best || reactors > best.reactors) best = {seed_a: labs[i].id, seed_b: labs[j].id, reactors};
+            }
+        }
+        if (best.reactors === 0) return ERR_NOT_FOUND;
+        // registerReactorFlower only flags labs that already have resource data
+        this.initResourceData(best.seed_a);
+        this.initResourceData(best.seed_b);
+        if (global.DEBUG) logSystem(this.name, `Registering flower reactor with ${best.reactors} reactor labs.`);
+        return this.registerReactorFlower(best.seed_a, best.seed_b);
+    };
+
+    Room.handleBoostSpawning = function(params) {
+        if (!params.destiny || !params.destiny.boosts) return;
+        const spawn = Game.spawns[params.spawn];
+        if (spawn) spawn.room.reserveBoostLabs(params.name, params.destiny.boosts, params.spawnTime);
+    };
+
+    // empire wide amounts in storages, terminals and labs, without what queued reactions are going to consume
+    Room.getReactionStock = function(rooms) {
+        const stock = {};
+        const add = (resourceType, amount) => stock[resourceType] = (stock[resourceType] || 0) + amount;
+        rooms.forEach(room => {
+            if (room.storage) _.forEach(room.storage.store, (amount, resourceType) => add(resourceType, amount));
+            if (room.terminal) _.forEach(room.terminal.store, (amount, resourceType) => add(resourceType, amount));
+            room.structures.labs.all.forEach(lab => {
+                if (lab.mineralType) add(lab.mineralType, lab.mineralAmount);
+            });
+            _.get(room.memory, ['resources', 'reactions', 'orders'], []).forEach(order => {
+                add(order.type, order.amount);
+                LAB_REACTIONS[order.type].forEach(component => add(component, -order.amount));
+            });
+        });
+        return stock;
+    };
+
+    // walk LAB_REACTIONS down to base minerals, components get scheduled before their products
+    Room.expandReaction = function(compound, amount, stock, schedule) {
+        const missing = amount - Math.max(0, stock[compound] || 0);
+        stock[compound] = Math.max(0, (stock[compound] || 0) - amount);
+        if (missing <= 0 || !LAB_REACTIONS[compound]) return;
+        const batch = Math.ceil(missing / LAB_REACTION_AMOUNT) * LAB_REACTION_AMOUNT;
+        LAB_REACTIONS[compound].forEach(component => Room.expandReaction(component, batch, stock, schedule));
+        const scheduled = schedule.find(r => r.type === compound);
+        if (scheduled) scheduled.amount += batch;
+        else schedule.push({type: compound, amount: batch});
+    };
+
+    // queue the next reaction in each idle flower reactor until REACTION_PLANNER.TARGETS are met
+    Room.planReactions = function() {
+        const rooms = _.filter(Game.rooms, room => room.my && room.structures.labs.all.length > 0);
+        rooms.forEach(room => {
+            if (!_.get(room.memory, ['resources', 'reactions'])) room.autoRegisterReactor();
+        });
+        const reactors = rooms.filter(room => _.get(room.memory, ['resources', 'reactions', 'reactorType']) === REACTOR_TYPE_FLOWER);
+        if (reactors.length === 0) return;
+        const available = Room.getReactionStock(rooms);
+        const stock = _.clone(available);
+        const schedule = [];
+        _.forEach(REACTION_PLANNER.TARGETS, (amount, compound) => Room.expandReaction(compound, amount, stock, schedule));
+        reactors.forEach(room => {
+            if (room.memory.resources.reactions.orders.length > 0) return;
+            // only reactions with both components somewhere in the empire, logistics brings them over
+            const reaction = schedule.find(r => r.amount > 0 && LAB_REACTIONS[r.type].every(c => (available[c] || 0) >= Math.min(r.amount, REACTION_PLANNER.BATCH_SIZE)));
+            if (!reaction) return;
+            const amount = Math.min(reaction.amount, REACTION_PLANNER.BATCH_SIZE);
+            if (room.placeReactionOrder('planner', reaction.type, amount) !== OK) return;
+            reaction.amount -= amount;
+            LAB_REACTIONS[reaction.type].forEach(c => available[c] -= amount);
+            if (global.DEBUG) logSystem(room.name, `Reaction planner queued ${amount} ${reaction.type}.`);
+        });
+    };
 };
\ No newline at end of file
@@ -0,0 +1,308 @@
+const mod = {};
+module.exports = mod;
+mod.analyzeRoom = function(room, needMemoryResync) {
+    if (!room.my || Memory.CPU_CRITICAL || !Util.fieldOrFunction(AUTOMATIC_LAYOUT, room)) return;
+    const plan = room.memory.layout;
+    if (_.isUndefined(plan) || (plan.version !== Room.LAYOUT_VERSION && !plan.failed) || (plan.failed && needMemoryResync)) {
+        if (room.planLayout()) room.processConstructionFlags();
+    }
+};
+mod.extend = function() {
+    Room.LAYOUT_VERSION = 1;
+    // core stamp around the layout center as [dx, dy, structureType], surrounded by a road ring at range 2
+    Room.layoutCore = [
+        [-1, -1, STRUCTURE_SPAWN], [0, -1, STRUCTURE_TERMINAL], [1, -1, STRUCTURE_SPAWN],
+        [-1, 0, STRUCTURE_LINK], [0, 0, STRUCTURE_STORAGE], [1, 0, STRUCTURE_POWER_SPAWN],
+        [-1, 1, STRUCTURE_NUKER], [0, 1, STRUCTURE_SPAWN], [1, 1, STRUCTURE_TOWER],
+    ];
+    // 4x4 lab cluster as [dx, dy] from its top left corner. every lab is in range 2 of the labs at [1,1] and [2,2]
+    Room.layoutLabs = [[1, 0], [2, 0], [0, 1], [1, 1], [3, 1], [0, 2], [2, 2], [3, 2], [1, 3], [2, 3]];
+    Room.layoutLabRoads = [[3, 0], [2, 1], [1, 2], [0, 3]];
+    // remaining structures are placed into the extension field, closest to the core first
+    Room.layoutFieldTypes = [STRUCTURE_SPAWN, STRUCTURE_TOWER, STRUCTURE_EXTENSION, STRUCTURE_NUKER, STRUCTURE_POWER_SPAWN, STRUCTURE_OBSERVER];
+
+    Room.packLayoutPos = function(x, y) {
+        return String.fromCharCode(32 + x) + String.fromCharCode(32 + y);
+    };
+    Room.unpackLayoutPositions = function(packed, roomName) {
+        const positions = [];
+        for (let i = 0; i < packed.length; i += 2) {
+            positions.push({
+                x: packed.charCodeAt(i) - 32,
+                y: packed.charCodeAt(i + 1) - 32,
+                roomName,
+            });
+        }
+        return positions;
+    };
+
+    Object.defineProperties(Room.prototype, {
+        'layout': {
+            configurable: true,
+            get: function() {
+                if (_.isUndefined(this._layout)) {
+                    this._layout = {};
+                    const plan = this.memory.layout;
+                    if (plan && plan.structures) {
+                        for (const type in plan.structures) {
+                            this._layout[type] = Room.unpackLayoutPositions(plan.structures[type], this.name);
+                        }
+                    }
+                    const barrier = this.memory.barrier;
+                    if (barrier && barrier.ramparts) {
+                        this._layout[STRUCTURE_RAMPART] = Room.unpackLayoutPositions(barrier.ramparts, this.name);
+                    }
+                    if (barrier && barrier.walls) {
+                        this._layout[STRUCTURE_WALL] = Room.unpackLayoutPositions(barrier.walls, this.name);
+                    }
+                }
+                return this._layout;
+            }
+        },
+    });
+
+    // planned positions of a structure type that are not built or under construction yet, as virtual construction flags
+    Room.prototype.getLayoutFlags = function(type) {
+        const positions = this.layout[type];
+        if (!positions) return [];
+        const open = pos => {
+            if (this.lookForAt(LOOK_CONSTRUCTION_SITES, pos.x, pos.y).length) return false;
+            return !this.lookForAt(LOOK_STRUCTURES, pos.x, pos.y).some(s => s.structureType === type ||
+                !(s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_RAMPART));
+        };
+        return positions.filter(open);
+    };
+
+    Room.prototype.planLayout = function(center) {
+        const controller = this.controller;
+        if (!controller) return false;
+        const p = Util.startProfiling(this.name + '.planLayout', {enabled: PROFILING.ROOMS});
+        const FREE = 0, STRUCTURE = 1, ROAD = 2;
+        const index = (x, y) => y * 50 + x;
+        const range = (i, pos) => Math.max(Math.abs(i % 50 - pos.x), Math.abs(Math.floor(i / 50) - pos.y));
+        const sources = this.sources;
+        const [mineral] = this.find(FIND_MINERALS);
+
+        // walls and tiles too close to exits or room objects can not hold structures
+        const walls = new Uint8Array(2500);
+        const blocked = new Uint8Array(2500);
+        this.lookForAtArea(LOOK_TERRAIN, 0, 0, 49, 49, true).forEach(t => {
+            const i = index(t.x, t.y);
+            if (t.terrain === 'wall') walls[i] = 1;
+            if (walls[i] || t.x < 3 || t.x > 46 || t.y < 3 || t.y > 46) blocked[i] = 1;
+        });
+        const reserve = pos => {
+            for (let x = pos.x - 1; x <= pos.x + 1; x++) {
+                for (let y = pos.y - 1; y <= pos.y + 1; y++) {
+                    if (x >= 0 && x < 50 && y >= 0 && y < 50) blocked[index(x, y)] = 1;
+                }
+            }
+        };
+        sources.forEach(s => reserve(s.pos));
+        reserve(controller.pos);
+        if (mineral) reserve(mineral.pos);
+
+        // distance transform, how far each tile is from the closest blocked tile
+        const dist = new Uint8Array(2500);
+        for (let y = 0; y < 50; y++) {
+            for (let x = 0; x < 50; x++) {
+                const i = index(x, y);
+                if (blocked[i]) continue;
+                dist[i] = Math.min(dist[i - 1], dist[i - 51], dist[i - 50], dist[i - 49]) + 1;
+            }
+        }
+        for (let y = 49; y >= 0; y--) {
+            for (let x = 49; x >= 0; x--) {
+                const i = index(x, y);
+                if (!dist[i]) continue;
+                dist[i] = Math.min(dist[i], dist[i + 1] + 1, dist[i + 51] + 1, dist[i + 50] + 1, dist[i + 49] + 1);
+            }
+        }
+
+        // find the core center, prefer anchoring on an existing spawn
+        const fits = i => dist[i] >= 3;
+        let centerIndex;
+        if (center) {
+            if (fits(index(center.x, center.y))) centerIndex = index(center.x, center.y);
+        } else {
+            const spawnOffsets = Room.layoutCore.filter(c => c[2] === STRUCTURE_SPAWN);
+            for (const spawn of this.structures.spawns) {
+                const anchor = _.find(spawnOffsets, c => fits(index(spawn.pos.x - c[0], spawn.pos.y - c[1])));
+                if (anchor) {
+                    centerIndex = index(spawn.pos.x - anchor[0], spawn.pos.y - anchor[1]);
+                    break;
+                }
+            }
+            if (_.isUndefined(centerIndex)) {
+                const targets = [controller.pos].concat(sources.map(s => s.pos));
+                let best = Infinity;
+                for (let i = 0; i < 2500; i++) {
+                    if (!fits(i)) continue;
+                    const score = _.sum(targets, t => range(i, t)) - dist[i];
+                    if (score < best) {
+                        best = score;
+                        centerIndex = i;
+                    }
+                }
+            }
+        }
+        if (_.isUndefined(centerIndex)) {
+            if (global.DEBUG) logSystem(this.name, 'Layout planner found no space for the core stamp.');
+            this.memory.layout = {version: Room.LAYOUT_VERSION, planned: Game.time, failed: true};
+            delete this._layout;
+            return false;
+        }
+        const cx = centerIndex % 50;
+        const cy = Math.floor(centerIndex / 50);
+
+        const taken = new Uint8Array(2500);
+        const structures = {};
+        const roads = [];
+        const place = (i, type) => {
+            if (type === STRUCTURE_ROAD) {
+                if (taken[i]) return;
+                taken[i] = ROAD;
+                roads.push(i);
+            } else {
+                taken[i] = STRUCTURE;
+                if (!structures[type]) structures[type] = [];
+                structures[type].push(i);
+            }
+        };
+
+        // core stamp and its road ring
+        Room.layoutCore.forEach(c => place(index(cx + c[0], cy + c[1]), c[2]));
+        const ring = [];
+        for (let dx = -2; dx <= 2; dx++) {
+            for (let dy = -2; dy <= 2; dy++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) === 2) {
+                    const i = index(cx + dx, cy + dy);
+                    place(i, STRUCTURE_ROAD);
+                    ring.push(i);
+                }
+            }
+        }
+
+        // lab cluster as close as possible to the core
+        let labOrigin;
+        let labRange = Infinity;
+        for (let x = 3; x <= 43; x++) {
+            for (let y = 3; y <= 43; y++) {
+                let free = true;
+                for (let dx = 0; dx < 4 && free; dx++) {
+                    for (let dy = 0; dy < 4 && free; dy++) {
+                        const i = index(x + dx, y + dy);
+                        free = !blocked[i] && !taken[i];
+                    }
+                }
+                const r = Math.max(Math.abs(x + 1.5 - cx), Math.abs(y + 1.5 - cy));
+                if (free && r < labRange) {
+                    labRange = r;
+                    labOrigin = {x, y};
+                }
+            }
+        }
+        if (labOrigin) {
+            Room.layoutLabs.forEach(l => place(index(labOrigin.x + l[0], labOrigin.y + l[1]), STRUCTURE_LAB));
+            Room.layoutLabRoads.forEach(l => place(index(labOrigin.x + l[0], labOrigin.y + l[1]), STRUCTURE_ROAD));
+        }
+
+        // extension field: checkerboard grown from the road ring, roads connect diagonally
+        let needed = 0;
+        const fieldTypes = [];
+        Room.layoutFieldTypes.forEach(type => {
+            const missing = CONTROLLER_STRUCTURES[type][8] - (structures[type] ? structures[type].length : 0);
+            for (let n = 0; n < missing; n++) fieldTypes.push(type);
+            needed += Math.max(0, missing);
+        });
+        const parity = (cx + cy) % 2;
+        const parent = {};
+        const visited = new Uint8Array(2500);
+        const queue = ring.slice();
+        const slots = [];
+        queue.forEach(i => visited[i] = 1);
+        while (queue.length && slots.length < needed) {
+            const i = queue.shift();
+            const x = i % 50;
+            const y = Math.floor(i / 50);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const j = index(x + dx, y + dy);
+                    if (visited[j] || blocked[j] || taken[j]) continue;
+                    visited[j] = 1;
+                    if ((x + dx + y + dy) % 2 === parity) {
+                        parent[j] = i;
+                        queue.push(j);
+                    } else if (slots.length < needed) {
+                        slots.push({index: j, road: i});
+                    }
+                }
+            }
+        }
+        const fieldRoads = new Uint8Array(2500);
+        slots.forEach((slot, n) => {
+            place(slot.index, fieldTypes[n]);
+            for (let r = slot.road; !_.isUndefined(r) && !fieldRoads[r]; r = parent[r]) {
+                fieldRoads[r] = 1;
+            }
+        });
+        _.sortBy(_.filter(_.keys(parent), i => fieldRoads[i]).map(Number), i => range(i, {x: cx, y: cy}))
+            .forEach(i => place(i, STRUCTURE_ROAD));
+        if (slots.length < needed && global.DEBUG) logSystem(this.name, `Layout planner could only place ${slots.length} of ${needed} field structures.`);
+
+        // road spines from the core to sources, controller, mineral and labs
+        const matrix = new PathFinder.CostMatrix();
+        for (let i = 0; i < 2500; i++) {
+            if (taken[i] === STRUCTURE) matrix.set(i % 50, Math.floor(i / 50), 0xff);
+            else if (taken[i] === ROAD) matrix.set(i % 50, Math.floor(i / 50), 1);
+        }
+        const spine = (pos, targetRange) => {
+            const start = _.min(ring, i => range(i, pos));
+            const ret = PathFinder.search(new RoomPosition(start % 50, Math.floor(start / 50), this.name), {pos, range: targetRange}, {
+                plainCost: 2,
+                swampCost: 10,
+                maxRooms: 1,
+                roomCallback: () => matrix,
+            });
+            if (ret.incomplete) return null;
+            ret.path.forEach(step => {
+                place(index(step.x, step.y), STRUCTURE_ROAD);
+                matrix.set(step.x, step.y, 1);
+            });
+            return _.last(ret.path) || new RoomPosition(start % 50, Math.floor(start / 50), this.name);
+        };
+        // links go next to the end of a spine, where miners and upgraders stand
+        const link = (end, pos, maxRange) => {
+            if (!end) return;
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const x = end.x + dx;
+                    const y = end.y + dy;
+                    if (x < 2 || x > 47 || y < 2 || y > 47) continue;
+                    const i = index(x, y);
+                    if (walls[i] || taken[i] || (x === pos.x && y === pos.y) || range(i, pos) > maxRange) continue;
+                    place(i, STRUCTURE_LINK);
+                    matrix.set(x, y, 0xff);
+                    return;
+                }
+            }
+        };
+        link(spine(controller.pos, 2), controller.pos, 3);
+        _.sortBy(sources, s => range(centerIndex, s.pos)).forEach(s => link(spine(s.pos, 1), s.pos, 2));
+        if (mineral) spine(mineral.pos, 1);
+        if (labOrigin) spine(new RoomPosition(labOrigin.x + 3, labOrigin.y, this.name), 0);
+
+        const pack = list => list.map(i => Room.packLayoutPos(i % 50, Math.floor(i / 50))).join('');
+        this.memory.layout = {
+            version: Room.LAYOUT_VERSION,
+            planned: Game.time,
+            center: {x: cx, y: cy},
+            structures: _.mapValues(structures, pack),
+        };
+        this.memory.layout.structures[STRUCTURE_ROAD] = pack(roads);
+        delete this._layout;
+        if (global.DEBUG) logSystem(this.name, `Planned base layout around ${cx}'${cy}.`);
+        p.checkCPU('planLayout', PROFILING.ANALYZE_LIMIT);
+        return true;
+    };
+};
@@ -0,0 +1,115 @@
+const mod = {};
+module.exports = mod;
+mod.analyze = function() {
+    if (!LOGISTICS.ENABLED || Memory.CPU_CRITICAL) return;
+    if (Scheduler.due('room.logistics', PROCESS_ORDERS_INTERVAL)) Room.planLogistics();
+};
+mod.execute = function() {
+    if (!LOGISTICS.ENABLED || !Memory.logistics || Memory.logistics.length === 0) return;
+    Room.executeLogistics();
+};
+mod.extend = function() {
+    Room.prototype.getLogisticsTarget = function(resourceType) {
+        const target = LOGISTICS.TARGETS[resourceType];
+        return _.isUndefined(target) ? LOGISTICS.DEFAULT_TARGET : target;
+    };
+
+    // amounts our labs, nukers and power spawns still need loaded
+    Room.prototype.getLogisticsDemand = function() {
+        const demand = {};
+        const consumers = this.structures.labs.all.concat(this.structures.nukers.all, this.structures.powerSpawns.all);
+        consumers.forEach(structure => {
+            if (!structure.getNeeds) return;
+            RESOURCES_ALL.forEach(resourceType => {
+                if (resourceType === RESOURCE_ENERGY) return;
+                const amount = structure.getNeeds(resourceType);
+                if (amount > 0) demand[resourceType] = (demand[resourceType] || 0) + amount;
+            });
+        });
+        return demand;
+    };
+
+    // surplus (positive) and deficit (negative) of every resource held in storage and terminal
+    Room.prototype.getLogisticsBalance = function(resourceTypes) {
+        const demand = this.getLogisticsDemand();
+        const balance = {};
+        resourceTypes.forEach(resourceType => {
+            const stock = (this.storage.store[resourceType] || 0) + (this.terminal.store[resourceType] || 0);
+            balance[resourceType] = stock - this.getLogisticsTarget(resourceType) - (demand[resourceType] || 0);
+        });
+        return balance;
+    };
+
+    // plan transfers from surplus to deficit rooms, cheapest donors first
+    Room.planLogistics = function() {
+        const rooms = _.filter(Game.rooms, room => room.my && room.storage && room.terminal);
+        if (rooms.length < 2) {
+            delete Memory.logistics;
+            return;
+        }
+        const resourceTypes = _.union(_.keys(LOGISTICS.TARGETS), ..._.map(rooms, room => _.keys(room.storage.store).concat(_.keys(room.terminal.store))));
+        const balance = {};
+        const energy = {};
+        const deficits = [];
+        rooms.forEach(room => {
+            balance[room.name] = room.getLogisticsBalance(resourceTypes);
+            energy[room.name] = room.terminal.store.energy || 0;
+            _.forEach(balance[room.name], (amount, resourceType) => {
+                if (amount <= -LOGISTICS.MIN_AMOUNT) deficits.push({roomName: room.name, resourceType, amount: -amount});
+            });
+        });
+
+        const sends = [];
+        _.sortBy(deficits, d => -d.amount).forEach(deficit => {
+            const resourceType = deficit.resourceType;
+            const donors = _.sortBy(
+                rooms.filter(room => room.name !== deficit.roomName && balance[room.name][resourceType] >= LOGISTICS.MIN_AMOUNT),
+                room => Game.market.calcTransactionCost(1000, room.name, deficit.roomName));
+            for (const donor of donors) {
+                if (deficit.amount < LOGISTICS.MIN_AMOUNT) break;
+                const amount = Math.min(deficit.amount, balance[donor.name][resourceType], LOGISTICS.MAX_AMOUNT);
+                const cost = Game.market.calcTransactionCost(amount, donor.name, deficit.roomName);
+                const spent = cost + (resourceType === RESOURCE_ENERGY ? amount : 0);
+                if (spent > energy[donor.name]) continue;
+                energy[donor.name] -= spent;
+                balance[donor.name][resourceType] -= amount;
+                deficit.amount -= amount;
+                sends.push({from: donor.name, to: deficit.roomName, type: resourceType, amount});
+            }
+        });
+
+        // have haulers move the planned amounts from storage into the terminal
+        _.forEach(_.groupBy(sends, 'from'), (roomSends, roomName) => {
+            const room = Game.rooms[roomName];
+            _.forEach(_.groupBy(roomSends, 'type'), (typeSends, resourceType) => {
+                const order = _.find(_.get(room.memory, ['resources', 'terminal', 0, 'orders'], []), o => o.type === resourceType);
+                const missing = _.sum(typeSends, 'amount') - (room.terminal.store[resourceType] || 0) - (order ? order.orderRemaining : 0);
+                if (missing > 0) room.placeOrder(room.terminal.id, resourceType, missing);
+            });
+        });
+        if (global.DEBUG && sends.length > 0) logSystem('Logistics', `Planned ${sends.length} terminal transfers.`);
+        Memory.logistics = sends;
+    };
+
+    Room.executeLogistics = function() {
+        const busy = {};
+        Memory.logistics = Memory.logistics.filter(send => {
+            const room = Game.rooms[send.from];
+            if (!room || !room.my || !room.terminal) return false;
+            if (busy[send.from] || room.terminal.cooldown > 0) return true;
+            const amount = Math.min(send.amount, room.terminal.store[send.type] || 0);
+            // wait for haulers to load the terminal
+            if (amount < Math.min(send.amount, LOGISTICS.MIN_AMOUNT)) return true;
+            const cost = Game.market.calcTransactionCost(amount, send.from, send.to);
+            if (cost + (send.type === RESOURCE_ENERGY ? amount : 0) > (room.terminal.store.energy || 0)) return true;
+            busy[send.from] = true;
+            const result = room.terminal.send(send.type, amount, send.to, 'logistics');
+            if (global.DEBUG) logSystem(send.from, `Transferring ${amount} ${send.type} to ${send.to} (${cost} e): ${translateErrorCode(result)}`);
+            if (result === OK) {
+                send.amount -= amount;
+                return send.amount >= LOGISTICS.MIN_AMOUNT;
+            }
+            return result === ERR_TIRED;
+        });
+    };
+};
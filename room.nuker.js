@@ -1,8 +1,16 @@
 const mod = {};
 module.exports = mod;
+mod.analyze = function() {
+    if (!NUKER.ENABLED) return;
+    if (Memory.nukeTargets && Memory.nukeTargets.length > 0) Room.launchNukes();
+    if (Memory.nukeLaunches && Memory.nukeLaunches.length > 0) {
+        Memory.nukeLaunches = Memory.nukeLaunches.filter(launch => launch.landing >= Game.time);
+    }
+};
 mod.analyzeRoom = function(room, needMemoryResync) {
     if (needMemoryResync) {
         room.saveNuker();
+        if (NUKER.ENABLED) room.stockNukers();
     }
 };
 mod.extend = function() {
@@ -47,4 +55,77 @@ mod.extend = function() {
             nukers.forEach(add);
         } else delete this.memory.nukers;
     };
+
+    // have labTechs and haulers keep the nukers loaded
+    Room.prototype.stockNukers = function() {
+        if (!this.my) return;
+        this.structures.nukers.all.forEach(nuker => {
+            this.setStore(nuker.id, RESOURCE_ENERGY, nuker.energyCapacity);
+            this.setStore(nuker.id, RESOURCE_GHODIUM, nuker.ghodiumCapacity);
+        });
+    };
+
+    // queue a nuke strike. count nukers will land on the target at the same tick, at landAt if given or as soon as enough nukers are loaded
+    Room.queueNuke = function(roomName, x, y, count = 1, landAt = null) {
+        if (!_.isString(roomName) || x < 0 || x > 49 || y < 0 || y > 49 || count < 1) return ERR_INVALID_ARGS;
+        if (landAt && landAt - NUKE_LAND_TIME < Game.time) return ERR_INVALID_ARGS;
+        if (!Memory.nukeTargets) Memory.nukeTargets = [];
+        Memory.nukeTargets.push({roomName, x, y, count, landAt});
+        return OK;
+    };
+
+    Room.cancelNuke = function(roomName) {
+        if (!Memory.nukeTargets) return;
+        Memory.nukeTargets = Memory.nukeTargets.filter(target => target.roomName !== roomName);
+    };
+
+    // earliest landing tick of our nukes launched at a room, to time follow-up creeps
+    Room.getNukeLanding = function(roomName) {
+        const launches = _.filter(Memory.nukeLaunches, launch => launch.roomName === roomName);
+        return launches.length > 0 ? _.min(launches, 'landing').landing : null;
+    };
+
+    Room.isNukerReady = function(nuker) {
+        return nuker.isActive() && nuker.cooldown === 0 && nuker.energy >= nuker.energyCapacity && nuker.ghodium >= nuker.ghodiumCapacity;
+    };
+
+    Room.launchNukes = function() {
+        const used = [];
+        const ready = _(Game.rooms).filter(room => room.my).map(room => room.structures.nukers.all).flatten().filter(Room.isNukerReady).value();
+        Memory.nukeTargets = Memory.nukeTargets.filter(target => {
+            if (target.landAt) {
+                const launchAt = target.landAt - NUKE_LAND_TIME;
+                if (Game.time < launchAt) return true;
+                // a timed strike may leave a few ticks late, e.g. after a global reset
+                if (Game.time > launchAt + NUKER.LAUNCH_WINDOW) {
+                    const reason = _.isUndefined(target.ready) ? `launching wasn't checked until ${Game.time}` :
+                        `only ${target.ready} of ${target.count} nukers in range were loaded`;
+                    logSystem(target.roomName, `Missed nuke launch for ${target.x},${target.y} landing at ${target.landAt}, ${reason}.`);
+                    return false;
+                }
+            }
+            // all nukes have to leave at the same tick to land together
+            const inRange = _.sortBy(ready.filter(nuker => !used.includes(nuker.id) && Game.map.getRoomLinearDistance(nuker.room.name, target.roomName) <= NUKE_RANGE),
+                nuker => Game.map.getRoomLinearDistance(nuker.room.name, target.roomName));
+            if (inRange.length < target.count) {
+                if (target.landAt) target.ready = inRange.length;
+                return true;
+            }
+            const pos = new RoomPosition(target.x, target.y, target.roomName);
+            const landing = Game.time + NUKE_LAND_TIME;
+            const launched = [];
+            inRange.slice(0, target.count).forEach(nuker => {
+                used.push(nuker.id);
+                const result = nuker.launchNuke(pos);
+                logSystem(nuker.room.name, `Launching nuke at ${target.roomName} ${target.x},${target.y}, landing at ${landing}: ${translateErrorCode(result)}`);
+                if (result === OK) launched.push(nuker.id);
+            });
+            if (launched.length > 0) {
+                if (!Memory.nukeLaunches) Memory.nukeLaunches = [];
+                Memory.nukeLaunches.push({roomName: target.roomName, x: target.x, y: target.y, landing, nukers: launched});
+                Game.notify(`${launched.length} nukes launched at ${target.roomName} ${target.x},${target.y}, landing at ${landing}.`);
+            }
+            return launched.length === 0;
+        });
+    };
 };
\ No newline at end of file
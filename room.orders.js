@@ -1,7 +1,7 @@
 const mod = {};
 module.exports = mod;
 mod.analyzeRoom = function(room, needMemoryResync) {
-    if (Game.time % global.PROCESS_ORDERS_INTERVAL === 0 || room.name === 'sim') {
+    if (Scheduler.due(`room.orders.${room.name}`, global.PROCESS_ORDERS_INTERVAL) || room.name === 'sim') {
         room.updateResourceOrders();
         room.updateRoomOrders();
         room.terminalBroker();
@@ -49,6 +49,14 @@ mod.extend = function() {
                                         amount = cont.energy;
                                     }
                                     break;
+                                case STRUCTURE_NUKER:
+                                    // get nuker amount
+                                    if (order.type == RESOURCE_GHODIUM) {
+                                        amount = cont.ghodium;
+                                    } else if (order.type == RESOURCE_ENERGY) {
+                                        amount = cont.energy;
+                                    }
+                                    break;
                                 default:
                                     // get stored amount
                                     amount = cont.store[order.type] || 0;
@@ -199,19 +207,19 @@ mod.extend = function() {
         return false;
     };
 
-    Room.prototype.prepareResourceOrder = function(containerId, resourceType, amount) {
+    // set up the resource data of a container which orders can be placed on
+    Room.prototype.initResourceData = function(containerId) {
         let container = Game.getObjectById(containerId);
         if (!this.my || !container || !container.room.name == this.name ||
                 !(container.structureType == STRUCTURE_LAB ||
                 container.structureType == STRUCTURE_POWER_SPAWN ||
+                container.structureType == STRUCTURE_FACTORY ||
+                container.structureType == STRUCTURE_NUKER ||
                 container.structureType == STRUCTURE_CONTAINER ||
                 container.structureType == STRUCTURE_STORAGE ||
                 container.structureType == STRUCTURE_TERMINAL)) {
             return ERR_INVALID_TARGET;
         }
-        if (!RESOURCES_ALL.includes(resourceType)) {
-            return ERR_INVALID_ARGS;
-        }
         if (this.memory.resources === undefined) {
             this.memory.resources = {
                 lab: [],
@@ -222,6 +230,8 @@ mod.extend = function() {
             };
         }
         if (this.memory.resources.powerSpawn === undefined) this.memory.resources.powerSpawn = [];
+        if (this.memory.resources.factory === undefined) this.memory.resources.factory = [];
+        if (this.memory.resources.nuker === undefined) this.memory.resources.nuker = [];
         if (!this.memory.resources[container.structureType].find( (s) => s.id == containerId )) {
             this.memory.resources[container.structureType].push(container.structureType==STRUCTURE_LAB ? {
                 id: containerId,
@@ -232,6 +242,18 @@ mod.extend = function() {
                 orders: []
             });
         }
+        return OK;
+    };
+
+    Room.prototype.prepareResourceOrder = function(containerId, resourceType, amount) {
+        if (!RESOURCES_ALL.includes(resourceType)) {
+            return ERR_INVALID_ARGS;
+        }
+        let ret = this.initResourceData(containerId);
+        if (ret != OK) {
+            return ret;
+        }
+        let container = Game.getObjectById(containerId);
         if (container.structureType == STRUCTURE_LAB && resourceType != RESOURCE_ENERGY && amount > 0) {
             // clear other resource types since labs only hold one at a time
             let orders = this.memory.resources[STRUCTURE_LAB].find((s)=>s.id==containerId).orders;
@@ -406,7 +428,9 @@ mod.extend = function() {
         let mineral = this.mineralType;
         let transacting = false;
         let terminalFull = (this.terminal.sum / this.terminal.storeCapacity) > 0.8;
-        if( this.terminal.store[mineral] >= MIN_MINERAL_SELL_AMOUNT ) {
+        if( MARKET.ENABLED ) {
+            transacting = Market.trade(this);
+        } else if( this.terminal.store[mineral] >= MIN_MINERAL_SELL_AMOUNT ) {
             let orders = Game.market.getAllOrders( o => {
                 if( !o.roomName ||
                     o.resourceType != mineral ||
@@ -448,7 +472,7 @@ mod.extend = function() {
                 transacting = result == OK;
             }
         }
-        if( this.controller.level == 8 && !transacting &&
+        if( !LOGISTICS.ENABLED && this.controller.level == 8 && !transacting &&
             this.storage.charge > 0.8 &&
             (this.terminal.store[mineral]||0) < 150000 &&
             this.terminal.store.energy > 55000 ){
@@ -6,6 +6,10 @@ mod.analyzeRoom = function(room, needMemoryResync) {
     }
     if (room.structures.powerSpawn) room.processPower();
 };
+mod.executeRoom = function(memory, roomName) {
+    const room = Game.rooms[roomName];
+    if (room && room.powerBank) Room.powerBankFound.trigger(room.powerBank);
+};
 mod.extend = function() {
     Object.defineProperties(Room.prototype, {
         'powerBank': {
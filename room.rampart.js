@@ -0,0 +1,186 @@
+const mod = {};
+module.exports = mod;
+mod.analyzeRoom = function(room, needMemoryResync) {
+    if (!room.my || Memory.CPU_CRITICAL || !Util.fieldOrFunction(RAMPART_PLANNER, room)) return;
+    const barrier = room.memory.barrier;
+    const layout = room.memory.layout;
+    // redraw when the layout got replanned, without a layout check our structures once in a while
+    if (barrier && (layout && layout.structures ? barrier.basedOn === layout.planned : !needMemoryResync)) return;
+    if (room.planBarrier()) room.processConstructionFlags();
+};
+mod.extend = function() {
+    Room.BARRIER_MARGIN = 2; // min range between barrier tiles and protected structures
+
+    // positions the barrier has to keep inside
+    Room.prototype.getBarrierCore = function() {
+        const core = [];
+        const layout = this.memory.layout;
+        if (layout && layout.structures) {
+            for (const type in this.layout) {
+                if (type === STRUCTURE_ROAD || type === STRUCTURE_RAMPART || type === STRUCTURE_WALL) continue;
+                this.layout[type].forEach(pos => core.push({x: pos.x, y: pos.y, range: Room.BARRIER_MARGIN}));
+            }
+        } else {
+            const unprotected = [STRUCTURE_ROAD, STRUCTURE_RAMPART, STRUCTURE_WALL, STRUCTURE_CONTAINER, STRUCTURE_EXTRACTOR, STRUCTURE_CONTROLLER];
+            this.structures.my.forEach(s => {
+                if (!unprotected.includes(s.structureType)) core.push({x: s.pos.x, y: s.pos.y, range: Room.BARRIER_MARGIN});
+            });
+        }
+        if (core.length === 0) return core;
+        core.push({x: this.controller.pos.x, y: this.controller.pos.y, range: 1});
+        this.sources.forEach(s => core.push({x: s.pos.x, y: s.pos.y, range: 1}));
+        return core;
+    };
+
+    // the core positions as a short hash, the barrier gets redrawn when they change
+    Room.barrierHash = function(core) {
+        const packed = core.map(c => Room.packLayoutPos(c.x, c.y) + c.range).sort().join('');
+        let hash = 0;
+        for (let i = 0; i < packed.length; i++) hash = (hash * 31 + packed.charCodeAt(i)) | 0;
+        return hash;
+    };
+
+    // cut tiles creeps have to pass: roads, and the cheapest way from the core to every exit
+    Room.prototype.getBarrierPassages = function(core, cut) {
+        const index = (x, y) => y * 50 + x;
+        const passages = new Uint8Array(2500);
+        const roads = new PathFinder.CostMatrix();
+        const built = this.find(FIND_STRUCTURES, {filter: s => s.structureType === STRUCTURE_ROAD});
+        (this.layout[STRUCTURE_ROAD] || []).concat(built).forEach(road => {
+            const pos = road.pos || road;
+            roads.set(pos.x, pos.y, 1);
+            if (cut[index(pos.x, pos.y)]) passages[index(pos.x, pos.y)] = 1;
+        });
+        const origin = new RoomPosition(core[0].x, core[0].y, this.name);
+        [FIND_EXIT_TOP, FIND_EXIT_RIGHT, FIND_EXIT_BOTTOM, FIND_EXIT_LEFT].forEach(exit => {
+            const goals = this.find(exit).map(pos => ({pos, range: 0}));
+            if (goals.length === 0) return;
+            const ret = PathFinder.search(origin, goals, {plainCost: 2, swampCost: 10, maxRooms: 1, roomCallback: () => roads});
+            ret.path.forEach(pos => {
+                if (cut[index(pos.x, pos.y)]) passages[index(pos.x, pos.y)] = 1;
+            });
+        });
+        return passages;
+    };
+
+    // min cut between the core and all exits. tiles are split into in/out vertices with a capacity of 1 each
+    Room.prototype.planBarrier = function() {
+        const core = this.getBarrierCore();
+        const layout = this.memory.layout;
+        const basedOn = layout && layout.structures ? layout.planned : Room.barrierHash(core);
+        if (core.length === 0) return false;
+        if (this.memory.barrier && this.memory.barrier.basedOn === basedOn) return false;
+        const p = Util.startProfiling(this.name + '.planBarrier', {enabled: PROFILING.ROOMS});
+        const INF = 10000;
+        const SOURCE = 5000;
+        const SINK = 5001;
+        const index = (x, y) => y * 50 + x;
+        const border = (x, y) => x <= 1 || x >= 48 || y <= 1 || y >= 48;
+
+        const walls = new Uint8Array(2500);
+        this.lookForAtArea(LOOK_TERRAIN, 0, 0, 49, 49, true).forEach(t => {
+            if (t.terrain === 'wall') walls[index(t.x, t.y)] = 1;
+        });
+        const inside = new Uint8Array(2500);
+        core.forEach(c => {
+            for (let x = Math.max(2, c.x - c.range); x <= Math.min(47, c.x + c.range); x++) {
+                for (let y = Math.max(2, c.y - c.range); y <= Math.min(47, c.y + c.range); y++) {
+                    inside[index(x, y)] = 1;
+                }
+            }
+        });
+
+        // residual graph as linked edge lists
+        const head = new Int32Array(5002).fill(-1);
+        const to = [];
+        const cap = [];
+        const next = [];
+        const addEdge = (u, v, c) => {
+            to.push(v); cap.push(c); next.push(head[u]); head[u] = to.length - 1;
+            to.push(u); cap.push(0); next.push(head[v]); head[v] = to.length - 1;
+        };
+        for (let y = 0; y < 50; y++) {
+            for (let x = 0; x < 50; x++) {
+                const i = index(x, y);
+                if (walls[i]) continue;
+                addEdge(i, 2500 + i, inside[i] || border(x, y) ? INF : 1);
+                if (inside[i]) addEdge(SOURCE, i, INF);
+                if (border(x, y)) addEdge(2500 + i, SINK, INF);
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if ((dx || dy) && nx >= 0 && nx < 50 && ny >= 0 && ny < 50 && !walls[index(nx, ny)]) {
+                            addEdge(2500 + i, index(nx, ny), INF);
+                        }
+                    }
+                }
+            }
+        }
+
+        // dinic
+        const level = new Int32Array(5002);
+        const pointer = new Int32Array(5002);
+        const buildLevels = () => {
+            level.fill(-1);
+            level[SOURCE] = 0;
+            const queue = [SOURCE];
+            for (let q = 0; q < queue.length; q++) {
+                const u = queue[q];
+                for (let e = head[u]; e !== -1; e = next[e]) {
+                    if (cap[e] > 0 && level[to[e]] < 0) {
+                        level[to[e]] = level[u] + 1;
+                        queue.push(to[e]);
+                    }
+                }
+            }
+            return level[SINK] >= 0;
+        };
+        const augment = (u, flow) => {
+            if (u === SINK) return flow;
+            for (; pointer[u] !== -1; pointer[u] = next[pointer[u]]) {
+                const e = pointer[u];
+                if (cap[e] > 0 && level[to[e]] === level[u] + 1) {
+                    const pushed = augment(to[e], Math.min(flow, cap[e]));
+                    if (pushed > 0) {
+                        cap[e] -= pushed;
+                        cap[e ^ 1] += pushed;
+                        return pushed;
+                    }
+                }
+            }
+            return 0;
+        };
+        let total = 0;
+        while (buildLevels()) {
+            pointer.set(head);
+            for (let flow = augment(SOURCE, INF); flow > 0; flow = augment(SOURCE, INF)) total += flow;
+            if (total >= INF) break;
+        }
+        if (total >= INF) {
+            if (global.DEBUG) logSystem(this.name, 'Barrier planner can not separate the core from the exits.');
+            this.memory.barrier = {basedOn, planned: Game.time, failed: true};
+            delete this._layout;
+            return false;
+        }
+
+        // cut tiles are reachable on their in vertex but not on their out vertex
+        const cut = new Uint8Array(2500);
+        for (let i = 0; i < 2500; i++) {
+            if (level[i] >= 0 && level[2500 + i] < 0) cut[i] = 1;
+        }
+        // ramparts where creeps pass, constructed walls everywhere else
+        const passages = this.getBarrierPassages(core, cut);
+        const ramparts = [];
+        const barrierWalls = [];
+        for (let i = 0; i < 2500; i++) {
+            if (!cut[i]) continue;
+            (passages[i] ? ramparts : barrierWalls).push(Room.packLayoutPos(i % 50, Math.floor(i / 50)));
+        }
+        this.memory.barrier = {basedOn, planned: Game.time, ramparts: ramparts.join(''), walls: barrierWalls.join('')};
+        delete this._layout;
+        if (global.DEBUG) logSystem(this.name, `Planned barrier of ${ramparts.length} ramparts and ${barrierWalls.length} walls.`);
+        p.checkCPU('planBarrier', PROFILING.ANALYZE_LIMIT);
+        return true;
+    };
+};
@@ -0,0 +1,100 @@
+const mod = {};
+module.exports = mod;
+mod.analyzeRoom = function(room) {
+    if (!room.my || Memory.CPU_CRITICAL || !Util.fieldOrFunction(REMOTE_MINING.ENABLED, room)) return;
+    if (!Scheduler.due(`room.remote.${room.name}`, REMOTE_MINING.INTERVAL)) return;
+    if (room.RCL < REMOTE_MINING.MIN_RCL || !room.storage) return;
+    room.planRemotes();
+};
+mod.extend = function() {
+    // spawn ticks per creep lifetime a room has left for remotes
+    Room.prototype.getSpareSpawnTime = function() {
+        const capacity = this.structures.spawns.length * CREEP_LIFE_TIME * REMOTE_MINING.SPAWN_UTILIZATION;
+        const used = _.sum(Memory.population, entry => entry.homeRoom === this.name && entry.body ? _.sum(entry.body) * CREEP_SPAWN_TIME : 0);
+        return capacity - used;
+    };
+
+    // known sources of a room as [{id, x, y}], from vision or intel
+    Room.getRemoteSources = function(roomName) {
+        const room = Game.rooms[roomName];
+        if (room) return room.sources.map(s => ({id: s.id, x: s.pos.x, y: s.pos.y}));
+        const intel = INTEL.ENABLED && Room.getIntel(roomName);
+        return intel && intel.sources ? intel.sources : [];
+    };
+
+    // judge a neighbour for remote mining. returns {roomName, score, spawnTime} or null
+    Room.prototype.scoreRemote = function(roomName) {
+        if (!Room.isControllerRoom(roomName) || Room.isSKRoom(roomName) || Room.isHighwayRoom(roomName)) return null;
+        const intel = INTEL.ENABLED ? Room.getIntel(roomName) : null;
+        const room = Game.rooms[roomName];
+        const owner = room ? room.owner : intel && intel.owner;
+        if (owner || _.get(Memory.rooms, [roomName, 'hostile'])) return null;
+        const sources = Room.getRemoteSources(roomName);
+        if (sources.length === 0) return null;
+        // haulers are sized by the path length, so it decides most of the spawn time
+        let pathLength = 0;
+        for (const source of sources) {
+            const ret = PathFinder.search(this.storage.pos, {pos: new RoomPosition(source.x, source.y, roomName), range: 1}, {
+                plainCost: 2, swampCost: 10, maxRooms: 3,
+            });
+            if (ret.incomplete || ret.path.length > REMOTE_MINING.MAX_PATH) return null;
+            pathLength += ret.path.length;
+        }
+        // a miner with 5 WORK, haulers carrying 10 energy per tick back and forth and a reserver
+        const carryParts = Math.ceil(pathLength * 2 * SOURCE_ENERGY_CAPACITY / ENERGY_REGEN_TIME / CARRY_CAPACITY);
+        const parts = sources.length * 8 + carryParts * 2 + 4 * CREEP_LIFE_TIME / CREEP_CLAIM_LIFE_TIME;
+        const spawnTime = parts * CREEP_SPAWN_TIME;
+        // reservations of others have to be broken first
+        const reservation = room ? room.reservation : intel && intel.reservation && intel.reservation.end > Game.time && intel.reservation.username;
+        const contested = reservation && reservation !== ME;
+        const invasions = _.filter(_.get(Memory.rooms, [roomName, 'statistics', 'invaders'], []),
+            invader => Game.time - invader.enter < REMOTE_MINING.INVADER_WINDOW).length;
+        const energy = sources.length * SOURCE_ENERGY_CAPACITY;
+        const score = energy / spawnTime *
+            (contested ? REMOTE_MINING.CONTESTED_FACTOR : 1) *
+            Math.pow(REMOTE_MINING.INVADER_FACTOR, invasions);
+        return {roomName, score, spawnTime, sources};
+    };
+
+    // add or remove mining flags in neighbours to fit the spare spawn time
+    Room.prototype.planRemotes = function() {
+        const plan = this.memory.remotes || (this.memory.remotes = {flags: {}});
+        const managed = _.keys(plan.flags);
+        // mining flags placed by hand are left alone but use spawn time
+        const manual = this.adjacentAccessibleRooms.filter(roomName => !managed.includes(roomName) &&
+            FlagDir.find(FLAG_COLOR.claim.mining, new RoomPosition(25, 25, roomName)));
+        let spare = this.getSpareSpawnTime();
+        managed.forEach(roomName => {
+            const remote = this.scoreRemote(roomName);
+            if (remote) spare += remote.spawnTime;
+        });
+        const candidates = _.sortBy(_.compact(this.adjacentAccessibleRooms
+            .filter(roomName => !manual.includes(roomName))
+            .map(roomName => this.scoreRemote(roomName))), remote => -remote.score);
+        const selected = [];
+        for (const remote of candidates) {
+            if (remote.spawnTime > spare) continue;
+            spare -= remote.spawnTime;
+            selected.push(remote);
+        }
+        // drop remotes that don't fit anymore
+        managed.forEach(roomName => {
+            if (_.some(selected, {roomName})) return;
+            plan.flags[roomName].forEach(flagName => {
+                if (Game.flags[flagName]) Game.flags[flagName].remove();
+            });
+            delete plan.flags[roomName];
+            logSystem(this.name, `Stopped remote mining in ${roomName}.`);
+        });
+        // a mining flag per source, Task.reserve sends reservers to mining flags as well
+        selected.forEach(remote => {
+            if (plan.flags[remote.roomName]) return;
+            plan.flags[remote.roomName] = remote.sources.map(source => {
+                const name = `remote-${this.name}-${source.id}`;
+                new RoomPosition(source.x, source.y, remote.roomName).createFlag(name, FLAG_COLOR.claim.mining.color, FLAG_COLOR.claim.mining.secondaryColor);
+                return name;
+            });
+            logSystem(this.name, `Started remote mining in ${remote.roomName}, ${remote.sources.length} sources.`);
+        });
+    };
+};
@@ -5,8 +5,22 @@ mod.analyzeRoom = function(room, needMemoryResync) {
         room.saveMinerals();
     }
 };
+mod.executeRoom = function(memory, roomName) {
+    const room = Game.rooms[roomName];
+    // deposits only spawn in highway rooms
+    if (room && Room.isHighwayRoom(roomName)) room.deposits.forEach(deposit => Room.depositFound.trigger(deposit));
+};
 mod.extend = function() {
     Object.defineProperties(Room.prototype, {
+        'deposits': {
+            configurable: true,
+            get: function() {
+                if( _.isUndefined(this._deposits) ){
+                    this._deposits = this.find(FIND_DEPOSITS);
+                }
+                return this._deposits;
+            }
+        },
         'droppedResources': {
             configurable: true,
             get: function() {
@@ -0,0 +1,103 @@
+let mod = {};
+module.exports = mod;
+// registered jobs by name: {name, defaults, priority, interval, budget, lastRun, average, runs, postponed}
+mod.jobs = {};
+// last multiple of its interval each key of due got served at
+mod.served = {};
+// register a job with its default settings, SCHEDULER.JOBS overrides them
+// priority: lower runs first, 0 always runs. interval: ticks between runs. budget: expected cpu per run
+mod.register = function(name, {priority = SCHEDULER.DEFAULT.PRIORITY, interval = SCHEDULER.DEFAULT.INTERVAL, budget = SCHEDULER.DEFAULT.BUDGET} = {}) {
+    const job = mod.jobs[name] || (mod.jobs[name] = {name, runs: 0, postponed: 0});
+    job.defaults = {priority, interval, budget};
+    mod.configure(job);
+    // new jobs count as just due
+    if (_.isUndefined(job.lastRun)) job.lastRun = Game.time - job.interval;
+    return job;
+};
+// apply the current SCHEDULER.JOBS overrides to a job
+mod.configure = function(job) {
+    const override = SCHEDULER.JOBS[job.name] || {};
+    job.priority = _.isUndefined(override.PRIORITY) ? job.defaults.priority : override.PRIORITY;
+    job.interval = _.isUndefined(override.INTERVAL) ? job.defaults.interval : override.INTERVAL;
+    job.budget = _.isUndefined(override.BUDGET) ? job.defaults.budget : override.BUDGET;
+};
+// cpu the scheduled jobs may use this tick, regarding the bucket
+mod.available = function() {
+    let ratio = 1;
+    if (Game.cpu.bucket < CRITICAL_BUCKET_LEVEL) ratio = SCHEDULER.CRITICAL_RATIO;
+    else if (Game.cpu.bucket > SCHEDULER.BURST_BUCKET) ratio = SCHEDULER.BURST_RATIO;
+    return Game.cpu.limit * ratio * (1 - SCHEDULER.RESERVED);
+};
+// decide which due jobs run this tick. jobs waiting longer move up the line
+mod.plan = function() {
+    if (!SCHEDULER.ENABLED) return;
+    _.forEach(mod.jobs, mod.configure);
+    const due = _.filter(mod.jobs, job => Game.time - job.lastRun >= job.interval);
+    const rank = job => job.priority - Math.floor((Game.time - job.lastRun - job.interval) / job.interval) * SCHEDULER.AGING;
+    let remaining = mod.available();
+    _.sortBy(due, rank).forEach(job => {
+        const cost = job.runs > 0 ? job.average : job.budget;
+        if (job.priority === 0 || cost <= remaining) {
+            remaining -= cost;
+            job.planned = Game.time;
+        } else {
+            job.postponed++;
+        }
+    });
+};
+// true if a job may run this tick. unknown jobs always run
+mod.allowed = function(name) {
+    if (!SCHEDULER.ENABLED) return true;
+    const job = mod.jobs[name];
+    return !job || job.planned === Game.time;
+};
+// true on the multiples of interval, like Game.time % interval === offset, or on the first call after one got missed
+// while the calling job was postponed. key identifies the work, e.g. the job and room name
+mod.due = function(key, interval, offset = 0) {
+    const time = Game.time - offset;
+    const last = _.isUndefined(mod.served[key]) ? time - 1 - (time - 1) % interval : mod.served[key];
+    if (time - last < interval) return false;
+    mod.served[key] = time - time % interval;
+    return true;
+};
+// run a job and add its cpu to this tick's usage
+mod.measure = function(name, fn) {
+    const job = mod.jobs[name];
+    if (!SCHEDULER.ENABLED || !job) return fn();
+    const start = Game.cpu.getUsed();
+    try {
+        return fn();
+    } finally {
+        if (job.measured !== Game.time) {
+            job.measured = Game.time;
+            job.used = 0;
+        }
+        job.used += Game.cpu.getUsed() - start;
+    }
+};
+// update averages of the jobs run this tick and report starving jobs
+mod.cleanup = function() {
+    if (!SCHEDULER.ENABLED) return;
+    _.forEach(mod.jobs, job => {
+        if (job.planned !== Game.time) return;
+        job.lastRun = Game.time;
+        job.runs++;
+        const used = job.measured === Game.time ? job.used : 0;
+        job.average = job.runs === 1 ? used : job.average + (used - job.average) / Math.min(job.runs, SCHEDULER.AVERAGE_RUNS);
+    });
+    if (Game.time % SCHEDULER.REPORT_INTERVAL === 0) mod.report();
+};
+// jobs not run for SCHEDULER.STARVED_FACTOR times their interval
+mod.starved = function() {
+    return _.filter(mod.jobs, job => Game.time - job.lastRun > job.interval * SCHEDULER.STARVED_FACTOR);
+};
+mod.report = function() {
+    const starved = mod.starved();
+    if (starved.length > 0) {
+        logSystem('Scheduler', `Starved jobs: ${starved.map(job => `${job.name} (${job.lastRun ? Game.time - job.lastRun : 'never'} ticks)`).join(', ')}`);
+    }
+    const overBudget = _.filter(mod.jobs, job => job.runs > 0 && job.average > job.budget);
+    if (overBudget.length > 0 && global.DEBUG) {
+        logSystem('Scheduler', `Over budget: ${overBudget.map(job => `${job.name} ${_.round(job.average, 2)}/${job.budget}`).join(', ')}`);
+    }
+};
@@ -42,14 +42,14 @@ mod.extend = function(){
         const spawnDelay = Util.get(this.room.memory, 'spawnDelay', {});
         if (!queue) return null;
         else if (Memory.CPU_CRITICAL && spawnDelay[level] === queue.length) return null;
-        let params;
-        for (const index in queue) {
-            const entry = queue[index];
-            if (Memory.CPU_CRITICAL && !CRITICAL_ROLES.includes(entry.behaviour)) continue;
-            else params = queue.splice(index, 1)[0];
-        }
+        // entries a nuke would kill stay queued until it landed, the ones behind them spawn meanwhile
+        const index = _.findIndex(queue, entry => (!Memory.CPU_CRITICAL || CRITICAL_ROLES.includes(entry.behaviour)) &&
+            !this.room.nukeExposes(entry.parts, entry.destiny));
+        const params = index < 0 ? null : queue.splice(index, 1)[0];
         if (!params) {
-            if (queue.length && global.DEBUG) global.logSystem(this.pos.roomName, 'No non-CRITICAL creeps to spawn, delaying spawn until CPU is not CRITICAL, or new entries are added.');
+            if (queue.length && global.DEBUG) global.logSystem(this.pos.roomName, Memory.CPU_CRITICAL ?
+                'No non-CRITICAL creeps to spawn, delaying spawn until CPU is not CRITICAL, or new entries are added.' :
+                'Queued creeps would die to incoming nukes, delaying spawn until they landed.');
             spawnDelay[level] = queue.length;
             return null;
         }
@@ -69,7 +69,7 @@ mod.extend = function(){
                 global.logSystem(this.pos.roomName, dye(CRAYON.error, 'Queued creep too big for room: ' + JSON.stringify(params) ));
                 return false;
             }
-            queue.unshift(params);
+            queue.splice(index, 0, params);
             return true;
         }
         var completeName;
@@ -81,12 +81,14 @@ mod.extend = function(){
         let result = this.create(params.parts, params.name, params.behaviour || params.setup, params.destiny);
         if( !result ){
             params.name = stumb;
-            queue.unshift(params);
+            queue.splice(index, 0, params);
         }
         return result;
     };
     Spawn.prototype.create = function(body, name, behaviour, destiny){
         if( body.length == 0 ) return false;
+        // creeps still around when a nuke lands die with the room
+        if( this.room.nukeExposes(body, destiny) ) return false;
         var newName = this.createCreep(body, name, null);
         if( name == newName || translateErrorCode(newName) === undefined ){
             let cost = 0;
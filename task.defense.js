@@ -1,6 +1,7 @@
 // Defense task handles spotted invaders. Spawns defenders and gives them special behaviour.
 let mod = {};
 module.exports = mod;
+mod.name = 'defense';
 // hook into events
 mod.register = () => {};
 // When a new invader has been spotted
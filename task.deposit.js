@@ -0,0 +1,177 @@
+// This task reacts on deposits spotted in highway rooms, sending harvesters and haulers to bring the commodities home.
+let mod = {};
+module.exports = mod;
+mod.name = 'deposit';
+// hook into events
+mod.register = () => {};
+// when a deposit is visible (occurs every tick, for each deposit)
+mod.handleDepositFound = deposit => {
+    if( !DEPOSIT_MINING.ENABLED || Memory.CPU_CRITICAL ) return;
+    let memory = Task.deposit.memory(deposit.id);
+    // record the deposit
+    _.assign(memory, {
+        roomName: deposit.pos.roomName,
+        type: deposit.depositType,
+        lastCooldown: deposit.lastCooldown,
+        decay: Game.time + deposit.ticksToDecay
+    });
+    if( !memory.spawnRoom ) {
+        // new deposit sighted. check if it's worth it
+        if( memory.nextCheck && Game.time < memory.nextCheck ) return;
+        Task.deposit.cleanup();
+        let operation = Task.deposit.evaluate(deposit);
+        if( !operation ) {
+            memory.nextCheck = Game.time + DEPOSIT_MINING.CHECK_INTERVAL;
+            return;
+        }
+        _.assign(memory, operation);
+        delete memory.nextCheck;
+        if( global.DEBUG ) global.logSystem(deposit.pos.roomName, `Harvesting ${deposit.depositType} deposit from ${memory.spawnRoom}, expecting ${memory.expected} per harvester.`);
+    }
+    Task.deposit.checkForRequiredCreeps(deposit, memory);
+};
+// when a creep starts spawning
+mod.handleSpawningStarted = params => { // params: {spawn: spawn.name, name: creep.name, destiny: creep.destiny}
+    if( !params.destiny || !params.destiny.task || params.destiny.task != 'deposit' ) return;
+    let role = params.destiny.role;
+    let memory = Task.deposit.memory(params.destiny.targetName);
+    // clean/validate task memory queued creeps
+    Task.validateQueued(memory, null, 'deposit', {subKey: role, queues: [Task.deposit.creep[role].queue]});
+    if( params.body ) params.body = _.countBy(params.body);
+    // save spawning creep to task memory
+    memory.spawning[role].push(params);
+};
+// when a creep completed spawning
+mod.handleSpawningCompleted = creep => {
+    if( !creep.data || !creep.data.destiny || !creep.data.destiny.task || creep.data.destiny.task != 'deposit' ) return;
+    let destiny = creep.data.destiny;
+    let memory = Task.deposit.memory(destiny.targetName);
+    // save running creep to task memory
+    memory.running[destiny.role].push(creep.name);
+    // clean/validate task memory spawning creeps
+    Task.validateSpawning(memory, null, 'deposit', {subKey: destiny.role});
+};
+// when a creep died (or will die soon)
+mod.handleCreepDied = name => {
+    let mem = Memory.population[name];
+    if( !mem || !mem.destiny || !mem.destiny.task || mem.destiny.task != 'deposit' ) return;
+    let depositId = mem.destiny.targetName;
+    let memory = Task.deposit.memory(depositId);
+    // clean/validate task memory running creeps
+    Task.validateRunning(memory, null, 'deposit', {subKey: mem.destiny.role, roomName: mem.destiny.room, deadCreep: name});
+    // operation is over once all creeps are gone. without a room the record was already cleaned up
+    if( !Task.deposit.isActive(depositId) && (!memory.roomName || Task.deposit.count(depositId) === 0) ) {
+        Task.clearMemory('deposit', depositId);
+    }
+};
+// get task memory
+mod.memory = depositId => {
+    let memory = Task.memory('deposit', depositId);
+    if( !memory.hasOwnProperty('queued') ) memory.queued = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('spawning') ) memory.spawning = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('running') ) memory.running = _.mapValues(mod.creep, () => []);
+    return memory;
+};
+// remove records of decayed deposits
+mod.cleanup = () => {
+    _.forEach(Util.get(Memory, ['tasks', 'deposit'], {}), (memory, depositId) => {
+        if( memory.decay && Game.time > memory.decay + CREEP_LIFE_TIME ) Task.clearMemory('deposit', depositId);
+    });
+};
+mod.creep = {
+    harvester: {
+        fixedBody: [],
+        multiBody: [WORK, CARRY, MOVE, MOVE],
+        maxMulti: 12,
+        name: "depositMiner",
+        behaviour: "depositMiner",
+        queue: 'Medium'
+    },
+    hauler: {
+        fixedBody: [],
+        multiBody: [CARRY, MOVE],
+        maxMulti: 25,
+        name: "depositHauler",
+        behaviour: "depositHauler",
+        queue: 'Medium'
+    },
+};
+// true while the deposit is still expected to be there
+mod.isActive = depositId => {
+    let memory = Task.deposit.memory(depositId);
+    if( !memory.spawnRoom || Game.time > memory.decay ) return false;
+    let room = Game.rooms[memory.roomName];
+    return !room || !!Game.getObjectById(depositId);
+};
+// count queued, spawning and running creeps of a role (all roles if role is null)
+mod.count = (depositId, role) => {
+    let memory = Task.deposit.memory(depositId);
+    return _.sum(role ? [role] : _.keys(mod.creep), role => {
+        Task.validateAll(memory, null, 'deposit', {roomName: memory.roomName, subKey: role, queues: [Task.deposit.creep[role].queue], checkValid: true});
+        return memory.queued[role].length + memory.spawning[role].length + memory.running[role].length;
+    });
+};
+// judge a deposit by cooldown, distance and market value. returns the operation or null
+mod.evaluate = deposit => {
+    if( deposit.lastCooldown > DEPOSIT_MINING.MAX_COOLDOWN ) return null;
+    let roomName = deposit.pos.roomName;
+    let spawnRoom = Room.findSpawnRoom({
+        targetRoom: roomName,
+        minRCL: 6,
+        maxRange: DEPOSIT_MINING.MAX_RANGE,
+        callBack: room => room.storage && (room.spawnQueueHigh.length + room.spawnQueueMedium.length + room.spawnQueueLow.length) <= DEPOSIT_MINING.MAX_QUEUE
+    });
+    if( !spawnRoom ) return null;
+    let harvester = Creep.compileBody(spawnRoom, Task.deposit.creep.harvester);
+    let hauler = Creep.compileBody(spawnRoom, Task.deposit.creep.hauler);
+    let work = _.filter(harvester, p => p === WORK).length;
+    let workTime = CREEP_LIFE_TIME - routeRange(spawnRoom.name, roomName) * 50;
+    if( work === 0 || workTime <= 0 ) return null;
+    // the cooldown only grows, so this is an upper estimate
+    let expected = Math.floor(workTime / Math.max(deposit.lastCooldown, 1)) * work * HARVEST_DEPOSIT_POWER;
+    if( expected < DEPOSIT_MINING.MIN_AMOUNT ) return null;
+    let price = Market.averagePrice(deposit.depositType);
+    if( price ) {
+        let cost = Creep.bodyCosts(harvester) + Creep.bodyCosts(hauler) * DEPOSIT_MINING.HAULERS;
+        if( expected * price <= cost * ENERGY_VALUE_CREDITS ) return null;
+    }
+    return {
+        spawnRoom: spawnRoom.name,
+        expected: expected,
+    };
+};
+// check if new creeps have to be spawned
+mod.checkForRequiredCreeps = (deposit, memory) => {
+    if( !Game.rooms[memory.spawnRoom] ) return;
+    let harvesters = Task.deposit.count(deposit.id, 'harvester');
+    if( harvesters < DEPOSIT_MINING.MAX_HARVESTERS && deposit.lastCooldown <= DEPOSIT_MINING.MAX_COOLDOWN &&
+            deposit.ticksToDecay > routeRange(memory.spawnRoom, memory.roomName) * 50 ) {
+        Task.deposit.spawn(Task.deposit.creep.harvester, 'harvester', deposit.id, memory);
+        harvesters++;
+    }
+    let haulers = Task.deposit.count(deposit.id, 'hauler');
+    if( haulers < harvesters * DEPOSIT_MINING.HAULERS ) {
+        Task.deposit.spawn(Task.deposit.creep.hauler, 'hauler', deposit.id, memory);
+    }
+};
+mod.spawn = (creepDefinition, role, depositId, memory) => {
+    return Task.spawn(
+        creepDefinition,
+        { // destiny
+            task: 'deposit', // taskName
+            targetName: depositId, // targetName
+            role: role,
+            room: memory.roomName
+        },
+        { // spawn room selection params
+            targetRoom: memory.roomName,
+            explicit: memory.spawnRoom
+        },
+        creepSetup => { // callback onQueued
+            memory.queued[role].push({
+                room: creepSetup.queueRoom,
+                name: creepSetup.name
+            });
+        }
+    );
+};
@@ -25,7 +25,8 @@ mod.creep = {
         },
         name: "guard", 
         behaviour: "ranger", 
-        queue: 'Low'
+        queue: 'Low',
+        boosts: [RESOURCE_CATALYZED_KEANIUM_ALKALIDE, RESOURCE_CATALYZED_LEMERGIUM_ALKALIDE], // only applied with BOOST_REQUESTS.ENABLED
     },
 };
 // check if a new creep has to be spawned
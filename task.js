@@ -7,13 +7,19 @@ mod.populate = function() {
         Task.claim,
         Task.defense,
         Task.delivery,
+        Task.deposit,
         Task.guard,
         Task.labTech,
         Task.mining,
         Task.pioneer,
+        Task.power,
         Task.reputation,
         Task.reserve,
         Task.robbing,
+        Task.scout,
+        Task.siege,
+        Task.skMining,
+        Task.squad,
     ]);
 };
 mod.addTasks = (...task) => Task.tasks.push(...task);
@@ -35,24 +41,33 @@ mod.selfRegister = true;
 // register tasks (hook up into events)
 mod.register = function () {
     Task.tasks.forEach(task => {
+        const job = `task.${task.name}`;
+        const measured = handler => (...args) => Scheduler.measure(job, () => handler(...args));
+        // events occurring only once (or once per interval) always get through, the scheduler may skip ticks of the ones repeating every tick
+        const scheduled = handler => (...args) => {
+            if (Scheduler.allowed(job)) Scheduler.measure(job, () => handler(...args));
+        };
         // Extending of any other kind
         if (task.register) task.register();
         // Flag Events
-        if (task.handleFlagFound) Flag.found.on(flag => task.handleFlagFound(flag));
-        if (task.handleFlagRemoved) Flag.FlagRemoved.on(flagName => task.handleFlagRemoved(flagName));
+        if (task.handleFlagFound) Flag.found.on(scheduled(flag => task.handleFlagFound(flag)));
+        if (task.handleFlagRemoved) Flag.FlagRemoved.on(measured(flagName => task.handleFlagRemoved(flagName)));
         // Creep Events
-        if (task.handleSpawningStarted) Creep.spawningStarted.on(params => task.handleSpawningStarted(params));
-        if (task.handleSpawningCompleted) Creep.spawningCompleted.on(creep => task.handleSpawningCompleted(creep));
+        if (task.handleSpawningStarted) Creep.spawningStarted.on(measured(params => task.handleSpawningStarted(params)));
+        if (task.handleSpawningCompleted) Creep.spawningCompleted.on(measured(creep => task.handleSpawningCompleted(creep)));
         if (task.handleCreepDied) {
-            Creep.predictedRenewal.on(creep => task.handleCreepDied(creep.name));
-            Creep.died.on(name => task.handleCreepDied(name));
+            Creep.predictedRenewal.on(measured(creep => task.handleCreepDied(creep.name)));
+            Creep.died.on(measured(name => task.handleCreepDied(name)));
         }
-        if (task.handleCreepError) Creep.error.on(errorData => task.handleCreepError(errorData));
+        if (task.handleCreepError) Creep.error.on(measured(errorData => task.handleCreepError(errorData)));
         // Room events
-        if (task.handleNewInvader) Room.newInvader.on(invader => task.handleNewInvader(invader));
-        if (task.handleKnownInvader) Room.knownInvader.on(invaderID => task.handleKnownInvader(invaderID));
-        if (task.handleGoneInvader) Room.goneInvader.on(invaderID => task.handleGoneInvader(invaderID));
-        if (task.handleRoomDied) Room.collapsed.on(room => task.handleRoomDied(room));
+        if (task.handleNewInvader) Room.newInvader.on(measured(invader => task.handleNewInvader(invader)));
+        if (task.handleKnownInvader) Room.knownInvader.on(measured(invaderID => task.handleKnownInvader(invaderID)));
+        if (task.handleGoneInvader) Room.goneInvader.on(measured(invaderID => task.handleGoneInvader(invaderID)));
+        if (task.handleRoomDied) Room.collapsed.on(scheduled(room => task.handleRoomDied(room)));
+        if (task.handlePowerBankFound) Room.powerBankFound.on(scheduled(bank => task.handlePowerBankFound(bank)));
+        if (task.handleDepositFound) Room.depositFound.on(scheduled(deposit => task.handleDepositFound(deposit)));
+        if (task.handleExplorationDue) Room.explorationDue.on(measured(room => task.handleExplorationDue(room)));
     });
 };
 mod.memory = (task, s) => { // task:  (string) name of the task, s: (string) any selector for that task, could be room name, flag name, enemy name
@@ -105,7 +120,7 @@ mod.clearCache = (task, s) => {
     if( cache[task] && cache[task][s] )
         delete cache[task][s];
 };
-// creepDefinition: { queue, name, behaviour, fixedBody, multiBody }
+// creepDefinition: { queue, name, behaviour, fixedBody, multiBody, boosts }
 // destiny: { task, targetName }
 // roomParams: { targetRoom, minRCL = 0, maxRange = Infinity, minEnergyAvailable = 0, minEnergyCapacity = 0, callBack = null, allowTargetRoom = false, rangeRclRatio = 3, rangeQueueRatio = 51 }
 mod.spawn = (creepDefinition, destiny, roomParams, onQueued) => {
@@ -117,6 +132,10 @@ mod.spawn = (creepDefinition, destiny, roomParams, onQueued) => {
     if(!destiny.room && roomParams.targetRoom) destiny.room = roomParams.targetRoom;
 
     let parts = Creep.compileBody(room, creepDefinition);
+    if( creepDefinition.boosts ) {
+        let boosts = room.getBoostRequest(creepDefinition.boosts, parts);
+        if( !_.isEmpty(boosts) ) destiny.boosts = boosts;
+    }
 
     let name = `${creepDefinition.name || creepDefinition.behaviour}-${destiny.targetName}`;
     let creepSetup = {
@@ -164,6 +183,10 @@ mod.forceSpawn = (creepDef, roomParams, target) => {
 
     const parts = Creep.compileBody(room, creepDef);
     if (!parts.length) return;
+    if (creepDef.boosts) {
+        const boosts = room.getBoostRequest(creepDef.boosts, parts);
+        if (!_.isEmpty(boosts)) destiny.boosts = boosts;
+    }
     const name = `${creepDef.name || creepDef.behaviour}-${destiny.targetName}`;
     const creepSetup = {
         parts, destiny, name,
@@ -201,7 +224,7 @@ mod.validateQueued = function(memory, flag, task, options = {}) {
         if (options.subKey && memory.nextQueuedCheck) delete memory.nextQueuedCheck[options.subKey];
         else delete memory.nextQueuedCheck;
     }
-    const oldCheck = _.get(flag.memory, ['nextCheck', task], Infinity);
+    const oldCheck = _.get(flag, ['memory', 'nextCheck', task], Infinity);
     if (flag && (nextCheck - Game.time) > 0 && nextCheck < oldCheck) {
        //console.log('queued', flag.name, task, oldCheck, oldCheck - Game.time, nextCheck, nextCheck - Game.time);
         _.set(flag.memory, ['nextCheck', task], nextCheck);
@@ -219,7 +242,9 @@ mod.validateSpawning = function(memory, flag, task, options = {}) {
             if (!entry) return;
             const spawn = Game.spawns[entry.spawn];
             if( spawn && ((spawn.spawning && spawn.spawning.name === entry.name) || (spawn.newSpawn && spawn.newSpawn.name === entry.name))) {
-                minRemaining = (!minRemaining || spawn.spawning.remainingTime < minRemaining) ? spawn.spawning.remainingTime : minRemaining;
+                // a creep that started spawning this tick only shows up as newSpawn
+                const remaining = spawn.spawning ? spawn.spawning.remainingTime : entry.spawnTime;
+                minRemaining = (!minRemaining || remaining < minRemaining) ? remaining : minRemaining;
                 validated.push(entry);
             }
         };
@@ -234,7 +259,7 @@ mod.validateSpawning = function(memory, flag, task, options = {}) {
             else delete memory.nextSpawnCheck;
         }
     }
-    const oldCheck = _.get(flag.memory, ['nextCheck', task], Infinity);
+    const oldCheck = _.get(flag, ['memory', 'nextCheck', task], Infinity);
     if (flag && (nextCheck - Game.time) > 0 && nextCheck < oldCheck) {
        //console.log('spawning', flag.name, task, oldCheck, oldCheck - Game.time, nextCheck, nextCheck - Game.time);
         _.set(flag.memory, ['nextCheck', task], nextCheck);
@@ -278,7 +303,7 @@ mod.validateRunning = function(memory, flag, task, options = {}) {
             else delete memory.nextRunningCheck;
         }
     }
-    const oldCheck = _.get(flag.memory, ['nextCheck', task], Infinity);
+    const oldCheck = _.get(flag, ['memory', 'nextCheck', task], Infinity);
     if (flag && (nextCheck - Game.time) > 0 && nextCheck < oldCheck) {
        //console.log('running', flag.name, task, oldCheck, oldCheck - Game.time, nextCheck, nextCheck - Game.time);
         _.set(flag.memory, ['nextCheck', task], nextCheck);
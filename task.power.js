@@ -0,0 +1,216 @@
+// This task reacts on power banks spotted in highway rooms, sending attacker/healer pairs and haulers to harvest the power.
+let mod = {};
+module.exports = mod;
+mod.name = 'power';
+// hook into events
+mod.register = () => {};
+// when a power bank is visible (occurs every tick, for each bank)
+mod.handlePowerBankFound = bank => {
+    if( !POWER_MINING.ENABLED || Memory.CPU_CRITICAL ) return;
+    let memory = Task.power.memory(bank.pos.roomName);
+    if( memory.bankId !== bank.id ) {
+        // new bank sighted. check if it's worth it
+        if( memory.nextCheck && Game.time < memory.nextCheck ) return;
+        Task.power.cleanup();
+        let operation = Task.power.evaluate(bank);
+        if( !operation ) {
+            memory.nextCheck = Game.time + POWER_MINING.CHECK_INTERVAL;
+            memory.decay = Game.time + bank.ticksToDecay;
+            return;
+        }
+        _.assign(memory, operation);
+        delete memory.nextCheck;
+        if( global.DEBUG ) global.logSystem(bank.pos.roomName, `Harvesting power bank with ${bank.power} power from ${memory.spawnRoom} using ${memory.pairs} pairs, delivering to ${memory.deliverRoom}.`);
+    }
+    memory.hits = bank.hits;
+    memory.decay = Game.time + bank.ticksToDecay;
+    Task.power.checkForRequiredCreeps(bank, memory);
+};
+// when a creep starts spawning
+mod.handleSpawningStarted = params => { // params: {spawn: spawn.name, name: creep.name, destiny: creep.destiny}
+    if( !params.destiny || !params.destiny.task || params.destiny.task != 'power' ) return;
+    let role = params.destiny.role;
+    let memory = Task.power.memory(params.destiny.targetName);
+    // clean/validate task memory queued creeps
+    Task.validateQueued(memory, null, 'power', {subKey: role, queues: [Task.power.creep[role].queue]});
+    if( params.body ) params.body = _.countBy(params.body);
+    // save spawning creep to task memory
+    memory.spawning[role].push(params);
+};
+// when a creep completed spawning
+mod.handleSpawningCompleted = creep => {
+    if( !creep.data || !creep.data.destiny || !creep.data.destiny.task || creep.data.destiny.task != 'power' ) return;
+    let destiny = creep.data.destiny;
+    let memory = Task.power.memory(destiny.targetName);
+    // save running creep to task memory
+    memory.running[destiny.role].push(creep.name);
+    // clean/validate task memory spawning creeps
+    Task.validateSpawning(memory, null, 'power', {subKey: destiny.role});
+};
+// when a creep died (or will die soon)
+mod.handleCreepDied = name => {
+    let mem = Memory.population[name];
+    if( !mem || !mem.destiny || !mem.destiny.task || mem.destiny.task != 'power' ) return;
+    let roomName = mem.destiny.targetName;
+    let memory = Task.power.memory(roomName);
+    // clean/validate task memory running creeps
+    Task.validateRunning(memory, null, 'power', {subKey: mem.destiny.role, roomName, deadCreep: name});
+    // operation is over once all creeps are gone
+    if( memory.bankId && !Task.power.isActive(roomName) && Task.power.count(roomName) === 0 ) {
+        Task.clearMemory('power', roomName);
+    }
+};
+// get task memory
+mod.memory = roomName => {
+    let memory = Task.memory('power', roomName);
+    if( !memory.hasOwnProperty('queued') ) memory.queued = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('spawning') ) memory.spawning = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('running') ) memory.running = _.mapValues(mod.creep, () => []);
+    return memory;
+};
+// remove operations which ended without their creeps reporting back
+mod.cleanup = () => {
+    _.forEach(Util.get(Memory, ['tasks', 'power'], {}), (memory, roomName) => {
+        if( memory.decay && Game.time > memory.decay + CREEP_LIFE_TIME ) Task.clearMemory('power', roomName);
+    });
+};
+mod.creep = {
+    attacker: {
+        fixedBody: [],
+        multiBody: [ATTACK, MOVE],
+        maxMulti: 20,
+        name: "powerMiner",
+        behaviour: "powerMiner",
+        queue: 'Medium'
+    },
+    healer: {
+        fixedBody: [],
+        multiBody: [HEAL, MOVE],
+        maxMulti: 25,
+        name: "powerHealer",
+        behaviour: "powerHealer",
+        queue: 'Medium'
+    },
+    hauler: {
+        fixedBody: [],
+        multiBody: [CARRY, MOVE],
+        maxMulti: 25,
+        name: "powerHauler",
+        behaviour: "powerHauler",
+        queue: 'Medium'
+    },
+};
+// true while the bank is still expected to be there
+mod.isActive = roomName => {
+    let memory = Task.power.memory(roomName);
+    if( !memory.bankId || Game.time > memory.decay ) return false;
+    let room = Game.rooms[roomName];
+    return !room || !!Game.getObjectById(memory.bankId);
+};
+// count queued, spawning and running creeps of a role (all roles if role is null)
+mod.count = (roomName, role) => {
+    let memory = Task.power.memory(roomName);
+    return _.sum(role ? [role] : _.keys(mod.creep), role => {
+        Task.validateAll(memory, null, 'power', {roomName, subKey: role, queues: [Task.power.creep[role].queue], checkValid: true});
+        return memory.queued[role].length + memory.spawning[role].length + memory.running[role].length;
+    });
+};
+// free tiles next to the bank, each attacker needs one
+mod.freeSlots = bank => {
+    let room = bank.room;
+    let slots = 0;
+    room.lookForAtArea(LOOK_TERRAIN, bank.pos.y-1, bank.pos.x-1, bank.pos.y+1, bank.pos.x+1, true).forEach(t => {
+        if( t.terrain !== 'wall' && !(t.x === bank.pos.x && t.y === bank.pos.y) ) slots++;
+    });
+    return slots;
+};
+// judge a bank by power, decay, distance and spawn capacity. returns the operation or null
+mod.evaluate = bank => {
+    if( bank.power < POWER_MINING.MIN_POWER ) return null;
+    let roomName = bank.pos.roomName;
+    let spawnRoom = Room.findSpawnRoom({
+        targetRoom: roomName,
+        minRCL: 7,
+        maxRange: POWER_MINING.MAX_RANGE,
+        callBack: room => room.storage && (room.storage.store.energy || 0) >= POWER_MINING.MIN_ENERGY &&
+            (room.spawnQueueHigh.length + room.spawnQueueMedium.length + room.spawnQueueLow.length) <= POWER_MINING.MAX_QUEUE
+    });
+    if( !spawnRoom ) return null;
+    let deliverRooms = _.filter(Game.rooms, room => room.my && room.storage && room.structures.powerSpawn);
+    if( deliverRooms.length === 0 ) return null;
+    let deliverRoom = _.min(deliverRooms, room => routeRange(room.name, roomName));
+
+    let attacker = Creep.compileBody(spawnRoom, Task.power.creep.attacker);
+    let healer = Creep.compileBody(spawnRoom, Task.power.creep.healer);
+    // the bank reflects half of the damage dealt, the healer has to keep up with it
+    let damage = _.filter(attacker, p => p === ATTACK).length * ATTACK_POWER;
+    let heal = _.filter(healer, p => p === HEAL).length * HEAL_POWER;
+    if( damage === 0 || heal < damage * POWER_BANK_HIT_BACK ) return null;
+
+    let travel = routeRange(spawnRoom.name, roomName) * 50;
+    let spawnTime = (attacker.length + healer.length) * CREEP_SPAWN_TIME;
+    let workTime = CREEP_LIFE_TIME - travel;
+    if( workTime <= 0 ) return null;
+    let pairs = Math.min(Task.power.freeSlots(bank), POWER_MINING.MAX_PAIRS, Math.ceil(bank.hits / (damage * workTime)));
+    if( pairs === 0 ) return null;
+    let breakTime = spawnTime + travel + Math.ceil(bank.hits / (damage * pairs));
+    if( breakTime >= bank.ticksToDecay ) return null;
+    return {
+        bankId: bank.id,
+        power: bank.power,
+        spawnRoom: spawnRoom.name,
+        deliverRoom: deliverRoom.name,
+        pairs: pairs,
+        damage: damage,
+        nextPair: 0,
+    };
+};
+// check if new creeps have to be spawned
+mod.checkForRequiredCreeps = (bank, memory) => {
+    let roomName = bank.pos.roomName;
+    let spawnRoom = Game.rooms[memory.spawnRoom];
+    if( !spawnRoom ) return;
+    let travel = routeRange(memory.spawnRoom, roomName) * 50;
+    let attackers = Task.power.count(roomName, 'attacker');
+    // replace pairs as long as the remaining hits require it
+    let remaining = Math.ceil(bank.hits / memory.damage);
+    if( attackers < memory.pairs && remaining > travel && bank.ticksToDecay > travel + remaining / memory.pairs ) {
+        let pair = memory.nextPair++;
+        Task.power.spawn(Task.power.creep.attacker, 'attacker', roomName, memory, {pair});
+        Task.power.spawn(Task.power.creep.healer, 'healer', roomName, memory, {pair});
+    }
+    // haulers should arrive when the bank breaks
+    if( !memory.haulersQueued ) {
+        let working = bank.pos.findInRange(bank.room.creeps, 1).filter(c => c.data && c.data.destiny && c.data.destiny.task === 'power' && c.data.destiny.role === 'attacker').length;
+        let breaksIn = working > 0 ? Math.ceil(bank.hits / (memory.damage * working)) : Infinity;
+        let hauler = Creep.compileBody(spawnRoom, Task.power.creep.hauler);
+        let capacity = _.filter(hauler, p => p === CARRY).length * CARRY_CAPACITY;
+        if( capacity > 0 && breaksIn <= hauler.length * CREEP_SPAWN_TIME + travel + POWER_MINING.HAULER_MARGIN ) {
+            for( let i = Math.ceil(bank.power / capacity); i > 0; i-- ) {
+                Task.power.spawn(Task.power.creep.hauler, 'hauler', roomName, memory, {deliverRoom: memory.deliverRoom});
+            }
+            memory.haulersQueued = true;
+        }
+    }
+};
+mod.spawn = (creepDefinition, role, roomName, memory, destiny) => {
+    return Task.spawn(
+        creepDefinition,
+        _.assign({ // destiny
+            task: 'power', // taskName
+            targetName: roomName, // targetName
+            role: role,
+            bankId: memory.bankId
+        }, destiny),
+        { // spawn room selection params
+            targetRoom: roomName,
+            explicit: memory.spawnRoom
+        },
+        creepSetup => { // callback onQueued
+            memory.queued[role].push({
+                room: creepSetup.queueRoom,
+                name: creepSetup.name
+            });
+        }
+    );
+};
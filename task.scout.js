@@ -0,0 +1,121 @@
+// This task keeps room intel fresh around each owned room, sending cheap scouts to the rooms seen longest ago.
+let mod = {};
+module.exports = mod;
+mod.name = 'scout';
+// hook into events
+mod.register = () => {};
+// every SCOUTING.INTERVAL ticks, for each owned room
+mod.handleExplorationDue = room => {
+    if( !SCOUTING.ENABLED || !INTEL.ENABLED || Memory.CPU_CRITICAL ) return;
+    if( room.controller.level < SCOUTING.MIN_RCL ) return;
+    if( Task.scout.count(room.name) > 0 ) return;
+    if( !Task.scout.nextTarget(room.name) ) return;
+    Task.spawn(
+        Task.scout.creep.scout,
+        { // destiny
+            task: mod.name, // taskName
+            targetName: room.name, // targetName
+            homeRoom: room.name
+        },
+        { // spawn room selection params
+            targetRoom: room.name,
+            explicit: room.name
+        },
+        creepSetup => { // callback onQueued
+            Task.scout.memory(room.name).queued.push({
+                room: creepSetup.queueRoom,
+                name: creepSetup.name
+            });
+        }
+    );
+};
+// when a creep starts spawning
+mod.handleSpawningStarted = params => { // params: {spawn: spawn.name, name: creep.name, destiny: creep.destiny}
+    if( !params.destiny || !params.destiny.task || params.destiny.task != mod.name ) return;
+    let memory = Task.scout.memory(params.destiny.homeRoom);
+    // clean/validate task memory queued creeps
+    Task.validateQueued(memory, null, mod.name, {queues: [Task.scout.creep.scout.queue]});
+    if( params.body ) params.body = _.countBy(params.body);
+    // save spawning creep to task memory
+    memory.spawning.push(params);
+};
+// when a creep completed spawning
+mod.handleSpawningCompleted = creep => {
+    if( !creep.data || !creep.data.destiny || !creep.data.destiny.task || creep.data.destiny.task != mod.name ) return;
+    let memory = Task.scout.memory(creep.data.destiny.homeRoom);
+    // save running creep to task memory
+    memory.running.push(creep.name);
+    // clean/validate task memory spawning creeps
+    Task.validateSpawning(memory, null, mod.name);
+};
+// when a creep died (or will die soon)
+mod.handleCreepDied = name => {
+    let mem = Memory.population[name];
+    if( !mem || !mem.destiny || !mem.destiny.task || mem.destiny.task != mod.name ) return;
+    let homeRoom = mem.destiny.homeRoom;
+    // clean/validate task memory running creeps
+    Task.validateRunning(Task.scout.memory(homeRoom), null, mod.name, {roomName: homeRoom, deadCreep: name});
+};
+// get task memory
+mod.memory = homeRoom => {
+    let memory = Task.memory(mod.name, homeRoom);
+    if( !memory.hasOwnProperty('queued') ) memory.queued = [];
+    if( !memory.hasOwnProperty('spawning') ) memory.spawning = [];
+    if( !memory.hasOwnProperty('running') ) memory.running = [];
+    return memory;
+};
+mod.creep = {
+    scout: {
+        fixedBody: [MOVE],
+        multiBody: [],
+        name: "scout",
+        behaviour: "scout",
+        queue: 'Low'
+    },
+};
+// count queued, spawning and running scouts of a home room
+mod.count = homeRoom => {
+    let memory = Task.scout.memory(homeRoom);
+    Task.validateAll(memory, null, mod.name, {roomName: homeRoom, queues: [Task.scout.creep.scout.queue], checkValid: true});
+    return memory.queued.length + memory.spawning.length + memory.running.length;
+};
+// rooms within SCOUTING.RANGE exits of a home room, cached on the heap
+mod.rooms = homeRoom => {
+    let cache = Task.cache(mod.name, homeRoom);
+    if( !cache.rooms ) {
+        let distance = {[homeRoom]: 0};
+        let open = [homeRoom];
+        while( open.length > 0 ) {
+            let roomName = open.shift();
+            if( distance[roomName] >= SCOUTING.RANGE ) continue;
+            _.forEach(Game.map.describeExits(roomName), exit => {
+                if( !_.isUndefined(distance[exit]) || !Game.map.isRoomAvailable(exit) ) return;
+                distance[exit] = distance[roomName] + 1;
+                open.push(exit);
+            });
+        }
+        delete distance[homeRoom];
+        cache.rooms = distance;
+    }
+    return cache.rooms;
+};
+// true if intel shows towers with energy in a room we don't own or share
+mod.isDangerous = roomName => {
+    let intel = Room.getIntel(roomName);
+    if( !intel || !intel.towers || !intel.towerEnergy ) return false;
+    return intel.owner !== ME && !Task.reputation.isAlly(intel.owner);
+};
+// the room seen longest ago which no other scout heads for, null if all are fresh
+mod.nextTarget = (homeRoom, creep) => {
+    let claimed = _.filter(Game.creeps, c => c !== creep && c.data && c.data.destiny && c.data.destiny.task === mod.name).map(c => c.data.scoutRoom);
+    let rooms = Task.scout.rooms(homeRoom);
+    let candidates = _.keys(rooms).filter(roomName => !claimed.includes(roomName) && !Task.scout.isDangerous(roomName) &&
+        Room.intelAge(roomName) > SCOUTING.MAX_AGE);
+    if( candidates.length === 0 ) return null;
+    // oldest first, nearer rooms break the tie
+    let from = creep ? creep.pos.roomName : homeRoom;
+    return _.min(candidates, roomName => {
+        let age = Math.min(Room.intelAge(roomName), CREEP_LIFE_TIME * 100);
+        return -age * 100 + Game.map.getRoomLinearDistance(from, roomName);
+    });
+};
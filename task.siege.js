@@ -0,0 +1,248 @@
+// This task will react on siege flags (destroy/siege or orange/red), sending dismantler and healer teams in waves to take apart a defended player room.
+let mod = {};
+module.exports = mod;
+mod.name = 'siege';
+mod.minControllerLevel = 6;
+// hook into events
+mod.register = () => {};
+// for each flag
+mod.handleFlagFound = flag => {
+    if( !flag.compareTo(FLAG_COLOR.destroy.siege) ) return;
+    let memory = Task.siege.memory(flag.name);
+    // keep track of the defense while we have vision
+    if( flag.room ) Task.siege.scout(flag.room, memory);
+    else if( !memory.scouted || Game.time - memory.scouted > SIEGE.SCOUT_INTERVAL ) observerRequests.push({roomName: flag.pos.roomName});
+    if( Task.nextCreepCheck(flag, mod.name) ) {
+        Util.set(flag.memory, 'task', mod.name);
+        Task.siege.checkForRequiredCreeps(flag);
+    }
+};
+// when a flag has been removed
+mod.handleFlagRemoved = flagName => {
+    // the teams recycle themselves once the flag is gone
+    Task.clearMemory(mod.name, flagName);
+};
+// when a creep starts spawning
+mod.handleSpawningStarted = params => { // params: {spawn: spawn.name, name: creep.name, destiny: creep.destiny}
+    if( !params.destiny || !params.destiny.task || params.destiny.task != mod.name ) return;
+    let flag = Game.flags[params.destiny.targetName];
+    let memory = Task.siege.memory(params.destiny.targetName);
+    if( !flag || memory.wave !== params.destiny.wave ) return;
+    let role = params.destiny.role;
+    // clean/validate task memory queued creeps
+    Task.validateQueued(memory, flag, mod.name, {subKey: role, queues: [Task.siege.creep[role].queue]});
+    if( params.body ) params.body = _.countBy(params.body);
+    // save spawning creep to task memory
+    memory.spawning[role].push(params);
+};
+// when a creep completed spawning
+mod.handleSpawningCompleted = creep => {
+    if( !creep.data || !creep.data.destiny || !creep.data.destiny.task || creep.data.destiny.task != mod.name ) return;
+    let destiny = creep.data.destiny;
+    let flag = Game.flags[destiny.targetName];
+    let memory = Task.siege.memory(destiny.targetName);
+    if( !flag || memory.wave !== destiny.wave ) return;
+    // save running creep to task memory
+    memory.running[destiny.role].push(creep.name);
+    // clean/validate task memory spawning creeps
+    Task.validateSpawning(memory, flag, mod.name, {subKey: destiny.role});
+};
+// when a creep died (or will die soon)
+mod.handleCreepDied = name => {
+    let mem = Memory.population[name];
+    if( !mem || !mem.destiny || !mem.destiny.task || mem.destiny.task != mod.name ) return;
+    let flag = Game.flags[mem.destiny.targetName];
+    let memory = Task.siege.memory(mem.destiny.targetName);
+    if( !flag || memory.wave !== mem.destiny.wave ) return;
+    // clean/validate task memory running creeps
+    Task.validateRunning(memory, flag, mod.name, {subKey: mem.destiny.role, roomName: flag.pos.roomName, deadCreep: name});
+    if( Task.siege.count(flag) === 0 ) {
+        let wave = _.last(memory.waves);
+        if( wave && !wave.ended ) {
+            wave.ended = Game.time;
+            wave.hitsEnd = memory.hits;
+            logSystem(memory.spawnRoom, `Siege wave ${memory.wave} ended, ${wave.hitsStart - wave.hitsEnd} hits dismantled, ${memory.hits} left.`);
+        }
+        memory.state = 'lost';
+    }
+};
+// get task memory
+mod.memory = flagName => {
+    let memory = Task.memory(mod.name, flagName);
+    if( !memory.hasOwnProperty('queued') ) memory.queued = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('spawning') ) memory.spawning = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('running') ) memory.running = _.mapValues(mod.creep, () => []);
+    return memory;
+};
+mod.creep = {
+    dismantler: {
+        fixedBody: [],
+        multiBody: {
+            [TOUGH]: 1,
+            [WORK]: 2,
+            [MOVE]: 3,
+        },
+        maxMulti: 8,
+        name: "siegeDismantler",
+        behaviour: "siegeDismantler",
+        queue: 'Medium',
+        boosts: [RESOURCE_CATALYZED_ZYNTHIUM_ACID, RESOURCE_CATALYZED_GHODIUM_ALKALIDE], // only applied with BOOST_REQUESTS.ENABLED
+    },
+    healer: {
+        fixedBody: [],
+        multiBody: {
+            [TOUGH]: 1,
+            [HEAL]: 2,
+            [MOVE]: 3,
+        },
+        maxMulti: 8,
+        name: "siegeHealer",
+        behaviour: "siegeHealer",
+        queue: 'Medium',
+        boosts: [RESOURCE_CATALYZED_LEMERGIUM_ALKALIDE, RESOURCE_CATALYZED_GHODIUM_ALKALIDE], // only applied with BOOST_REQUESTS.ENABLED
+    },
+};
+// hostile towers and barriers of the sieged room
+mod.scout = (room, memory) => {
+    memory.scouted = Game.time;
+    let structures = room.find(FIND_STRUCTURES, {
+        filter: s => s.structureType === STRUCTURE_WALL || (s.structureType !== STRUCTURE_CONTROLLER && Task.reputation.hostileOwner(s))
+    });
+    let towers = structures.filter(s => s.structureType === STRUCTURE_TOWER && s.energy >= TOWER_ENERGY_COST);
+    memory.towers = towers.map(t => ({x: t.pos.x, y: t.pos.y, energy: t.energy}));
+    memory.hits = _.sum(structures, s => s.hits || 0);
+    // the weakest barrier decides where to break in, towers make a spot more expensive to hold
+    let barriers = structures.filter(s => s.structureType === STRUCTURE_RAMPART || s.structureType === STRUCTURE_WALL);
+    let breach = Game.getObjectById(memory.breachId);
+    // once broken through, the barriers left don't matter anymore
+    if( memory.breachId && !breach ) {
+        if( global.DEBUG ) logSystem(room.name, `Siege breached after ${memory.wave || 0} waves.`);
+        memory.breached = true;
+        delete memory.breachId;
+    }
+    if( !breach && !memory.breached && barriers.length > 0 ) {
+        breach = _.min(barriers, s => s.hits * (1 + Task.siege.towerDamage(towers, s.pos) / TOWER_POWER_ATTACK));
+        memory.breachId = breach.id;
+        if( global.DEBUG ) logSystem(room.name, `Siege breach at ${breach.pos.x},${breach.pos.y} (${breach.hits} hits).`);
+    }
+    // the dismantlers have to tank all towers at the breach, inside the worst spot counts
+    if( breach ) memory.damage = Task.siege.towerDamage(towers, breach.pos);
+    else memory.damage = _.max(structures.map(s => Task.siege.towerDamage(towers, s.pos)).concat(0));
+    // next structure to dismantle
+    let target = Game.getObjectById(memory.targetId);
+    if( !target ) {
+        if( breach ) target = breach;
+        else {
+            let order = [STRUCTURE_TOWER, STRUCTURE_SPAWN];
+            let candidates = structures.filter(s => s.structureType !== STRUCTURE_WALL && s.hits);
+            target = _.min(candidates, s => {
+                let index = order.indexOf(s.structureType);
+                return (index < 0 ? order.length : index) * 1000000000 + s.hits;
+            });
+            // what's under a rampart comes after the rampart
+            if( target && target.id ) {
+                let rampart = _.find(target.pos.lookFor(LOOK_STRUCTURES), s => s.structureType === STRUCTURE_RAMPART);
+                if( rampart ) target = rampart;
+            }
+        }
+        memory.targetId = target && target.id ? target.id : null;
+    }
+};
+// damage of all towers at a position
+mod.towerDamage = (towers, pos) => {
+    return _.sum(towers, t => Tower.towerDamage({pos: new RoomPosition(t.x, t.y, pos.roomName)}, pos));
+};
+// count queued, spawning and running creeps of a flag's current wave
+mod.count = flag => {
+    let memory = Task.siege.memory(flag.name);
+    return _.sum(_.keys(mod.creep), role => {
+        Task.validateAll(memory, flag, mod.name, {roomName: flag.pos.roomName, subKey: role, queues: [Task.siege.creep[role].queue], checkValid: true});
+        return memory.queued[role].length + memory.spawning[role].length + memory.running[role].length;
+    });
+};
+// healers needed per dismantler to tank the tower damage at the breach. null if it can't be tanked
+mod.plan = (spawnRoom, damage) => {
+    let dismantler = Creep.compileBody(spawnRoom, Task.siege.creep.dismantler);
+    let healer = Creep.compileBody(spawnRoom, Task.siege.creep.healer);
+    let dismantlerBoosts = spawnRoom.getBoostRequest(Task.siege.creep.dismantler.boosts, dismantler);
+    let healerBoosts = spawnRoom.getBoostRequest(Task.siege.creep.healer.boosts, healer);
+    // boosted TOUGH takes part of the damage
+    let toughRatio = dismantlerBoosts[RESOURCE_CATALYZED_GHODIUM_ALKALIDE] ? BOOSTS[TOUGH][RESOURCE_CATALYZED_GHODIUM_ALKALIDE].damage : 1;
+    let toughHits = _.filter(dismantler, p => p === TOUGH).length * BODYPART_HITS_MAX;
+    let taken = damage * toughRatio <= toughHits ? damage * toughRatio : toughHits + damage - toughHits / toughRatio;
+    let healBoost = healerBoosts[RESOURCE_CATALYZED_LEMERGIUM_ALKALIDE] ? BOOSTS[HEAL][RESOURCE_CATALYZED_LEMERGIUM_ALKALIDE].heal : 1;
+    let heal = _.filter(healer, p => p === HEAL).length * HEAL_POWER * healBoost;
+    if( heal === 0 ) return null;
+    let healers = Math.max(1, Math.ceil(taken / heal));
+    if( healers > SIEGE.MAX_HEALERS ) return null;
+    return {healers, taken, heal};
+};
+// check if a new wave has to be spawned
+mod.checkForRequiredCreeps = flag => {
+    let memory = Task.siege.memory(flag.name);
+    if( !memory.scouted ) return;
+    if( memory.wave !== undefined && memory.state !== 'lost' ) return;
+    if( !memory.targetId ) {
+        logSystem(flag.pos.roomName, `Siege complete after ${memory.wave || 0} waves.`);
+        flag.remove();
+        return;
+    }
+    let spawnRoom = Room.findSpawnRoom({
+        targetRoom: flag.pos.roomName,
+        minRCL: mod.minControllerLevel,
+        maxRange: SIEGE.MAX_RANGE,
+    });
+    if( !spawnRoom ) return;
+    let plan = Task.siege.plan(spawnRoom, memory.damage || 0);
+    if( !plan ) {
+        if( global.DEBUG ) logSystem(flag.pos.roomName, `Siege can't tank ${memory.damage} tower damage from ${spawnRoom.name}.`);
+        return;
+    }
+    _.assign(memory, {
+        wave: (memory.wave || 0) + 1,
+        spawnRoom: spawnRoom.name,
+        state: 'forming',
+        // a new wave starts with empty task memory
+        queued: _.mapValues(mod.creep, () => []),
+        spawning: _.mapValues(mod.creep, () => []),
+        running: _.mapValues(mod.creep, () => []),
+    });
+    if( !memory.waves ) memory.waves = [];
+    memory.waves.push({wave: memory.wave, started: Game.time, hitsStart: memory.hits, healers: plan.healers});
+    if( memory.waves.length > SIEGE.HISTORY_LENGTH ) memory.waves.shift();
+    for( let team = 0; team < SIEGE.TEAMS; team++ ) {
+        Task.siege.spawn(Task.siege.creep.dismantler, 'dismantler', flag, memory, team);
+        for( let i = 0; i < plan.healers; i++ ) {
+            Task.siege.spawn(Task.siege.creep.healer, 'healer', flag, memory, team);
+        }
+    }
+    logSystem(spawnRoom.name, `Siege wave ${memory.wave} for ${flag.pos.roomName}: ${SIEGE.TEAMS} teams of a dismantler and ${plan.healers} healers, tanking ${Math.ceil(plan.taken)} of ${memory.damage} tower damage.`);
+};
+mod.spawn = (creepDefinition, role, flag, memory, team) => {
+    return Task.spawn(
+        creepDefinition,
+        { // destiny
+            task: mod.name, // taskName
+            targetName: flag.name, // targetName
+            role: role,
+            team: team,
+            wave: memory.wave
+        },
+        { // spawn room selection params
+            targetRoom: flag.pos.roomName,
+            explicit: memory.spawnRoom
+        },
+        creepSetup => { // callback onQueued
+            memory.queued[role].push({
+                room: creepSetup.queueRoom,
+                name: creepSetup.name
+            });
+        }
+    );
+};
+// living creeps of a team in the current wave
+mod.team = (flagName, team) => {
+    let memory = Task.siege.memory(flagName);
+    return _.filter(Game.creeps, c => c.data && c.data.destiny && c.data.destiny.task === mod.name &&
+        c.data.destiny.targetName === flagName && c.data.destiny.wave === memory.wave && c.data.destiny.team === team);
+};
@@ -0,0 +1,249 @@
+// This task will react on source keeper mining flags (claim/skMining or green/cyan) in center nine rooms, sending a keeper killer, miners and haulers.
+let mod = {};
+module.exports = mod;
+mod.name = 'skMining';
+mod.minControllerLevel = 7;
+// hook into events
+mod.register = () => {};
+// for each flag
+mod.handleFlagFound = flag => {
+    if( !flag.compareTo(FLAG_COLOR.claim.skMining) ) return;
+    let roomName = flag.pos.roomName;
+    if( !Room.isCenterNineRoom(roomName) ) {
+        if( Task.nextCreepCheck(flag, mod.name) ) logError(`skMining flag ${flag.name} is not in a center nine room.`, {flagName: flag.name, roomName});
+        return;
+    }
+    let memory = Task.skMining.memory(roomName);
+    if( flag.room ) Task.skMining.scout(flag.room, memory);
+    if( Task.nextCreepCheck(flag, mod.name) ) {
+        Util.set(flag.memory, 'task', mod.name);
+        Task.skMining.checkForRequiredCreeps(flag, memory);
+    }
+};
+// when a flag has been removed
+mod.handleFlagRemoved = flagName => {
+    let flagMem = Memory.flags[flagName];
+    if( !flagMem || flagMem.task !== mod.name ) return;
+    // the creeps recycle themselves once the flag is gone
+    _.forEach(Util.get(Memory, ['tasks', mod.name], {}), (memory, roomName) => {
+        if( !FlagDir.find(FLAG_COLOR.claim.skMining, new RoomPosition(25, 25, roomName)) ) Task.clearMemory(mod.name, roomName);
+    });
+};
+// when a creep starts spawning
+mod.handleSpawningStarted = params => { // params: {spawn: spawn.name, name: creep.name, destiny: creep.destiny}
+    if( !params.destiny || !params.destiny.task || params.destiny.task != mod.name ) return;
+    let role = params.destiny.role;
+    let memory = Task.skMining.memory(params.destiny.targetName);
+    // clean/validate task memory queued creeps
+    Task.validateQueued(memory, null, mod.name, {subKey: role, queues: [Task.skMining.creep[role].queue]});
+    if( params.body ) params.body = _.countBy(params.body);
+    // save spawning creep to task memory
+    memory.spawning[role].push(params);
+};
+// when a creep completed spawning
+mod.handleSpawningCompleted = creep => {
+    if( !creep.data || !creep.data.destiny || !creep.data.destiny.task || creep.data.destiny.task != mod.name ) return;
+    let destiny = creep.data.destiny;
+    let memory = Task.skMining.memory(destiny.targetName);
+    // save running creep to task memory
+    memory.running[destiny.role].push(creep.name);
+    // clean/validate task memory spawning creeps
+    Task.validateSpawning(memory, null, mod.name, {subKey: destiny.role});
+};
+// when a creep died (or will die soon)
+mod.handleCreepDied = name => {
+    let mem = Memory.population[name];
+    if( !mem || !mem.destiny || !mem.destiny.task || mem.destiny.task != mod.name ) return;
+    let roomName = mem.destiny.targetName;
+    // clean/validate task memory running creeps
+    Task.validateRunning(Task.skMining.memory(roomName), null, mod.name, {subKey: mem.destiny.role, roomName, deadCreep: name});
+};
+// get task memory
+mod.memory = roomName => {
+    let memory = Task.memory(mod.name, roomName);
+    if( !memory.hasOwnProperty('queued') ) memory.queued = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('spawning') ) memory.spawning = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('running') ) memory.running = _.mapValues(mod.creep, () => []);
+    return memory;
+};
+mod.creep = {
+    killer: {
+        fixedBody: [],
+        multiBody: [],
+        name: "keeperKiller",
+        behaviour: "keeperKiller",
+        queue: 'Medium'
+    },
+    miner: {
+        fixedBody: {
+            [WORK]: 7,
+            [CARRY]: 1,
+            [MOVE]: 4,
+        },
+        multiBody: [],
+        name: "skMiner",
+        behaviour: "skMiner",
+        queue: 'Medium'
+    },
+    hauler: {
+        fixedBody: [],
+        multiBody: [CARRY, MOVE],
+        maxMulti: 16,
+        name: "skHauler",
+        behaviour: "skHauler",
+        queue: 'Medium'
+    },
+};
+// true while a flag asks for mining in that room
+mod.isActive = roomName => {
+    return !!FlagDir.find(FLAG_COLOR.claim.skMining, new RoomPosition(25, 25, roomName));
+};
+// record lairs with their resources and when their keepers spawn
+mod.scout = (room, memory) => {
+    let lairs = room.find(FIND_STRUCTURES, {filter: s => s.structureType === STRUCTURE_KEEPER_LAIR});
+    let keepers = room.hostiles.filter(c => c.owner.username === 'Source Keeper');
+    let lairOf = pos => {
+        let lair = pos.findClosestByRange(lairs);
+        return lair && pos.inRangeTo(lair, SK_MINING.LAIR_RANGE) ? lair.id : null;
+    };
+    if( !memory.targets ) {
+        let [mineral] = room.find(FIND_MINERALS);
+        memory.targets = room.sources.map(s => ({id: s.id, x: s.pos.x, y: s.pos.y, lairId: lairOf(s.pos)}));
+        if( mineral ) memory.targets.push({id: mineral.id, x: mineral.pos.x, y: mineral.pos.y, lairId: lairOf(mineral.pos), mineral: mineral.mineralType});
+    }
+    memory.lairs = {};
+    lairs.forEach(lair => {
+        let keeper = _.find(keepers, k => k.pos.inRangeTo(lair, SK_MINING.LAIR_RANGE * 2));
+        memory.lairs[lair.id] = {
+            x: lair.pos.x,
+            y: lair.pos.y,
+            keeper: keeper ? keeper.id : null,
+            // a lair without ticksToSpawn has a living keeper
+            spawnAt: _.isUndefined(lair.ticksToSpawn) ? null : Game.time + lair.ticksToSpawn,
+        };
+    });
+    memory.scouted = Game.time;
+};
+// true if the keeper of a target is dead and won't be back soon
+mod.isSafe = (memory, target) => {
+    if( !target.lairId ) return true;
+    let lair = memory.lairs && memory.lairs[target.lairId];
+    if( !lair || lair.keeper ) return false;
+    return lair.spawnAt === null ? false : lair.spawnAt - Game.time > SK_MINING.FLEE_TICKS;
+};
+// positions to keep away from: living keepers and lairs about to spawn
+mod.dangers = (memory, roomName) => {
+    return _.filter(memory.lairs, lair => lair.keeper || lair.spawnAt === null || lair.spawnAt - Game.time <= SK_MINING.FLEE_TICKS)
+        .map(lair => {
+            let keeper = lair.keeper && Game.getObjectById(lair.keeper);
+            return {pos: keeper ? keeper.pos : new RoomPosition(lair.x, lair.y, roomName), range: SK_MINING.SAFE_RANGE};
+        });
+};
+// move out of reach of the keepers. false if already safe
+mod.retreat = (creep, memory) => {
+    let dangers = Task.skMining.dangers(memory, creep.pos.roomName);
+    if( !_.some(dangers, d => creep.pos.inRangeTo(d.pos, d.range)) ) return false;
+    let ret = PathFinder.search(creep.pos, dangers, {flee: true, maxRooms: 1});
+    if( ret.path.length > 0 ) creep.move(creep.pos.getDirectionTo(ret.path[0]));
+    return true;
+};
+// count queued, spawning and running creeps of a role (all roles if role is null), optionally for a single target
+mod.count = (roomName, role, target) => {
+    let memory = Task.skMining.memory(roomName);
+    let ofTarget = destiny => !target || (destiny && destiny.target === target);
+    return _.sum(role ? [role] : _.keys(mod.creep), role => {
+        Task.validateAll(memory, null, mod.name, {roomName, subKey: role, queues: [Task.skMining.creep[role].queue], checkValid: true});
+        return memory.queued[role].filter(entry => !target || entry.target === target).length +
+            memory.spawning[role].filter(entry => ofTarget(entry.destiny)).length +
+            memory.running[role].filter(name => ofTarget(Memory.population[name] && Memory.population[name].destiny)).length;
+    });
+};
+// strongest keeper killer body the spawn room can afford that clears every lair within the respawn time, null if it can't be built
+mod.killerBody = (spawnRoom, lairCount) => {
+    let cycle = SK_MINING.LAIR_RESPAWN / Math.max(lairCount, 1) - SK_MINING.LAIR_TRAVEL;
+    // heal cancels attack, a fight has to be won before the killer drops below KILLER_HEAL_RATIO, unless it outheals the keeper
+    let survives = (attack, heal, killTime) => (attack + heal) * 2 * 100 * (1 - SK_MINING.KILLER_HEAL_RATIO) > SK_MINING.KEEPER_DAMAGE * killTime ||
+        heal * HEAL_POWER >= SK_MINING.KEEPER_DAMAGE;
+    for( let attack = MAX_CREEP_SIZE / 2; attack > 0; attack-- ) {
+        let killTime = Math.ceil(SK_MINING.KEEPER_HITS / (attack * ATTACK_POWER));
+        // less attack only takes longer
+        if( killTime > cycle ) return null;
+        // heal back everything taken during a respawn cycle
+        let heal = Math.max(1, Math.ceil(lairCount * killTime * SK_MINING.KEEPER_DAMAGE / (HEAL_POWER * SK_MINING.LAIR_RESPAWN)));
+        while( !survives(attack, heal, killTime) && (attack + heal) * 2 <= MAX_CREEP_SIZE ) heal++;
+        if( (attack + heal) * 2 > MAX_CREEP_SIZE ) continue;
+        let cost = attack * BODYPART_COST[ATTACK] + heal * BODYPART_COST[HEAL] + (attack + heal) * BODYPART_COST[MOVE];
+        if( cost > spawnRoom.energyCapacityAvailable ) continue;
+        return {[ATTACK]: attack, [HEAL]: heal, [MOVE]: attack + heal};
+    }
+    return null;
+};
+// check if new creeps have to be spawned
+mod.checkForRequiredCreeps = (flag, memory) => {
+    let roomName = flag.pos.roomName;
+    if( !memory.spawnRoom || !Game.rooms[memory.spawnRoom] ) {
+        let spawnRoom = Room.findSpawnRoom({
+            targetRoom: roomName,
+            minRCL: mod.minControllerLevel,
+            maxRange: SK_MINING.MAX_RANGE,
+        });
+        if( !spawnRoom ) return;
+        memory.spawnRoom = spawnRoom.name;
+    }
+    let spawnRoom = Game.rooms[memory.spawnRoom];
+    // no vision yet, ask for it. otherwise the killer scouts the room
+    if( !memory.targets ) observerRequests.push({roomName});
+    // the center room has no keepers
+    let needsKiller = !Room.isCenterRoom(roomName);
+    if( needsKiller && Task.skMining.count(roomName, 'killer') === 0 ) {
+        let lairCount = memory.lairs ? _.size(memory.lairs) : 4;
+        let fixedBody = Task.skMining.killerBody(spawnRoom, lairCount);
+        if( !fixedBody ) {
+            if( global.DEBUG ) logSystem(roomName, `skMining: ${memory.spawnRoom} can't build a keeper killer for ${lairCount} lairs.`);
+            return;
+        }
+        Task.skMining.spawn(_.assign({}, Task.skMining.creep.killer, {fixedBody}), 'killer', roomName, memory);
+        return;
+    }
+    // miners and haulers only follow a killer that is already at work
+    if( !memory.targets ) return;
+    let killerRunning = !needsKiller || memory.running.killer.length > 0;
+    if( !killerRunning ) return;
+    memory.targets.forEach(target => {
+        if( target.mineral ) {
+            let mineral = Game.getObjectById(target.id);
+            if( !SK_MINING.MINERALS || (mineral && mineral.mineralAmount === 0) ) return;
+        }
+        // a miner arriving while the keeper is alive only runs away
+        if( !Task.skMining.isSafe(memory, target) ) return;
+        if( Task.skMining.count(roomName, 'miner', target.id) === 0 ) {
+            Task.skMining.spawn(Task.skMining.creep.miner, 'miner', roomName, memory, target.id);
+        }
+    });
+    let miners = Task.skMining.count(roomName, 'miner');
+    if( Task.skMining.count(roomName, 'hauler') < miners * SK_MINING.HAULERS ) {
+        Task.skMining.spawn(Task.skMining.creep.hauler, 'hauler', roomName, memory);
+    }
+};
+mod.spawn = (creepDefinition, role, roomName, memory, target) => {
+    return Task.spawn(
+        creepDefinition,
+        { // destiny
+            task: mod.name, // taskName
+            targetName: roomName, // targetName
+            role: role,
+            target: target
+        },
+        { // spawn room selection params
+            targetRoom: roomName,
+            explicit: memory.spawnRoom
+        },
+        creepSetup => { // callback onQueued
+            memory.queued[role].push({
+                room: creepSetup.queueRoom,
+                name: creepSetup.name,
+                target: target
+            });
+        }
+    );
+};
@@ -0,0 +1,267 @@
+// This task will react on squad flags (invade/squad or red/orange), sending a squad moving in formation to destroy everything enemy in that room.
+let mod = {};
+module.exports = mod;
+mod.name = 'squad';
+mod.minControllerLevel = 5;
+// hook into events
+mod.register = () => {};
+// for each flag
+mod.handleFlagFound = flag => {
+    if (flag.compareTo(FLAG_COLOR.invade.squad) && Task.nextCreepCheck(flag, mod.name)) {
+        Util.set(flag.memory, 'task', mod.name);
+        // check if a new squad has to be spawned
+        Task.squad.checkForRequiredCreeps(flag);
+    }
+};
+// when a flag has been removed
+mod.handleFlagRemoved = flagName => {
+    // the members recycle themselves once the flag is gone
+    Task.clearMemory(mod.name, flagName);
+};
+// when a creep starts spawning
+mod.handleSpawningStarted = params => { // params: {spawn: spawn.name, name: creep.name, destiny: creep.destiny}
+    if( !params.destiny || !params.destiny.task || params.destiny.task != mod.name ) return;
+    let flag = Game.flags[params.destiny.targetName];
+    let memory = Task.squad.memory(params.destiny.targetName);
+    if( !flag || memory.wave !== params.destiny.wave ) return;
+    let role = params.destiny.role;
+    // clean/validate task memory queued creeps
+    Task.validateQueued(memory, flag, mod.name, {subKey: role, queues: [Task.squad.creep[role].queue]});
+    if( params.body ) params.body = _.countBy(params.body);
+    // save spawning creep to task memory
+    memory.spawning[role].push(params);
+};
+// when a creep completed spawning
+mod.handleSpawningCompleted = creep => {
+    if( !creep.data || !creep.data.destiny || !creep.data.destiny.task || creep.data.destiny.task != mod.name ) return;
+    let destiny = creep.data.destiny;
+    let flag = Game.flags[destiny.targetName];
+    let memory = Task.squad.memory(destiny.targetName);
+    if( !flag || memory.wave !== destiny.wave ) return;
+    // save running creep to task memory
+    memory.running[destiny.role].push(creep.name);
+    // clean/validate task memory spawning creeps
+    Task.validateSpawning(memory, flag, mod.name, {subKey: destiny.role});
+};
+// when a creep died (or will die soon)
+mod.handleCreepDied = name => {
+    let mem = Memory.population[name];
+    if( !mem || !mem.destiny || !mem.destiny.task || mem.destiny.task != mod.name ) return;
+    let flag = Game.flags[mem.destiny.targetName];
+    let memory = Task.squad.memory(mem.destiny.targetName);
+    if( !flag || memory.wave !== mem.destiny.wave ) return;
+    // clean/validate task memory running creeps
+    Task.validateRunning(memory, flag, mod.name, {subKey: mem.destiny.role, roomName: flag.pos.roomName, deadCreep: name});
+    if( Task.squad.count(flag) === 0 ) {
+        if( global.DEBUG ) logSystem(mem.destiny.room, `Squad ${flag.name} wave ${memory.wave} wiped out.`);
+        memory.state = 'lost';
+    }
+};
+// get task memory
+mod.memory = flagName => {
+    let memory = Task.memory(mod.name, flagName);
+    if( !memory.hasOwnProperty('queued') ) memory.queued = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('spawning') ) memory.spawning = _.mapValues(mod.creep, () => []);
+    if( !memory.hasOwnProperty('running') ) memory.running = _.mapValues(mod.creep, () => []);
+    return memory;
+};
+mod.creep = {
+    attacker: {
+        fixedBody: [],
+        multiBody: {
+            [TOUGH]: 1,
+            [RANGED_ATTACK]: 2,
+            [MOVE]: 3,
+        },
+        name: "squadAttacker",
+        behaviour: "squad",
+        queue: 'Medium'
+    },
+    healer: {
+        fixedBody: [],
+        multiBody: {
+            [TOUGH]: 1,
+            [HEAL]: 2,
+            [MOVE]: 3,
+        },
+        name: "squadHealer",
+        behaviour: "squad",
+        queue: 'Medium'
+    },
+};
+// squad definitions: member roles with their formation slot relative to the leader (first member)
+mod.squads = {
+    duo: [
+        {role: 'attacker', slot: [0, 0]},
+        {role: 'healer', slot: [0, 1]},
+    ],
+    quad: [
+        {role: 'attacker', slot: [0, 0]},
+        {role: 'attacker', slot: [1, 0]},
+        {role: 'healer', slot: [0, 1]},
+        {role: 'healer', slot: [1, 1]},
+    ],
+};
+// the squad definition a flag asks for, set `flag.memory.squadType` to choose another than SQUADS.DEFAULT_TYPE
+mod.squadType = flag => {
+    const type = flag.memory.squadType;
+    return mod.squads[type] ? type : SQUADS.DEFAULT_TYPE;
+};
+// count queued, spawning and running members of a flag's current wave
+mod.count = flag => {
+    let memory = Task.squad.memory(flag.name);
+    return _.sum(_.keys(mod.creep), role => {
+        Task.validateAll(memory, flag, mod.name, {roomName: flag.pos.roomName, subKey: role, queues: [Task.squad.creep[role].queue], checkValid: true});
+        return memory.queued[role].length + memory.spawning[role].length + memory.running[role].length;
+    });
+};
+// living members of a flag's current wave, ordered by slot
+mod.members = flagName => {
+    let memory = Task.squad.memory(flagName);
+    return _.sortBy(_.filter(Game.creeps, c => c.data && c.data.destiny && c.data.destiny.task === mod.name &&
+        c.data.destiny.targetName === flagName && c.data.destiny.wave === memory.wave), c => c.data.destiny.index);
+};
+// check if a new squad has to be spawned
+mod.checkForRequiredCreeps = flag => {
+    let memory = Task.squad.memory(flag.name);
+    if( memory.state === 'forming' && Game.time > memory.formDeadline ) Task.squad.checkFormation(flag, memory);
+    if( memory.wave !== undefined && memory.state !== 'lost' ) return;
+    let type = Task.squad.squadType(flag);
+    let spawnRoom = Room.findSpawnRoom({
+        targetRoom: flag.pos.roomName,
+        minRCL: mod.minControllerLevel,
+        maxRange: SQUADS.MAX_RANGE,
+    });
+    if( !spawnRoom ) return;
+    _.assign(memory, {
+        wave: (memory.wave || 0) + 1,
+        type: type,
+        spawnRoom: spawnRoom.name,
+        state: 'forming',
+        formDeadline: Game.time + SQUADS.FORM_TIMEOUT,
+        requeued: 0,
+        // a new wave starts with empty task memory
+        queued: _.mapValues(mod.creep, () => []),
+        spawning: _.mapValues(mod.creep, () => []),
+        running: _.mapValues(mod.creep, () => []),
+    });
+    // all members spawn from the same room to move out together
+    _.range(mod.squads[type].length).forEach(index => Task.squad.spawn(flag, memory, index));
+    if( global.DEBUG ) logSystem(spawnRoom.name, `Spawning ${type} squad wave ${memory.wave} for ${flag.pos.roomName}.`);
+};
+// a wave still forming at its deadline queues members which failed to spawn again, SQUADS.FORM_RETRIES times.
+// after that it gets disbanded so the next check starts a new wave
+mod.checkFormation = (flag, memory) => {
+    // look at the spawn queues right now, count revalidates queued members only every 50 ticks
+    _.keys(mod.creep).forEach(role => Task.validateQueued(memory, flag, mod.name, {subKey: role, queues: [Task.squad.creep[role].queue]}));
+    Task.squad.count(flag);
+    let index = destiny => destiny && destiny.index;
+    let present = _.flatten(_.keys(mod.creep).map(role => [].concat(
+        memory.queued[role].map(entry => entry.index),
+        memory.spawning[role].map(entry => index(entry.destiny)),
+        memory.running[role].map(name => index(Memory.population[name] && Memory.population[name].destiny)))));
+    let missing = _.range(mod.squads[memory.type].length).filter(i => !present.includes(i));
+    if( missing.length > 0 && memory.requeued >= SQUADS.FORM_RETRIES ) {
+        if( global.DEBUG ) logSystem(memory.spawnRoom, `Squad ${flag.name} wave ${memory.wave} disbanded, members ${missing.join(', ')} never spawned.`);
+        Task.removeQueued(memory.queued, _.keys(mod.creep));
+        memory.state = 'lost';
+        return;
+    }
+    if( missing.length > 0 ) {
+        if( global.DEBUG ) logSystem(memory.spawnRoom, `Squad ${flag.name} wave ${memory.wave} queues members ${missing.join(', ')} again.`);
+        missing.forEach(i => Task.squad.spawn(flag, memory, i));
+        memory.requeued++;
+    }
+    memory.formDeadline = Game.time + SQUADS.FORM_TIMEOUT;
+};
+// queue a member of the current wave by its index in the squad definition
+mod.spawn = (flag, memory, index) => {
+    let role = mod.squads[memory.type][index].role;
+    return Task.spawn(
+        Task.squad.creep[role],
+        { // destiny
+            task: mod.name, // taskName
+            targetName: flag.name, // targetName
+            role: role,
+            index: index,
+            wave: memory.wave
+        },
+        { // spawn room selection params
+            targetRoom: flag.pos.roomName,
+            explicit: memory.spawnRoom
+        },
+        creepSetup => { // callback onQueued
+            memory.queued[role].push({
+                room: creepSetup.queueRoom,
+                name: creepSetup.name,
+                index: index
+            });
+        }
+    );
+};
+// shared squad state, evaluated once per tick by the first member running
+mod.update = flagName => {
+    let memory = Task.squad.memory(flagName);
+    if( memory.updated === Game.time ) return memory;
+    memory.updated = Game.time;
+    let members = Task.squad.members(flagName);
+    if( members.length === 0 ) return memory;
+    let hits = _.sum(members, 'hits');
+    let hitsMax = _.sum(members, 'hitsMax');
+    if( memory.state === 'forming' ) {
+        // wait until everyone is spawned and gathered
+        let complete = members.length === mod.squads[memory.type].length && !_.some(members, 'spawning');
+        if( complete && _.every(members, c => c.pos.inRangeTo(members[0], 2)) ) memory.state = 'attacking';
+    } else if( memory.state === 'attacking' && hits < hitsMax * SQUADS.RETREAT_RATIO ) {
+        if( global.DEBUG ) logSystem(members[0].pos.roomName, `Squad ${flagName} retreating at ${Math.round(100 * hits / hitsMax)}% hits.`);
+        memory.state = 'retreating';
+    } else if( memory.state === 'retreating' && hits >= hitsMax * SQUADS.RESUME_RATIO ) {
+        memory.state = 'attacking';
+    }
+    // the member missing most hits gets healed by everyone
+    let injured = _.min(members.filter(c => c.hits < c.hitsMax), c => c.hits / c.hitsMax);
+    memory.healTarget = injured && injured.name ? injured.name : null;
+    let flag = Game.flags[flagName];
+    if( flag ) Task.squad.move(memory, members, flag);
+    return memory;
+};
+// position of a member's formation slot, null if blocked
+mod.slotPos = (memory, leader, member) => {
+    let [dx, dy] = mod.squads[memory.type][member.data.destiny.index].slot;
+    let x = leader.pos.x + dx;
+    let y = leader.pos.y + dy;
+    if( x < 1 || x > 48 || y < 1 || y > 48 ) return null;
+    let pos = new RoomPosition(x, y, leader.pos.roomName);
+    return Game.map.getTerrainAt(pos) === 'wall' ? null : pos;
+};
+// move all members in formation. the leader paths through the traveler and the others take the same step
+mod.move = (memory, members, flag) => {
+    let leader = members[0];
+    let followers = members.slice(1).filter(c => !c.spawning);
+    if( memory.state === 'forming' ) {
+        followers.forEach(c => { if( !c.pos.isNearTo(leader) ) c.travelTo(leader, {range: 1}); });
+        return;
+    }
+    let inSlot = c => {
+        let pos = Task.squad.slotPos(memory, leader, c);
+        return pos ? c.pos.isEqualTo(pos) : c.pos.isNearTo(leader);
+    };
+    if( !_.every(followers, inSlot) || _.some(members, c => c.fatigue > 0) ) {
+        followers.forEach(c => {
+            if( inSlot(c) ) return;
+            let pos = Task.squad.slotPos(memory, leader, c);
+            if( pos ) c.travelTo(pos, {range: 0});
+            else c.travelTo(leader, {range: 1});
+        });
+        return;
+    }
+    let retreating = memory.state === 'retreating';
+    let destination = retreating ? new RoomPosition(25, 25, memory.spawnRoom) : flag.pos;
+    if( leader.pos.inRangeTo(destination, retreating ? 10 : 1) ) return;
+    let returnData = {};
+    leader.travelTo(destination, {range: 1, returnData});
+    if( returnData.nextPos && returnData.nextPos.roomName === leader.pos.roomName ) {
+        let direction = leader.pos.getDirectionTo(returnData.nextPos);
+        followers.forEach(c => c.move(direction));
+    }
+};
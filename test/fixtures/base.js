@@ -0,0 +1,25 @@
+// an owned room at RCL 3 with a spawn, extensions, a tower and both sources, nothing else around
+const C = require('../mock/constants');
+const harness = require('../harness');
+
+module.exports = function(overrides = {}) {
+    const extensions = [];
+    for (let i = 0; i < 10; i++) extensions.push({structureType: C.STRUCTURE_EXTENSION, x: 20 + i, y: 30, store: {energy: 50}});
+    return Object.assign({
+        user: 'me',
+        time: 1000,
+        rooms: {
+            W1N1: {
+                terrain: harness.terrain({top: [20, 30], right: [20, 30]}),
+                controller: {x: 25, y: 10, level: 3, progress: 1000},
+                sources: [{x: 10, y: 10}, {x: 40, y: 40}],
+                minerals: [{x: 10, y: 40, mineralType: C.RESOURCE_HYDROGEN}],
+                structures: [
+                    {structureType: C.STRUCTURE_SPAWN, name: 'Spawn1', x: 25, y: 25, store: {energy: 300}},
+                    {structureType: C.STRUCTURE_TOWER, x: 27, y: 25, store: {energy: 1000}},
+                ].concat(extensions),
+                creeps: [],
+            },
+        },
+    }, overrides);
+};
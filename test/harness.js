@@ -0,0 +1,458 @@
+// offline harness: loads the bot through main.js into a mock world and runs its loop tick by tick.
+// a fixture describes the world, the harness rebuilds Game, Memory and RawMemory from it every tick like the server does,
+// records the intents the bot issues and applies the few effects tests rely on: spawning, aging, sites, flags and memory.
+const path = require('path');
+const Module = require('module');
+const _ = require('lodash');
+const C = require('./mock/constants');
+
+let mod = {};
+module.exports = mod;
+mod.ROOT = path.resolve(__dirname, '..');
+
+// missing modules of the bot fail like on the server, main.js tells overrides from errors by the message
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, parent, ...args) {
+    try {
+        return resolveFilename.call(this, request, parent, ...args);
+    } catch (e) {
+        if (e.code === 'MODULE_NOT_FOUND' && request.startsWith('./') && parent && path.dirname(parent.filename) === mod.ROOT) {
+            throw new Error(`Unknown module '${request.slice(2)}'`);
+        }
+        throw e;
+    }
+};
+
+const baseGlobals = new Set(Object.getOwnPropertyNames(global));
+// forget the loaded bot: its modules, the mocks it extended and every global it defined
+mod.reset = function() {
+    Object.keys(require.cache).forEach(file => {
+        if (file.startsWith(mod.ROOT) && !file.includes('node_modules') && file !== __filename && !file.endsWith(path.join('mock', 'constants.js'))) {
+            delete require.cache[file];
+        }
+    });
+    Object.getOwnPropertyNames(global).forEach(key => {
+        if (!baseGlobals.has(key)) delete global[key];
+    });
+};
+
+let counter = 0;
+const nextId = () => `id${(++counter).toString(16).padStart(6, '0')}`;
+// kinds of room objects in fixtures and world data
+const KINDS = ['structures', 'creeps', 'sources', 'minerals', 'deposits', 'resources', 'constructionSites', 'tombstones', 'ruins', 'nukes'];
+const DIRECTIONS = {[C.TOP]: [0, -1], [C.TOP_RIGHT]: [1, -1], [C.RIGHT]: [1, 0], [C.BOTTOM_RIGHT]: [1, 1],
+    [C.BOTTOM]: [0, 1], [C.BOTTOM_LEFT]: [-1, 1], [C.LEFT]: [-1, 0], [C.TOP_LEFT]: [-1, -1]};
+const TERRAIN_CHARS = {'#': C.TERRAIN_MASK_WALL, '~': C.TERRAIN_MASK_SWAMP};
+
+class World {
+    /**
+     * @param {Object} fixture - user, time, cpu, gcl, memory, segments, market, rooms: {name: {terrain, visible, controller, structures,
+     * creeps, sources, ...}}, flags: [{name, roomName, x, y, color, secondaryColor}] and script: {tick: world => {}} run before that tick
+     */
+    constructor(fixture = {}) {
+        const data = _.cloneDeep(_.omit(fixture, 'script'));
+        this.user = data.user || 'me';
+        this.time = data.time || 1;
+        this.cpu = _.assign({limit: 20, tickLimit: 500, bucket: 10000}, data.cpu);
+        this.gcl = _.assign({level: 1, progress: 0, progressTotal: 1000000}, data.gcl);
+        this.market = _.assign({credits: 0, orders: []}, data.market);
+        this.memory = JSON.stringify(data.memory || {});
+        this.segments = _.mapValues(data.segments || {}, value => _.isString(value) ? value : JSON.stringify(value));
+        this.activeSegments = [];
+        this.rooms = _.mapValues(data.rooms || {}, (room, name) => this.normalizeRoom(name, room));
+        this.flags = (data.flags || []).map(flag => _.assign({color: C.COLOR_WHITE}, flag));
+        this.script = fixture.script || {};
+        this.intents = {};
+        this.history = {};
+        this.logs = [];
+        this.errors = [];
+        this.notifications = [];
+        this.verbose = !!data.verbose || !!process.env.HARNESS_VERBOSE;
+    }
+    normalizeRoom(name, room) {
+        const data = {name, terrain: room.terrain, visible: room.visible !== false};
+        KINDS.forEach(kind => data[kind] = (room[kind] || []).map(o => _.assign({id: nextId()}, o)));
+        if (room.controller) data.structures.unshift(_.assign({id: nextId(), structureType: C.STRUCTURE_CONTROLLER}, room.controller));
+        data.creeps.forEach(creep => {
+            creep.body = require('./mock/objects').body(creep.body);
+            if (!creep.spawning && _.isUndefined(creep.ticksToLive)) creep.ticksToLive = C.CREEP_LIFE_TIME;
+        });
+        return data;
+    }
+
+    // load the bot like the server does on a global reset: require main.js with the tick's globals in place
+    load() {
+        mod.reset();
+        this.installGlobals();
+        this.build();
+        this.capture(() => {
+            this.main = require(path.join(mod.ROOT, 'main.js'));
+        });
+        this.watchErrors();
+        this.settle(false);
+        return this;
+    }
+    installGlobals() {
+        const objects = require('./mock/objects');
+        objects.state.world = this;
+        global._ = require('lodash');
+        _.assign(global, C);
+        ['RoomPosition', 'RoomObject', 'Source', 'Mineral', 'Deposit', 'Resource', 'Tombstone', 'Ruin', 'Nuke', 'ConstructionSite', 'Flag',
+            'Structure', 'OwnedStructure', 'Creep', 'PowerCreep', 'RoomVisual', 'Room', 'PathFinder'].forEach(name => global[name] = objects[name]);
+        _.forEach(objects.STRUCTURES, Class => global[Class.name] = Class);
+        global.Spawn = objects.StructureSpawn;
+        this.objects = objects;
+    }
+    // errors the bot logs count as test failures
+    watchErrors() {
+        [global, global.Util].forEach(target => {
+            if (!target || !target.logError) return;
+            const logError = target.logError;
+            target.logError = (message, ...args) => {
+                this.errors.push({tick: this.time, message: String(message)});
+                return logError.call(target, message, ...args);
+            };
+        });
+    }
+    capture(fn) {
+        const log = console.log;
+        console.log = (...args) => {
+            const line = args.map(arg => _.isString(arg) ? arg : JSON.stringify(arg)).join(' ');
+            this.logs.push({tick: this.time, line});
+            if (/Error|error/.test(line) && !this.errors.some(e => line.includes(e.message))) this.errors.push({tick: this.time, message: line});
+            if (this.verbose) log(line);
+        };
+        try {
+            return fn();
+        } finally {
+            console.log = log;
+        }
+    }
+
+    // run the loop for a number of ticks, the script of a tick runs right before it
+    tick(count = 1) {
+        if (!this.main) this.load();
+        for (let i = 0; i < count; i++) {
+            if (this.script[this.time]) this.script[this.time](this);
+            this.build();
+            this.intents = {};
+            this.capture(() => this.main.loop());
+            this.history[this.time] = this.intents;
+            this.settle(true);
+        }
+        return this;
+    }
+
+    // Game, Memory and RawMemory of the current tick
+    build() {
+        const objects = require('./mock/objects');
+        objects.state.world = this;
+        this.index = {};
+        this.spent = {};
+        this.busy = {};
+        this.rawMemory = null;
+        const Game = {
+            time: this.time,
+            rooms: {}, creeps: {}, spawns: {}, structures: {}, flags: {}, constructionSites: {}, powerCreeps: {}, resources: {},
+            cpu: _.assign({}, this.cpu, {getUsed: () => 0, getHeapStatistics: () => ({}), halt: () => {}, setShardLimits: () => C.OK}),
+            gcl: _.clone(this.gcl),
+            gpl: {level: 0, progress: 0, progressTotal: 1000},
+            shard: {name: 'shard0', type: 'normal', ptr: false},
+            map: this.gameMap(),
+            market: this.gameMarket(),
+            getObjectById: id => this.index[id] || null,
+            notify: (message, groupInterval) => this.notifications.push({tick: this.time, message, groupInterval}),
+        };
+        global.Game = Game;
+        global.Memory = JSON.parse(this.memory);
+        global.RawMemory = this.gameRawMemory();
+        global.InterShardMemory = {getLocal: () => '', setLocal: () => {}, getRemote: () => ''};
+
+        const lists = {};
+        _.forEach(this.rooms, (data, name) => {
+            if (!data.visible) return;
+            lists[name] = _.zipObject(KINDS.concat('flags'), KINDS.concat('flags').map(() => []));
+            Game.rooms[name] = new objects.Room(name, lists[name]);
+        });
+        _.forEach(this.rooms, (data, name) => {
+            const room = Game.rooms[name];
+            if (!room) return;
+            const add = (kind, object) => {
+                lists[name][kind].push(object);
+                if (object.id) this.index[object.id] = object;
+                return object;
+            };
+            data.structures.forEach(s => {
+                const Class = objects.STRUCTURES[s.structureType] || objects.Structure;
+                const structure = add('structures', new Class(s, room));
+                if (s.structureType === C.STRUCTURE_CONTROLLER) room.controller = structure;
+                if (s.structureType === C.STRUCTURE_STORAGE) room.storage = structure;
+                if (s.structureType === C.STRUCTURE_TERMINAL) room.terminal = structure;
+                if (structure.my) Game.structures[structure.id] = structure;
+                if (structure.my && s.structureType === C.STRUCTURE_SPAWN) Game.spawns[structure.name] = structure;
+                if (structure.my && (s.structureType === C.STRUCTURE_SPAWN || s.structureType === C.STRUCTURE_EXTENSION)) {
+                    room.energyAvailable += structure.energy;
+                    room.energyCapacityAvailable += structure.energyCapacity;
+                }
+            });
+            data.creeps.forEach(c => {
+                const creep = add('creeps', new objects.Creep(c, room));
+                if (creep.my) Game.creeps[creep.name] = creep;
+            });
+            data.sources.forEach(s => add('sources', new objects.Source(s, room)));
+            data.minerals.forEach(s => add('minerals', new objects.Mineral(s, room)));
+            data.deposits.forEach(s => add('deposits', new objects.Deposit(s, room)));
+            data.resources.forEach(s => add('resources', new objects.Resource(s, room)));
+            data.tombstones.forEach(s => add('tombstones', new objects.Tombstone(s, room)));
+            data.ruins.forEach(s => add('ruins', new objects.Ruin(s, room)));
+            data.nukes.forEach(s => add('nukes', new objects.Nuke(s, room)));
+            data.constructionSites.forEach(s => {
+                const site = add('constructionSites', new objects.ConstructionSite(s, room));
+                if (site.my) Game.constructionSites[site.id] = site;
+            });
+        });
+        this.flags.forEach(f => {
+            const room = Game.rooms[f.roomName];
+            const flag = new objects.Flag(f, room || {name: f.roomName});
+            if (!room) flag.room = undefined;
+            else lists[f.roomName].flags.push(flag);
+            Game.flags[f.name] = flag;
+        });
+    }
+    gameRawMemory() {
+        const world = this;
+        return {
+            // active segments, the ones never written to are empty strings
+            segments: _.zipObject(this.activeSegments, this.activeSegments.map(id => this.segments[id] || '')),
+            foreignSegment: undefined,
+            get: () => world.memory,
+            set: value => world.rawMemory = value,
+            setActiveSegments: ids => world.requestedSegments = ids.map(Number),
+            setActiveForeignSegment: () => {},
+            setDefaultPublicSegment: () => {},
+            setPublicSegments: () => {},
+        };
+    }
+    gameMap() {
+        const {roomCoords, roomName} = this.objects;
+        const distance = (a, b) => {
+            const from = roomCoords(a);
+            const to = roomCoords(b);
+            return Math.max(Math.abs(from.x - to.x), Math.abs(from.y - to.y));
+        };
+        return {
+            describeExits: name => {
+                const {x, y} = roomCoords(name);
+                return {[C.TOP]: roomName(x, y - 1), [C.RIGHT]: roomName(x + 1, y), [C.BOTTOM]: roomName(x, y + 1), [C.LEFT]: roomName(x - 1, y)};
+            },
+            getRoomLinearDistance: distance,
+            // straight along x then y, the route callback may block rooms
+            findRoute: (from, to, opts = {}) => {
+                from = from.name || from;
+                to = to.name || to;
+                const route = [];
+                let current = roomCoords(from);
+                const target = roomCoords(to);
+                while (current.x !== target.x || current.y !== target.y) {
+                    const dx = Math.sign(target.x - current.x);
+                    const next = dx ? {x: current.x + dx, y: current.y} : {x: current.x, y: current.y + Math.sign(target.y - current.y)};
+                    const name = roomName(next.x, next.y);
+                    if (opts.routeCallback && opts.routeCallback(name, roomName(current.x, current.y)) === Infinity) return C.ERR_NO_PATH;
+                    const exit = dx > 0 ? C.FIND_EXIT_RIGHT : dx < 0 ? C.FIND_EXIT_LEFT : next.y > current.y ? C.FIND_EXIT_BOTTOM : C.FIND_EXIT_TOP;
+                    route.push({exit, room: name});
+                    current = next;
+                }
+                return route;
+            },
+            isRoomAvailable: () => true,
+            getRoomStatus: () => ({status: 'normal', timestamp: null}),
+            getRoomTerrain: name => new this.objects.Room.Terrain(name),
+            getTerrainAt: (x, y, name) => {
+                if (_.isObject(x)) [x, y, name] = [x.x, x.y, x.roomName];
+                return {0: 'plain', [C.TERRAIN_MASK_WALL]: 'wall', [C.TERRAIN_MASK_SWAMP]: 'swamp'}[this.terrainAt(x, y, name)];
+            },
+            getWorldSize: () => 202,
+            visual: new this.objects.RoomVisual('map'),
+        };
+    }
+    gameMarket() {
+        const world = this;
+        const market = (method, result = C.OK) => (...args) => {
+            world.addIntent('market', method, args);
+            return result;
+        };
+        return {
+            credits: this.market.credits,
+            orders: _.indexBy(this.market.orders.filter(o => o.my), 'id'),
+            incomingTransactions: [],
+            outgoingTransactions: [],
+            getAllOrders: filter => _.filter(world.market.orders, filter),
+            getOrderById: id => _.find(world.market.orders, {id}) || null,
+            getHistory: () => [],
+            calcTransactionCost: (amount, a, b) => Math.ceil(amount * (1 - Math.exp(-Game.map.getRoomLinearDistance(a, b, true) / 30))),
+            deal: market('deal'),
+            createOrder: market('createOrder'),
+            cancelOrder: market('cancelOrder'),
+            changeOrderPrice: market('changeOrderPrice'),
+            extendOrder: market('extendOrder'),
+        };
+    }
+    // end of tick: keep memory and segments, advance spawning and creep lives
+    settle(advance) {
+        this.memory = this.rawMemory !== null ? this.rawMemory : JSON.stringify(global.Memory);
+        _.forEach(global.RawMemory.segments, (value, id) => {
+            if (_.isString(value)) this.segments[id] = value;
+        });
+        if (this.requestedSegments) this.activeSegments = this.requestedSegments;
+        this.requestedSegments = null;
+        if (!advance) return;
+        _.forEach(this.rooms, room => {
+            room.creeps.forEach(creep => this.move(room, creep));
+            room.creeps = room.creeps.filter(creep => creep.spawning || _.isUndefined(creep.ticksToLive) || --creep.ticksToLive > 0);
+            room.structures.filter(s => s.spawning).forEach(spawn => {
+                if (--spawn.spawning.remainingTime > 0) return;
+                const creep = _.find(room.creeps, {name: spawn.spawning.name});
+                if (creep) {
+                    creep.spawning = false;
+                    creep.ticksToLive = _.includes(creep.body, C.CLAIM) ? C.CREEP_CLAIM_LIFE_TIME : C.CREEP_LIFE_TIME;
+                }
+                spawn.spawning = null;
+            });
+        });
+        this.time++;
+    }
+
+    // a creep's last move intent steps it within its room, walls block and nothing else does
+    move(room, creep) {
+        const move = _.findLast(this.intents[creep.name] || [], {method: 'move'});
+        if (!move || creep.spawning) return;
+        const [dx, dy] = DIRECTIONS[move.args[0]] || [0, 0];
+        const x = creep.x + dx;
+        const y = creep.y + dy;
+        if (x < 0 || x > 49 || y < 0 || y > 49 || this.terrainAt(x, y, room.name) === C.TERRAIN_MASK_WALL) return;
+        creep.x = x;
+        creep.y = y;
+    }
+
+    // intents recorded by objects.js
+    addIntent(key, method, args) {
+        if (!this.intents[key]) this.intents[key] = [];
+        this.intents[key].push({method, args});
+    }
+    cancelIntent(key, method) {
+        if (this.intents[key]) this.intents[key] = this.intents[key].filter(i => i.method !== method);
+    }
+    terrainAt(x, y, roomName) {
+        const room = this.rooms[roomName];
+        const row = room && room.terrain && room.terrain[y];
+        return (row && TERRAIN_CHARS[row[x]]) || 0;
+    }
+    canSpawn(spawn, body, name) {
+        if (!spawn.my) return C.ERR_NOT_OWNER;
+        if (spawn.spawning || this.busy[spawn.id]) return C.ERR_BUSY;
+        if (Game.creeps[name] || _.some(this.rooms, room => _.find(room.creeps, {name}))) return C.ERR_NAME_EXISTS;
+        if (!_.isArray(body) || body.length === 0 || body.length > C.MAX_CREEP_SIZE || body.some(part => !C.BODYPART_COST[part])) return C.ERR_INVALID_ARGS;
+        const cost = _.sum(body, part => C.BODYPART_COST[part]);
+        if (cost > spawn.room.energyAvailable - (this.spent[spawn.room.name] || 0)) return C.ERR_NOT_ENOUGH_ENERGY;
+        return C.OK;
+    }
+    // the creep shows up spawning next tick, energy is taken from spawns first, then extensions
+    spawn(spawn, body, name, memory) {
+        const room = this.rooms[spawn.room.name];
+        let cost = _.sum(body, part => C.BODYPART_COST[part]);
+        this.spent[room.name] = (this.spent[room.name] || 0) + cost;
+        this.busy[spawn.id] = true;
+        _.sortBy(room.structures.filter(s => s.structureType === C.STRUCTURE_SPAWN || s.structureType === C.STRUCTURE_EXTENSION),
+            s => s.structureType === C.STRUCTURE_SPAWN ? 0 : 1).forEach(s => {
+            if (!s.store || !s.store.energy || cost <= 0) return;
+            const taken = Math.min(s.store.energy, cost);
+            s.store.energy -= taken;
+            cost -= taken;
+        });
+        const data = _.find(room.structures, {id: spawn.id});
+        data.spawning = {name, needTime: body.length * C.CREEP_SPAWN_TIME, remainingTime: body.length * C.CREEP_SPAWN_TIME};
+        room.creeps.push({id: nextId(), name, x: spawn.pos.x, y: spawn.pos.y, body: body.slice(), spawning: true});
+        if (!_.isUndefined(memory)) {
+            if (!Memory.creeps) Memory.creeps = {};
+            Memory.creeps[name] = memory;
+        }
+    }
+    createConstructionSite(room, x, y, structureType, name) {
+        const data = this.rooms[room.name];
+        if (!C.CONSTRUCTION_COST[structureType]) return C.ERR_INVALID_ARGS;
+        if (_.size(Game.constructionSites) >= C.MAX_CONSTRUCTION_SITES) return C.ERR_FULL;
+        const at = o => o.x === x && o.y === y;
+        if (data.constructionSites.some(at) || data.structures.some(s => at(s) && (s.structureType === structureType ||
+            (structureType !== C.STRUCTURE_RAMPART && s.structureType !== C.STRUCTURE_RAMPART && s.structureType !== C.STRUCTURE_ROAD)))) {
+            return C.ERR_INVALID_TARGET;
+        }
+        if (structureType !== C.STRUCTURE_ROAD && this.terrainAt(x, y, room.name) === C.TERRAIN_MASK_WALL) return C.ERR_INVALID_TARGET;
+        const level = room.controller && room.controller.my ? room.controller.level : 0;
+        const count = _.filter(data.structures, {structureType}).length + _.filter(data.constructionSites, {structureType}).length;
+        if (count >= (C.CONTROLLER_STRUCTURES[structureType][level] || 0)) return C.ERR_RCL_NOT_ENOUGH;
+        data.constructionSites.push({id: nextId(), x, y, structureType, name});
+        this.addIntent(room.name, 'createConstructionSite', [x, y, structureType]);
+        return C.OK;
+    }
+    createFlag(pos, name, color = C.COLOR_WHITE, secondaryColor = color) {
+        if (!name) {
+            let i = 1;
+            while (_.find(this.flags, {name: `Flag${i}`})) i++;
+            name = `Flag${i}`;
+        }
+        if (_.find(this.flags, {name})) return C.ERR_NAME_EXISTS;
+        this.flags.push({name, roomName: pos.roomName, x: pos.x, y: pos.y, color, secondaryColor});
+        this.addIntent(pos.roomName, 'createFlag', [pos.x, pos.y, name, color, secondaryColor]);
+        return name;
+    }
+    removeFlag(name) {
+        this.flags = this.flags.filter(flag => flag.name !== name);
+    }
+    updateFlag(name, changes) {
+        _.assign(_.find(this.flags, {name}), changes);
+    }
+
+    // queries for assertions
+    /**
+     * intents issued for a creep name, structure id, room name or 'market'
+     * @param {string} key
+     * @param {number} [tick] - defaults to the last tick run
+     * @returns {Array<{method: string, args: Array}>}
+     */
+    intentsOf(key, tick = this.time - 1) {
+        return (this.history[tick] && this.history[tick][key]) || [];
+    }
+    // the memory as the bot left it after the last tick
+    readMemory() {
+        return JSON.parse(this.memory);
+    }
+    spawnQueue(roomName, priority = 'Medium') {
+        return _.get(this.readMemory(), ['rooms', roomName, `spawnQueue${priority}`], []);
+    }
+    taskMemory(task, key) {
+        const tasks = _.get(this.readMemory(), ['tasks', task], {});
+        return _.isUndefined(key) ? tasks : tasks[key];
+    }
+    segment(id) {
+        return this.segments[id];
+    }
+}
+mod.World = World;
+
+// a world loaded from a fixture, ready to tick
+mod.world = fixture => new World(fixture).load();
+
+// terrain rows of a room closed by walls except the exits given as {top, right, bottom, left: [from, to]}
+mod.terrain = (exits = {}) => {
+    const rows = [];
+    for (let y = 0; y < 50; y++) {
+        let row = '';
+        for (let x = 0; x < 50; x++) {
+            const open = (side, i) => exits[side] && i >= exits[side][0] && i <= exits[side][1];
+            const edge = (y === 0 && !open('top', x)) || (y === 49 && !open('bottom', x)) || (x === 0 && !open('left', y)) || (x === 49 && !open('right', y));
+            row += edge ? '#' : ' ';
+        }
+        rows.push(row);
+    }
+    return rows;
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const _ = require('lodash');
+const C = require('./mock/constants');
+const harness = require('./harness');
+const base = require('./fixtures/base');
+
+test('installs the bot through main.js and runs the loop without errors', () => {
+    const world = harness.world(base()).tick(10);
+    assert.deepStrictEqual(world.errors, []);
+    assert.strictEqual(typeof global.Task, 'object');
+    const memory = world.readMemory();
+    assert.strictEqual(memory.modules.valid, 1000);
+    assert.strictEqual(memory.modules.room, './room', 'missing overrides fall back to the base module');
+    assert.deepStrictEqual(memory.rooms.W1N1.spawns, [world.rooms.W1N1.structures[1].id]);
+});
+
+test('keeps memory between ticks and runs scripted changes before their tick', () => {
+    let seen;
+    const world = harness.world(base({
+        memory: {answer: 42},
+        script: {
+            1002: world => world.flags.push({name: 'scripted', roomName: 'W1N1', x: 5, y: 5, color: C.COLOR_GREY}),
+            1003: () => seen = Game.flags.scripted && Memory.answer,
+        },
+    })).tick(4);
+    assert.strictEqual(seen, 42);
+    assert.ok(world.readMemory().flags.scripted, 'the bot analyzed the new flag');
+});
+
+test('moves the special flag out of the way like the server', () => {
+    const world = harness.world(base()).tick(2);
+    assert.deepStrictEqual(world.intentsOf('W1N1', 1000).map(i => i.method), ['createFlag']);
+    assert.strictEqual(world.intentsOf('_OCS', 1001)[0].method, 'setPosition');
+    assert.strictEqual(_.find(world.flags, {name: '_OCS'}).roomName, 'W0N0');
+});
+
+test('registers a scheduler job named after each task', () => {
+    harness.world(base()).tick();
+    Task.tasks.forEach(task => assert.ok(Scheduler.jobs[`task.${task.name}`], `job of task ${task.name}`));
+    assert.ok(!Scheduler.jobs['task.undefined']);
+});
+
+test('runs interval work missed on a postponed tick on the next call', () => {
+    harness.world(base()).tick();
+    const due = (time, offset) => {
+        Game.time = time;
+        return Scheduler.due(`test.${offset}`, 10, offset);
+    };
+    assert.deepStrictEqual([1000, 1009, 1011, 1012, 1020].map(time => due(time, 0)), [true, false, true, false, true]);
+    assert.deepStrictEqual([1005, 1014, 1016, 1017, 1025].map(time => due(time, 5)), [true, false, true, false, true]);
+});
@@ -0,0 +1,818 @@
+// stand-ins for the game object classes. the harness builds new instances from its world every tick, like the server does.
+// intent methods validate little, they record their call in state.intents and return OK
+const _ = require('lodash');
+const C = require('./constants');
+
+let mod = {};
+module.exports = mod;
+// the world of the running tick, set by the harness
+mod.state = {world: null};
+const world = () => mod.state.world;
+// record an intent by creep name, structure id or 'market' and return its result
+const intent = (key, method, args, result = C.OK) => {
+    world().addIntent(key, method, args);
+    return result;
+};
+
+// x, y and roomName of a position or an object at a position
+const toPos = (x, y, roomName) => {
+    if (_.isObject(x)) return x.pos || x;
+    return {x, y, roomName};
+};
+// world coordinates of a room, W0N0 is at 0, 0 and E0S0 at 1, 1 like on the map
+mod.roomCoords = roomName => {
+    const [, we, x, ns, y] = roomName.match(/^([WE])(\d+)([NS])(\d+)$/) || [];
+    if (!we) return null;
+    return {x: we === 'W' ? -Number(x) - 1 : Number(x), y: ns === 'N' ? -Number(y) - 1 : Number(y)};
+};
+mod.roomName = (x, y) => `${x < 0 ? 'W' + (-x - 1) : 'E' + x}${y < 0 ? 'N' + (-y - 1) : 'S' + y}`;
+
+class RoomPosition {
+    constructor(x, y, roomName) {
+        this.x = x;
+        this.y = y;
+        this.roomName = roomName;
+    }
+    get room() {
+        return Game.rooms[this.roomName];
+    }
+    toString() {
+        return `[room ${this.roomName} pos ${this.x},${this.y}]`;
+    }
+    isEqualTo(x, y) {
+        const pos = toPos(x, y, this.roomName);
+        return pos.x === this.x && pos.y === this.y && (pos.roomName || this.roomName) === this.roomName;
+    }
+    getRangeTo(x, y) {
+        const pos = toPos(x, y, this.roomName);
+        if ((pos.roomName || this.roomName) !== this.roomName) return Infinity;
+        return Math.max(Math.abs(pos.x - this.x), Math.abs(pos.y - this.y));
+    }
+    inRangeTo(x, y, range) {
+        if (_.isObject(x)) return this.getRangeTo(x) <= y;
+        return this.getRangeTo(x, y) <= range;
+    }
+    isNearTo(x, y) {
+        return this.getRangeTo(x, y) <= 1;
+    }
+    getDirectionTo(x, y) {
+        const pos = toPos(x, y, this.roomName);
+        const from = mod.roomCoords(this.roomName);
+        const to = mod.roomCoords(pos.roomName || this.roomName);
+        const dx = Math.sign(pos.x - this.x + (to.x - from.x) * 50);
+        const dy = Math.sign(pos.y - this.y + (to.y - from.y) * 50);
+        return {'0,-1': C.TOP, '1,-1': C.TOP_RIGHT, '1,0': C.RIGHT, '1,1': C.BOTTOM_RIGHT,
+            '0,1': C.BOTTOM, '-1,1': C.BOTTOM_LEFT, '-1,0': C.LEFT, '-1,-1': C.TOP_LEFT}[`${dx},${dy}`];
+    }
+    findInRange(type, range, opts = {}) {
+        const objects = _.isArray(type) ? type : (this.room ? this.room.find(type, opts) : []);
+        const found = objects.filter(o => this.inRangeTo(o, range));
+        return _.isArray(type) && opts.filter ? _.filter(found, opts.filter) : found;
+    }
+    findClosestByRange(type, opts = {}) {
+        let objects = _.isArray(type) ? type : (this.room ? this.room.find(type, opts) : []);
+        if (_.isArray(type) && opts.filter) objects = _.filter(objects, opts.filter);
+        return objects.length > 0 ? _.min(objects, o => this.getRangeTo(o)) : null;
+    }
+    // no obstacles offline, the closest by path is the closest by range
+    findClosestByPath(type, opts) {
+        return this.findClosestByRange(type, opts);
+    }
+    findPathTo() {
+        return [];
+    }
+    look() {
+        return this.room ? this.room.lookAt(this) : [];
+    }
+    lookFor(type) {
+        return this.room ? this.room.lookForAt(type, this) : [];
+    }
+    createConstructionSite(structureType, name) {
+        return this.room ? this.room.createConstructionSite(this.x, this.y, structureType, name) : C.ERR_INVALID_TARGET;
+    }
+    createFlag(name, color, secondaryColor) {
+        return world().createFlag(this, name, color, secondaryColor);
+    }
+}
+mod.RoomPosition = RoomPosition;
+
+class RoomObject {
+    constructor(data, room) {
+        this.pos = new RoomPosition(data.x, data.y, data.roomName || room.name);
+        this.room = room;
+        this.effects = data.effects || [];
+    }
+}
+mod.RoomObject = RoomObject;
+
+// a store with the engine's capacity methods. capacity: number or function(resource)
+mod.store = (contents, capacity) => {
+    const store = _.assign({}, contents);
+    const capacityOf = resource => _.isFunction(capacity) ? capacity(resource) : capacity;
+    Object.defineProperties(store, {
+        getCapacity: {value: resource => capacityOf(resource)},
+        getUsedCapacity: {value: resource => _.isUndefined(resource) ? _.sum(store) : (store[resource] || 0)},
+        getFreeCapacity: {value: resource => (capacityOf(resource) || 0) - (_.isUndefined(resource) || !_.isFunction(capacity) ? _.sum(store) : (store[resource] || 0))},
+    });
+    return store;
+};
+
+class Source extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.energy = _.isUndefined(data.energy) ? C.SOURCE_ENERGY_CAPACITY : data.energy;
+        this.energyCapacity = data.energyCapacity || C.SOURCE_ENERGY_CAPACITY;
+        this.ticksToRegeneration = data.ticksToRegeneration || C.ENERGY_REGEN_TIME;
+    }
+}
+mod.Source = Source;
+
+class Mineral extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.mineralType = data.mineralType;
+        this.mineralAmount = _.isUndefined(data.mineralAmount) ? C.MINERAL_DENSITY[C.DENSITY_MODERATE] : data.mineralAmount;
+        this.density = data.density || C.DENSITY_MODERATE;
+        this.ticksToRegeneration = data.ticksToRegeneration;
+    }
+}
+mod.Mineral = Mineral;
+
+class Deposit extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.depositType = data.depositType;
+        this.cooldown = data.cooldown || 0;
+        this.lastCooldown = data.lastCooldown || 0;
+        this.ticksToDecay = data.ticksToDecay || C.DEPOSIT_DECAY_TIME;
+    }
+}
+mod.Deposit = Deposit;
+
+class Resource extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.resourceType = data.resourceType || C.RESOURCE_ENERGY;
+        this.amount = data.amount;
+    }
+}
+mod.Resource = Resource;
+
+class Tombstone extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.store = mod.store(data.store, Infinity);
+        this.ticksToDecay = data.ticksToDecay || 1;
+        this.deathTime = data.deathTime || Game.time;
+        this.creep = data.creep || {};
+    }
+}
+mod.Tombstone = Tombstone;
+
+class Ruin extends Tombstone {}
+mod.Ruin = Ruin;
+
+class Nuke extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.launchRoomName = data.launchRoomName;
+        this.timeToLand = data.timeToLand;
+    }
+}
+mod.Nuke = Nuke;
+
+class ConstructionSite extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.structureType = data.structureType;
+        this.progress = data.progress || 0;
+        this.progressTotal = C.CONSTRUCTION_COST[data.structureType];
+        this.owner = {username: data.owner || world().user};
+        this.my = this.owner.username === world().user;
+    }
+    remove() {
+        return intent(this.id, 'remove', []);
+    }
+}
+mod.ConstructionSite = ConstructionSite;
+
+class Flag extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.name = data.name;
+        this.color = data.color;
+        this.secondaryColor = data.secondaryColor || data.color;
+    }
+    get memory() {
+        if (!Memory.flags) Memory.flags = {};
+        if (!Memory.flags[this.name]) Memory.flags[this.name] = {};
+        return Memory.flags[this.name];
+    }
+    set memory(value) {
+        if (!Memory.flags) Memory.flags = {};
+        Memory.flags[this.name] = value;
+    }
+    remove() {
+        world().removeFlag(this.name);
+        return intent(this.name, 'remove', []);
+    }
+    setColor(color, secondaryColor = color) {
+        world().updateFlag(this.name, {color, secondaryColor});
+        return intent(this.name, 'setColor', [color, secondaryColor]);
+    }
+    setPosition(x, y) {
+        const pos = toPos(x, y, this.pos.roomName);
+        world().updateFlag(this.name, {x: pos.x, y: pos.y, roomName: pos.roomName || this.pos.roomName});
+        return intent(this.name, 'setPosition', [pos]);
+    }
+}
+mod.Flag = Flag;
+
+class Structure extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.structureType = data.structureType;
+        this.hitsMax = data.hitsMax || mod.HITS[data.structureType] || 1000;
+        this.hits = _.isUndefined(data.hits) ? this.hitsMax : data.hits;
+    }
+    destroy() {
+        return intent(this.id, 'destroy', []);
+    }
+    isActive() {
+        return true;
+    }
+    notifyWhenAttacked(enabled) {
+        return intent(this.id, 'notifyWhenAttacked', [enabled]);
+    }
+}
+mod.Structure = Structure;
+// hits of new structures by type
+mod.HITS = {
+    spawn: C.SPAWN_HITS, extension: C.EXTENSION_HITS, road: C.ROAD_HITS, constructedWall: C.WALL_HITS, rampart: C.RAMPART_HITS,
+    link: C.LINK_HITS, storage: C.STORAGE_HITS, tower: C.TOWER_HITS, observer: C.OBSERVER_HITS, powerBank: C.POWER_BANK_HITS,
+    powerSpawn: C.POWER_SPAWN_HITS, extractor: C.EXTRACTOR_HITS, lab: C.LAB_HITS, terminal: C.TERMINAL_HITS, container: C.CONTAINER_HITS,
+    nuker: C.NUKER_HITS, factory: C.FACTORY_HITS,
+};
+
+class OwnedStructure extends Structure {
+    constructor(data, room) {
+        super(data, room);
+        const owner = _.isUndefined(data.owner) ? world().user : data.owner;
+        if (owner) this.owner = {username: owner};
+        this.my = owner === world().user;
+    }
+}
+mod.OwnedStructure = OwnedStructure;
+
+// structures holding energy, with the legacy energy and energyCapacity fields
+const energyStructure = (Base, capacityOf) => class extends Base {
+    constructor(data, room) {
+        super(data, room);
+        const capacity = capacityOf(room);
+        this.store = mod.store(_.assign({energy: 0}, data.store), resource => resource === C.RESOURCE_ENERGY || _.isUndefined(resource) ? capacity : null);
+        this.energy = this.store.energy;
+        this.energyCapacity = capacity;
+    }
+};
+
+class StructureSpawn extends energyStructure(OwnedStructure, () => C.SPAWN_ENERGY_CAPACITY) {
+    constructor(data, room) {
+        super(data, room);
+        this.name = data.name;
+        this.spawning = data.spawning ? _.assign({spawn: this}, data.spawning) : null;
+    }
+    get memory() {
+        if (!Memory.spawns) Memory.spawns = {};
+        if (!Memory.spawns[this.name]) Memory.spawns[this.name] = {};
+        return Memory.spawns[this.name];
+    }
+    spawnCreep(...args) {
+        const [body, name, {memory, dryRun = false} = {}] = args;
+        const result = world().canSpawn(this, body, name);
+        if (result !== C.OK || dryRun) return result;
+        world().spawn(this, body, name, memory);
+        return intent(this.id, 'spawnCreep', args, result);
+    }
+    // deprecated, still in use: the name on success, an error code otherwise
+    createCreep(...args) {
+        const [body, name = `creep${Game.time}`, memory] = args;
+        const result = world().canSpawn(this, body, name);
+        if (result !== C.OK) return result;
+        world().spawn(this, body, name, memory);
+        return intent(this.id, 'createCreep', args, name);
+    }
+    canCreateCreep(body, name) {
+        return world().canSpawn(this, body, name || 'unnamed');
+    }
+    renewCreep(creep) {
+        return intent(this.id, 'renewCreep', [creep]);
+    }
+    recycleCreep(creep) {
+        return intent(this.id, 'recycleCreep', [creep]);
+    }
+}
+mod.StructureSpawn = StructureSpawn;
+
+class StructureExtension extends energyStructure(OwnedStructure, room => C.EXTENSION_ENERGY_CAPACITY[room.controller ? room.controller.level : 0]) {}
+mod.StructureExtension = StructureExtension;
+
+class StructureController extends OwnedStructure {
+    constructor(data, room) {
+        // leveled controllers belong to the user unless the fixture names an owner
+        super(_.assign({owner: data.level ? undefined : null}, data), room);
+        this.level = data.level || 0;
+        this.progress = data.progress || 0;
+        this.progressTotal = C.CONTROLLER_LEVELS[this.level];
+        this.reservation = data.reservation;
+        this.safeMode = data.safeMode;
+        this.safeModeAvailable = _.isUndefined(data.safeModeAvailable) ? 1 : data.safeModeAvailable;
+        this.safeModeCooldown = data.safeModeCooldown;
+        this.sign = data.sign;
+        this.ticksToDowngrade = data.ticksToDowngrade || C.CONTROLLER_DOWNGRADE[this.level];
+        this.upgradeBlocked = data.upgradeBlocked;
+        delete this.hits;
+        delete this.hitsMax;
+    }
+    activateSafeMode() {
+        return intent(this.id, 'activateSafeMode', []);
+    }
+    unclaim() {
+        return intent(this.id, 'unclaim', []);
+    }
+}
+mod.StructureController = StructureController;
+
+class StructureStorage extends OwnedStructure {
+    constructor(data, room) {
+        super(data, room);
+        this.store = mod.store(data.store, C.STORAGE_CAPACITY);
+        this.storeCapacity = C.STORAGE_CAPACITY;
+    }
+}
+mod.StructureStorage = StructureStorage;
+
+class StructureTerminal extends OwnedStructure {
+    constructor(data, room) {
+        super(data, room);
+        this.store = mod.store(data.store, C.TERMINAL_CAPACITY);
+        this.storeCapacity = C.TERMINAL_CAPACITY;
+        this.cooldown = data.cooldown || 0;
+    }
+    send(resourceType, amount, destination, description) {
+        return intent(this.id, 'send', [resourceType, amount, destination, description]);
+    }
+}
+mod.StructureTerminal = StructureTerminal;
+
+class StructureContainer extends Structure {
+    constructor(data, room) {
+        super(data, room);
+        this.store = mod.store(data.store, C.CONTAINER_CAPACITY);
+        this.storeCapacity = C.CONTAINER_CAPACITY;
+        this.ticksToDecay = data.ticksToDecay || C.CONTAINER_DECAY_TIME;
+    }
+}
+mod.StructureContainer = StructureContainer;
+
+class StructureTower extends energyStructure(OwnedStructure, () => C.TOWER_CAPACITY) {
+    attack(target) {
+        return intent(this.id, 'attack', [target]);
+    }
+    heal(target) {
+        return intent(this.id, 'heal', [target]);
+    }
+    repair(target) {
+        return intent(this.id, 'repair', [target]);
+    }
+}
+mod.StructureTower = StructureTower;
+
+class StructureLink extends energyStructure(OwnedStructure, () => C.LINK_CAPACITY) {
+    constructor(data, room) {
+        super(data, room);
+        this.cooldown = data.cooldown || 0;
+    }
+    transferEnergy(target, amount) {
+        return intent(this.id, 'transferEnergy', [target, amount]);
+    }
+}
+mod.StructureLink = StructureLink;
+
+class StructureLab extends OwnedStructure {
+    constructor(data, room) {
+        super(data, room);
+        const contents = _.assign({energy: 0}, data.store);
+        this.mineralType = _.find(_.keys(contents), r => r !== C.RESOURCE_ENERGY && contents[r] > 0) || null;
+        this.store = mod.store(contents, resource => resource === C.RESOURCE_ENERGY ? C.LAB_ENERGY_CAPACITY : C.LAB_MINERAL_CAPACITY);
+        this.energy = this.store.energy;
+        this.energyCapacity = C.LAB_ENERGY_CAPACITY;
+        this.mineralAmount = this.mineralType ? this.store[this.mineralType] : 0;
+        this.mineralCapacity = C.LAB_MINERAL_CAPACITY;
+        this.cooldown = data.cooldown || 0;
+    }
+    boostCreep(creep, bodyPartsCount) {
+        return intent(this.id, 'boostCreep', [creep, bodyPartsCount]);
+    }
+    runReaction(lab1, lab2) {
+        return intent(this.id, 'runReaction', [lab1, lab2]);
+    }
+    unboostCreep(creep) {
+        return intent(this.id, 'unboostCreep', [creep]);
+    }
+}
+mod.StructureLab = StructureLab;
+
+class StructurePowerSpawn extends OwnedStructure {
+    constructor(data, room) {
+        super(data, room);
+        const contents = _.assign({energy: 0, power: 0}, data.store);
+        this.store = mod.store(contents, resource => resource === C.RESOURCE_POWER ? C.POWER_SPAWN_POWER_CAPACITY : C.POWER_SPAWN_ENERGY_CAPACITY);
+        this.energy = contents.energy;
+        this.energyCapacity = C.POWER_SPAWN_ENERGY_CAPACITY;
+        this.power = contents.power;
+        this.powerCapacity = C.POWER_SPAWN_POWER_CAPACITY;
+    }
+    processPower() {
+        return intent(this.id, 'processPower', []);
+    }
+}
+mod.StructurePowerSpawn = StructurePowerSpawn;
+
+class StructureNuker extends OwnedStructure {
+    constructor(data, room) {
+        super(data, room);
+        const contents = _.assign({energy: 0, G: 0}, data.store);
+        this.store = mod.store(contents, resource => resource === C.RESOURCE_GHODIUM ? C.NUKER_GHODIUM_CAPACITY : C.NUKER_ENERGY_CAPACITY);
+        this.energy = contents.energy;
+        this.energyCapacity = C.NUKER_ENERGY_CAPACITY;
+        this.ghodium = contents.G;
+        this.ghodiumCapacity = C.NUKER_GHODIUM_CAPACITY;
+        this.cooldown = data.cooldown || 0;
+    }
+    launchNuke(pos) {
+        return intent(this.id, 'launchNuke', [pos]);
+    }
+}
+mod.StructureNuker = StructureNuker;
+
+class StructureFactory extends OwnedStructure {
+    constructor(data, room) {
+        super(data, room);
+        this.store = mod.store(data.store, C.FACTORY_CAPACITY);
+        this.level = data.level;
+        this.cooldown = data.cooldown || 0;
+    }
+    produce(resourceType) {
+        return intent(this.id, 'produce', [resourceType]);
+    }
+}
+mod.StructureFactory = StructureFactory;
+
+class StructureObserver extends OwnedStructure {
+    observeRoom(roomName) {
+        return intent(this.id, 'observeRoom', [roomName]);
+    }
+}
+mod.StructureObserver = StructureObserver;
+
+class StructureRampart extends OwnedStructure {
+    constructor(data, room) {
+        super(data, room);
+        this.isPublic = !!data.isPublic;
+        this.ticksToDecay = data.ticksToDecay || C.RAMPART_DECAY_TIME;
+    }
+    setPublic(isPublic) {
+        return intent(this.id, 'setPublic', [isPublic]);
+    }
+}
+mod.StructureRampart = StructureRampart;
+
+class StructureKeeperLair extends OwnedStructure {
+    constructor(data, room) {
+        super(_.assign({owner: 'Source Keeper'}, data), room);
+        this.ticksToSpawn = data.ticksToSpawn;
+    }
+}
+mod.StructureKeeperLair = StructureKeeperLair;
+
+class StructureInvaderCore extends OwnedStructure {
+    constructor(data, room) {
+        super(_.assign({owner: 'Invader'}, data), room);
+        this.level = data.level || 0;
+    }
+}
+mod.StructureInvaderCore = StructureInvaderCore;
+
+class StructureExtractor extends OwnedStructure {}
+mod.StructureExtractor = StructureExtractor;
+
+class StructureRoad extends Structure {
+    constructor(data, room) {
+        super(data, room);
+        this.ticksToDecay = data.ticksToDecay || C.ROAD_DECAY_TIME;
+    }
+}
+mod.StructureRoad = StructureRoad;
+
+class StructureWall extends Structure {}
+mod.StructureWall = StructureWall;
+
+class StructurePortal extends Structure {
+    constructor(data, room) {
+        super(data, room);
+        this.destination = data.destination;
+    }
+}
+mod.StructurePortal = StructurePortal;
+
+class StructurePowerBank extends Structure {
+    constructor(data, room) {
+        super(data, room);
+        this.power = data.power || C.POWER_BANK_CAPACITY_MIN;
+        this.ticksToDecay = data.ticksToDecay || C.POWER_BANK_DECAY;
+    }
+}
+mod.StructurePowerBank = StructurePowerBank;
+
+// class of each structure type
+mod.STRUCTURES = {
+    spawn: StructureSpawn, extension: StructureExtension, road: StructureRoad, constructedWall: StructureWall, rampart: StructureRampart,
+    keeperLair: StructureKeeperLair, portal: StructurePortal, controller: StructureController, link: StructureLink, storage: StructureStorage,
+    tower: StructureTower, observer: StructureObserver, powerBank: StructurePowerBank, powerSpawn: StructurePowerSpawn,
+    extractor: StructureExtractor, lab: StructureLab, terminal: StructureTerminal, container: StructureContainer, nuker: StructureNuker,
+    factory: StructureFactory, invaderCore: StructureInvaderCore,
+};
+
+// creep methods recorded as intents
+mod.CREEP_INTENTS = ['attack', 'attackController', 'build', 'claimController', 'dismantle', 'drop', 'generateSafeMode', 'harvest', 'heal',
+    'move', 'moveByPath', 'moveTo', 'notifyWhenAttacked', 'pickup', 'pull', 'rangedAttack', 'rangedHeal', 'rangedMassAttack', 'repair',
+    'reserveController', 'say', 'signController', 'suicide', 'transfer', 'upgradeController', 'withdraw'];
+
+class Creep extends RoomObject {
+    constructor(data, room) {
+        super(data, room);
+        this.id = data.id;
+        this.name = data.name;
+        this.body = mod.body(data.body).map(type => ({type, hits: 100}));
+        _.forEach(data.boosts, (boost, type) => this.body.filter(part => part.type === type).forEach(part => part.boost = boost));
+        this.hitsMax = this.body.length * 100;
+        this.hits = _.isUndefined(data.hits) ? this.hitsMax : data.hits;
+        this.owner = {username: data.owner || world().user};
+        this.my = this.owner.username === world().user;
+        this.spawning = !!data.spawning;
+        this.ticksToLive = data.spawning ? undefined : data.ticksToLive;
+        this.fatigue = data.fatigue || 0;
+        this.carryCapacity = this.body.filter(part => part.type === C.CARRY).length * C.CARRY_CAPACITY;
+        this.store = mod.store(data.store, this.carryCapacity);
+        this.carry = this.store;
+        this.saying = data.saying;
+    }
+    get memory() {
+        if (!Memory.creeps) Memory.creeps = {};
+        if (!Memory.creeps[this.name]) Memory.creeps[this.name] = {};
+        return Memory.creeps[this.name];
+    }
+    set memory(value) {
+        if (!Memory.creeps) Memory.creeps = {};
+        Memory.creeps[this.name] = value;
+    }
+    getActiveBodyparts(type) {
+        return this.body.filter(part => part.type === type && part.hits > 0).length;
+    }
+    cancelOrder(method) {
+        world().cancelIntent(this.name, method);
+        return C.OK;
+    }
+}
+mod.CREEP_INTENTS.forEach(method => {
+    Creep.prototype[method] = function(...args) {
+        return intent(this.name, method, args);
+    };
+});
+mod.Creep = Creep;
+
+// parts in order from an array or a {type: count} object
+mod.body = body => _.isArray(body) ? body : _.flatten(_.map(body, (count, type) => _.fill(Array(count), type)));
+
+class PowerCreep {}
+mod.PowerCreep = PowerCreep;
+
+class RoomVisual {
+    constructor(roomName) {
+        this.roomName = roomName;
+    }
+    getSize() {
+        return 0;
+    }
+    clear() {
+        return this;
+    }
+}
+['line', 'circle', 'rect', 'poly', 'text'].forEach(method => RoomVisual.prototype[method] = function() {
+    return this;
+});
+mod.RoomVisual = RoomVisual;
+
+class Terrain {
+    constructor(roomName) {
+        this.roomName = roomName;
+    }
+    get(x, y) {
+        return world().terrainAt(x, y, this.roomName);
+    }
+}
+
+// objects by the name of their find constant
+const FIND = {
+    [C.FIND_CREEPS]: o => o.creeps,
+    [C.FIND_MY_CREEPS]: o => o.creeps.filter(c => c.my),
+    [C.FIND_HOSTILE_CREEPS]: o => o.creeps.filter(c => !c.my),
+    [C.FIND_SOURCES_ACTIVE]: o => o.sources.filter(s => s.energy > 0),
+    [C.FIND_SOURCES]: o => o.sources,
+    [C.FIND_DROPPED_RESOURCES]: o => o.resources,
+    [C.FIND_STRUCTURES]: o => o.structures,
+    [C.FIND_MY_STRUCTURES]: o => o.structures.filter(s => s.my),
+    [C.FIND_HOSTILE_STRUCTURES]: o => o.structures.filter(s => s.owner && !s.my),
+    [C.FIND_FLAGS]: o => o.flags,
+    [C.FIND_CONSTRUCTION_SITES]: o => o.constructionSites,
+    [C.FIND_MY_SPAWNS]: o => o.structures.filter(s => s.structureType === C.STRUCTURE_SPAWN && s.my),
+    [C.FIND_HOSTILE_SPAWNS]: o => o.structures.filter(s => s.structureType === C.STRUCTURE_SPAWN && !s.my),
+    [C.FIND_MY_CONSTRUCTION_SITES]: o => o.constructionSites.filter(s => s.my),
+    [C.FIND_HOSTILE_CONSTRUCTION_SITES]: o => o.constructionSites.filter(s => !s.my),
+    [C.FIND_MINERALS]: o => o.minerals,
+    [C.FIND_NUKES]: o => o.nukes,
+    [C.FIND_TOMBSTONES]: o => o.tombstones,
+    [C.FIND_POWER_CREEPS]: () => [],
+    [C.FIND_MY_POWER_CREEPS]: () => [],
+    [C.FIND_HOSTILE_POWER_CREEPS]: () => [],
+    [C.FIND_DEPOSITS]: o => o.deposits,
+    [C.FIND_RUINS]: o => o.ruins,
+};
+// objects by look constant
+const LOOK = {
+    [C.LOOK_CREEPS]: 'creeps', [C.LOOK_RESOURCES]: 'resources', [C.LOOK_SOURCES]: 'sources', [C.LOOK_MINERALS]: 'minerals',
+    [C.LOOK_DEPOSITS]: 'deposits', [C.LOOK_STRUCTURES]: 'structures', [C.LOOK_FLAGS]: 'flags', [C.LOOK_CONSTRUCTION_SITES]: 'constructionSites',
+    [C.LOOK_NUKES]: 'nukes', [C.LOOK_TOMBSTONES]: 'tombstones', [C.LOOK_RUINS]: 'ruins',
+};
+const TERRAIN = {0: 'plain', [C.TERRAIN_MASK_WALL]: 'wall', [C.TERRAIN_MASK_SWAMP]: 'swamp'};
+
+class Room {
+    constructor(name, objects) {
+        // the objects in the room by kind, filled by the harness
+        Object.defineProperty(this, '__objects', {value: objects});
+        this.name = name;
+        this.visual = new RoomVisual(name);
+        this.mode = 'world';
+        this.energyAvailable = 0;
+        this.energyCapacityAvailable = 0;
+    }
+    get memory() {
+        if (!Memory.rooms) Memory.rooms = {};
+        if (!Memory.rooms[this.name]) Memory.rooms[this.name] = {};
+        return Memory.rooms[this.name];
+    }
+    set memory(value) {
+        if (!Memory.rooms) Memory.rooms = {};
+        Memory.rooms[this.name] = value;
+    }
+    find(type, opts = {}) {
+        let found;
+        if (type >= C.FIND_EXIT_TOP && type <= C.FIND_EXIT) found = this.exitPositions(type);
+        else found = (FIND[type] || (() => []))(this.__objects);
+        return opts.filter ? _.filter(found, opts.filter) : found.slice();
+    }
+    exitPositions(type) {
+        const positions = [];
+        for (let i = 0; i < 50; i++) {
+            if (type === C.FIND_EXIT_TOP || type === C.FIND_EXIT) positions.push([i, 0]);
+            if (type === C.FIND_EXIT_RIGHT || type === C.FIND_EXIT) positions.push([49, i]);
+            if (type === C.FIND_EXIT_BOTTOM || type === C.FIND_EXIT) positions.push([i, 49]);
+            if (type === C.FIND_EXIT_LEFT || type === C.FIND_EXIT) positions.push([0, i]);
+        }
+        return _.uniq(positions, p => p.join())
+            .filter(([x, y]) => world().terrainAt(x, y, this.name) !== C.TERRAIN_MASK_WALL)
+            .map(([x, y]) => new RoomPosition(x, y, this.name));
+    }
+    getPositionAt(x, y) {
+        return new RoomPosition(x, y, this.name);
+    }
+    getTerrain() {
+        return new Terrain(this.name);
+    }
+    getEventLog() {
+        return [];
+    }
+    lookForAt(type, x, y) {
+        const pos = toPos(x, y, this.name);
+        if (type === C.LOOK_TERRAIN) return [TERRAIN[world().terrainAt(pos.x, pos.y, this.name)]];
+        return (this.__objects[LOOK[type]] || []).filter(o => o.pos.x === pos.x && o.pos.y === pos.y);
+    }
+    lookAt(x, y) {
+        const pos = toPos(x, y, this.name);
+        const found = [];
+        _.forEach(LOOK, (kind, type) => this.lookForAt(type, pos).forEach(o => found.push({type, [type]: o})));
+        found.push({type: C.LOOK_TERRAIN, terrain: this.lookForAt(C.LOOK_TERRAIN, pos)[0]});
+        return found;
+    }
+    lookForAtArea(type, top, left, bottom, right, asArray) {
+        const result = asArray ? [] : {};
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                const found = this.lookForAt(type, x, y);
+                if (asArray) found.forEach(o => result.push({x, y, type, [type]: o}));
+                else if (found.length > 0) _.set(result, [y, x], found);
+            }
+        }
+        return result;
+    }
+    lookAtArea(top, left, bottom, right, asArray) {
+        const result = asArray ? [] : {};
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                const found = this.lookAt(x, y);
+                if (asArray) found.forEach(o => result.push(_.assign({x, y}, o)));
+                else _.set(result, [y, x], found);
+            }
+        }
+        return result;
+    }
+    createConstructionSite(x, y, structureType, name) {
+        if (_.isObject(x)) [x, y, structureType, name] = [x.x === undefined ? x.pos.x : x.x, x.y === undefined ? x.pos.y : x.y, y, structureType];
+        return world().createConstructionSite(this, x, y, structureType, name);
+    }
+    createFlag(x, y, name, color, secondaryColor) {
+        if (_.isObject(x)) return world().createFlag(toPos(x), y, name, color);
+        return world().createFlag(new RoomPosition(x, y, this.name), name, color, secondaryColor);
+    }
+    findPath() {
+        return [];
+    }
+    findExitTo(roomName) {
+        const from = mod.roomCoords(this.name);
+        const to = mod.roomCoords(roomName);
+        if (!from || !to) return C.ERR_INVALID_ARGS;
+        if (to.x > from.x) return C.FIND_EXIT_RIGHT;
+        if (to.x < from.x) return C.FIND_EXIT_LEFT;
+        if (to.y > from.y) return C.FIND_EXIT_BOTTOM;
+        return to.y < from.y ? C.FIND_EXIT_TOP : C.ERR_INVALID_ARGS;
+    }
+}
+Room.Terrain = Terrain;
+mod.Room = Room;
+
+class CostMatrix {
+    constructor() {
+        this._bits = new Uint8Array(2500);
+    }
+    set(x, y, value) {
+        this._bits[x * 50 + y] = value;
+    }
+    get(x, y) {
+        return this._bits[x * 50 + y];
+    }
+    clone() {
+        const copy = new CostMatrix();
+        copy._bits = new Uint8Array(this._bits);
+        return copy;
+    }
+    serialize() {
+        return Array.from(this._bits);
+    }
+    static deserialize(data) {
+        const matrix = new CostMatrix();
+        matrix._bits = new Uint8Array(data);
+        return matrix;
+    }
+}
+
+// a straight line towards the goal within its room, obstacles and terrain are ignored offline
+mod.PathFinder = {
+    CostMatrix,
+    use() {},
+    search(origin, goal, opts = {}) {
+        const goals = _.isArray(goal) ? goal : [goal];
+        const target = goals.map(g => ({pos: g.pos || g, range: g.range || 0}))
+            .filter(g => g.pos.roomName === origin.roomName)[0];
+        const path = [];
+        if (target) {
+            let x = origin.x;
+            let y = origin.y;
+            const away = opts.flee ? -1 : 1;
+            const steps = opts.flee ? target.range - origin.getRangeTo(target.pos) : origin.getRangeTo(target.pos) - target.range;
+            for (let i = 0; i < steps; i++) {
+                x = Math.min(49, Math.max(0, x + Math.sign(target.pos.x - x) * away));
+                y = Math.min(49, Math.max(0, y + Math.sign(target.pos.y - y) * away));
+                path.push(new RoomPosition(x, y, origin.roomName));
+            }
+        }
+        return {path, ops: path.length, cost: path.length, incomplete: !target};
+    },
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const _ = require('lodash');
+const harness = require('./harness');
+const base = require('./fixtures/base');
+
+// a dataset of the test, registered before the loop of the fixture's first tick like the bot's own ones on install
+const dataset = (options, script = {}) => base({script: _.assign({}, script, {
+    1000: world => {
+        OCSMemory.register('test', options);
+        if (script[1000]) script[1000](world);
+    },
+})});
+const range = world => _.pick(world.readMemory().segments.test, 'start', 'end');
+
+test('allocates a range for the budget and splits data over its segments, reassembled after a global reset', () => {
+    const data = {blob: 'x'.repeat(250 * 1024)};
+    const world = harness.world(dataset({budget: 300}, {1000: () => OCSMemory.save('test', data)})).tick();
+    assert.deepStrictEqual(range(world), {start: 89, end: 87}, 'the range below the datasets of the bot');
+    assert.strictEqual(world.readMemory().segments.test.chunks, 3);
+    assert.deepStrictEqual([89, 88, 87].map(id => world.segment(id).length), [100 * 1024, 100 * 1024, JSON.stringify(data).length - 200 * 1024]);
+
+    let loaded;
+    const reloaded = harness.world(base({time: world.time, memory: world.readMemory(), segments: world.segments,
+        script: {[world.time]: () => OCSMemory.register('test', {budget: 300, onLoad: data => loaded = data})}})).tick();
+    assert.strictEqual(loaded, undefined);
+    assert.deepStrictEqual(reloaded.activeSegments, [89, 88, 87]);
+    reloaded.tick();
+    assert.deepStrictEqual(loaded, data);
+    assert.deepStrictEqual(reloaded.errors, []);
+});
+
+test('defers a write while the segments of the tick are exhausted', () => {
+    const world = harness.world(dataset({budget: 100}, {1000: world => {
+        world.activeSegments = _.range(10);
+        OCSMemory.save('test', {answer: 42});
+    }})).tick();
+    const {start} = range(world);
+    assert.strictEqual(world.segment(start), undefined);
+    assert.strictEqual(OCSMemory.datasets.test.dirty, true);
+    world.tick();
+    assert.strictEqual(world.segment(start), '{"answer":42}');
+    assert.strictEqual(OCSMemory.datasets.test.dirty, false);
+});
+
+test('loads a dataset again once another global wrote a newer version and drops its own queued data', () => {
+    const loads = [];
+    const world = harness.world(dataset({budget: 100, onLoad: data => loads.push(data)}, {
+        1000: () => OCSMemory.save('test', {by: 'this global'}),
+        1001: world => {
+            const memory = JSON.parse(world.memory);
+            memory.segments.test.version = 1001;
+            world.memory = JSON.stringify(memory);
+            world.segments[memory.segments.test.start] = '{"by":"another global"}';
+            OCSMemory.save('test', {by: 'this global again'});
+        },
+    })).tick(3);
+    assert.deepStrictEqual(loads, [{}, {by: 'another global'}]);
+    assert.strictEqual(world.segment(range(world).start), '{"by":"another global"}');
+    assert.deepStrictEqual(world.errors, []);
+});
+
+test('loads lazy datasets only once they are used', () => {
+    let loaded;
+    const world = harness.world(dataset({budget: 100, onLoad: data => loaded = data, lazy: true})).tick(2);
+    assert.strictEqual(loaded, undefined);
+    assert.strictEqual(OCSMemory.get('test'), undefined);
+    world.tick();
+    assert.deepStrictEqual(OCSMemory.get('test'), {});
+    assert.deepStrictEqual(loaded, {});
+});
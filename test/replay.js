@@ -0,0 +1,146 @@
+// offline replayer: runs a recording of Recorder.start back through the bot on the harness, one recorded tick after the other.
+// Recorder.fixture() gives the static world. before each tick the snapshot sets creeps, room energy, hostiles and flags,
+// and the creeps continue with the action and target they had recorded the tick before. what the bot decides then is compared to the recording.
+// usage: node replay.js <fixture.json> <recording.json> [memory.json] [from] [to]
+const fs = require('fs');
+const _ = require('lodash');
+const C = require('./mock/constants');
+const harness = require('./harness');
+
+let mod = {};
+module.exports = mod;
+
+const parsePos = pos => {
+    const [x, y, roomName] = pos.split(',');
+    return {x: Number(x), y: Number(y), roomName};
+};
+const mine = (world, object) => !object.owner || object.owner === world.user;
+
+// spawns first, then extensions, are filled up to the recorded energy of the room
+const setEnergy = (world, room, energy) => {
+    const controller = _.find(room.structures, {structureType: C.STRUCTURE_CONTROLLER});
+    const level = controller ? controller.level || 0 : 0;
+    const capacity = s => s.structureType === C.STRUCTURE_SPAWN ? C.SPAWN_ENERGY_CAPACITY : C.EXTENSION_ENERGY_CAPACITY[level];
+    _.sortBy(room.structures.filter(s => mine(world, s) && (s.structureType === C.STRUCTURE_SPAWN || s.structureType === C.STRUCTURE_EXTENSION)),
+        s => s.structureType === C.STRUCTURE_SPAWN ? 0 : 1).forEach(s => {
+        const amount = Math.min(capacity(s), energy);
+        s.store = _.assign({}, s.store, {energy: amount});
+        energy -= amount;
+    });
+};
+
+/**
+ * set the world to the state a recorded tick started with
+ * @param {World} world - the harness world
+ * @param {number} tick
+ * @param {Object} snapshot - the snapshot of the tick
+ * @param {Object} [previous] - the snapshot before, the creeps keep its actions and targets
+ */
+mod.apply = function(world, tick, snapshot, previous) {
+    world.time = tick;
+    const creeps = {};
+    _.forEach(world.rooms, room => room.creeps.forEach(creep => creeps[creep.name] = creep));
+    _.forEach(snapshot.rooms, (recorded, roomName) => {
+        if (!world.rooms[roomName]) world.rooms[roomName] = world.normalizeRoom(roomName, {});
+        const room = world.rooms[roomName];
+        setEnergy(world, room, recorded.energy);
+        // hostiles are known by owner, position and id, a body only if the fixture has them
+        room.creeps = room.creeps.filter(creep => mine(world, creep) && (snapshot.creeps[creep.name] || creep.spawning));
+        recorded.hostiles.forEach(hostile => {
+            const [owner, pos, id] = hostile.split(' ');
+            const known = _.find(creeps, {id}) || {body: [C.MOVE]};
+            room.creeps.push(_.assign({}, known, {id, name: known.name || id, owner, spawning: false}, _.pick(parsePos(pos), 'x', 'y')));
+        });
+    });
+    const population = JSON.parse(world.memory).population || {};
+    _.forEach(snapshot.creeps, (recorded, name) => {
+        const {x, y, roomName} = parsePos(recorded.pos);
+        if (!world.rooms[roomName]) world.rooms[roomName] = world.normalizeRoom(roomName, {});
+        _.forEach(world.rooms, room => _.remove(room.creeps, {name}));
+        const body = creeps[name] ? creeps[name].body : population[name] ? population[name].body : [C.MOVE];
+        const creep = _.assign({id: `creep-${name}`, ticksToLive: C.CREEP_LIFE_TIME}, creeps[name], {name, x, y, body: require('./mock/objects').body(body),
+            hits: recorded.hits, fatigue: recorded.fatigue, store: recorded.sum ? {energy: recorded.sum} : {}, spawning: !!recorded.spawning});
+        delete creep.owner;
+        world.rooms[roomName].creeps.push(creep);
+    });
+    world.flags = world.flags.filter(flag => !snapshot.rooms[flag.roomName]).concat(snapshot.flags.map(([name, color, secondaryColor, pos]) =>
+        _.assign({name, color, secondaryColor}, parsePos(pos))));
+    if (previous) {
+        const memory = JSON.parse(world.memory);
+        _.forEach(previous.creeps, (recorded, name) => {
+            const entry = memory.population && memory.population[name];
+            if (!entry) return;
+            entry.actionName = recorded.action || null;
+            entry.targetId = recorded.target || null;
+        });
+        world.memory = JSON.stringify(memory);
+    }
+};
+
+/**
+ * what the bot did differently in a replayed tick: intents of recorded objects, actions and targets of recorded creeps
+ * @param {World} world - the harness world, right after the tick
+ * @param {number} tick
+ * @param {Object} snapshot - the snapshot of the tick
+ * @returns {Array<{tick: number, key: string, what: string, recorded: *, replayed: *}>}
+ */
+mod.compare = function(world, tick, snapshot) {
+    const differences = [];
+    const differ = (key, what, recorded, replayed) => {
+        if (!_.isEqual(recorded, replayed)) differences.push({tick, key, what, recorded, replayed});
+    };
+    const replayed = {};
+    _.forEach(world.history[tick], (intents, key) => {
+        const object = Game.creeps[key] || Game.getObjectById(key);
+        if (!object || !(snapshot.creeps[key] || snapshot.rooms[object.pos.roomName])) return;
+        const methods = Recorder.INTENTS[object instanceof Creep ? 'Creep' : object.constructor.name] || [];
+        const recorded = intents.filter(intent => methods.includes(intent.method))
+            .map(intent => [intent.method, ...intent.args.map(Recorder.compact)]);
+        if (recorded.length > 0) replayed[key] = recorded;
+    });
+    _.forEach(_.union(_.keys(snapshot.intents), _.keys(replayed)), key => {
+        differ(key, 'intents', (snapshot.intents[key] || []).map(intent => intent.slice(0, -1)), replayed[key] || []);
+    });
+    const population = world.readMemory().population || {};
+    _.forEach(snapshot.creeps, (recorded, name) => {
+        const entry = population[name] || {};
+        differ(name, 'action', recorded.action || null, entry.actionName || null);
+        differ(name, 'target', recorded.target || null, entry.targetId || null);
+    });
+    return differences;
+};
+
+/**
+ * replay recorded ticks
+ * @param {Object} recording - fixture: Recorder.fixture(), snapshots: Recorder.snapshots, memory: Memory when the recording started
+ * @param {Object} [range] - from and to: the first and last tick to replay
+ * @returns {{world: World, ticks: number[], differences: Array}}
+ */
+mod.replay = function({fixture, snapshots, memory}, {from = -Infinity, to = Infinity} = {}) {
+    const ticks = _.keys(snapshots).map(Number).filter(tick => tick >= from && tick <= to).sort((a, b) => a - b);
+    const world = new harness.World(_.assign({}, fixture, {time: ticks[0], memory: _.omit(memory || {}, 'recorder')})).load();
+    const differences = [];
+    let previous;
+    ticks.forEach(tick => {
+        mod.apply(world, tick, snapshots[tick], previous);
+        world.tick();
+        differences.push(...mod.compare(world, tick, snapshots[tick]));
+        previous = snapshots[tick];
+    });
+    return {world, ticks, differences};
+};
+
+if (require.main === module) {
+    const [fixture, snapshots, memory, from, to] = process.argv.slice(2);
+    if (!fixture || !snapshots) {
+        console.log('usage: node replay.js <fixture.json> <recording.json> [memory.json] [from] [to]');
+        process.exit(2);
+    }
+    const read = file => file && file !== '-' ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+    const result = mod.replay({fixture: read(fixture), snapshots: read(snapshots), memory: read(memory)},
+        {from: from ? Number(from) : undefined, to: to ? Number(to) : undefined});
+    result.differences.forEach(d => console.log(`${d.tick} ${d.key} ${d.what}: recorded ${JSON.stringify(d.recorded)}, replayed ${JSON.stringify(d.replayed)}`));
+    result.world.errors.forEach(e => console.log(`${e.tick} error: ${e.message}`));
+    console.log(`replayed ${result.ticks.length} ticks, ${result.differences.length} differences`);
+    process.exitCode = result.differences.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const _ = require('lodash');
+const harness = require('./harness');
+const replay = require('./replay');
+const base = require('./fixtures/base');
+
+// record the base room with an invader showing up, like Recorder.start in the console. run: ticks to run, the whole recording by default
+const record = (ticks, run = ticks) => {
+    const world = harness.world(base({
+        memory: {recorder: {rooms: ['W1N1'], creeps: [], start: 1000, until: 999 + ticks}},
+        script: {1002: world => world.rooms.W1N1.creeps.push({id: 'invader', name: 'Invader1', owner: 'Invader', x: 28, y: 22, body: {attack: 2, move: 2}})},
+    })).tick(run);
+    world.build();
+    return {world, fixture: JSON.parse(JSON.stringify(Recorder.fixture(['W1N1']))), snapshots: JSON.parse(JSON.stringify(Recorder.snapshots))};
+};
+
+test('records spawns made through createCreep', () => {
+    const {world, snapshots} = record(5);
+    const spawn = world.rooms.W1N1.structures[1].id;
+    assert.deepStrictEqual(snapshots[1000].intents[spawn], [['createCreep', {work: 4, carry: 4, move: 4}, 'worker-800-1', null, 'worker-800-1']]);
+    assert.deepStrictEqual(world.errors, []);
+});
+
+test('keeps the running recording when the saved one gets loaded', () => {
+    const {snapshots} = record(10, 5);
+    Recorder.loadSnapshots({1: {}});
+    assert.deepStrictEqual(_.keys(Recorder.snapshots), _.keys(snapshots));
+});
+
+test('replays a recording without differences', () => {
+    const {fixture, snapshots} = record(40);
+    const result = replay.replay({fixture, snapshots});
+    assert.strictEqual(result.ticks.length, 40);
+    assert.deepStrictEqual(result.differences, []);
+    assert.deepStrictEqual(result.world.errors, []);
+});
+
+test('reports where the bot decides differently than recorded', () => {
+    const {world, fixture, snapshots} = record(10);
+    const tower = world.rooms.W1N1.structures[2].id;
+    snapshots[1005].intents[tower] = [['heal', 'someone', 0]];
+    const result = replay.replay({fixture, snapshots});
+    assert.deepStrictEqual(result.differences, [{tick: 1005, key: tower, what: 'intents', recorded: [['heal', 'someone']], replayed: [['attack', 'invader']]}]);
+});
+
+test('saves the recording into its segment and loads it back on first use after a global reset', () => {
+    const {world, snapshots} = record(10, 20);
+    const saved = JSON.parse(world.segment(world.readMemory().segments.recorder.start));
+    assert.deepStrictEqual(_.keys(saved), _.keys(snapshots));
+    let shown;
+    const reloaded = harness.world(base({time: world.time, memory: world.readMemory(), segments: world.segments,
+        script: {[world.time + 1]: () => shown = Recorder.step()}})).tick(2);
+    assert.deepStrictEqual(Recorder.snapshots, {}, 'the recording is loaded once used');
+    assert.strictEqual(shown, 'Loading the recording, try again next tick.');
+    reloaded.tick(2);
+    assert.deepStrictEqual(_.keys(Recorder.snapshots), _.keys(snapshots));
+    assert.deepStrictEqual(reloaded.errors, []);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const _ = require('lodash');
+const C = require('./mock/constants');
+const harness = require('./harness');
+const base = require('./fixtures/base');
+
+test('spawns a worker in a room without creeps', () => {
+    const world = harness.world(base()).tick();
+    const [spawn] = world.intentsOf(world.rooms.W1N1.structures[1].id);
+    assert.strictEqual(spawn.method, 'createCreep');
+    assert.ok(spawn.args[0].includes(C.WORK));
+    const name = spawn.args[1];
+    assert.strictEqual(world.readMemory().population[name].creepType, 'worker');
+    world.tick();
+    assert.ok(_.find(world.rooms.W1N1.creeps, {name, spawning: true}), 'the creep is spawning');
+});
+
+test('spawns the head of the high queue first and removes it', () => {
+    const entry = {parts: [C.WORK, C.CARRY, C.MOVE], name: 'queued', behaviour: 'worker', destiny: {task: 'test'}};
+    const world = harness.world(base({memory: {rooms: {W1N1: {spawnQueueHigh: [entry], spawnQueueMedium: [], spawnQueueLow: []}}}})).tick();
+    const [spawn] = world.intentsOf(world.rooms.W1N1.structures[1].id);
+    assert.deepStrictEqual(spawn.args, [entry.parts, 'queued-1', null]);
+    assert.deepStrictEqual(world.spawnQueue('W1N1', 'High'), []);
+    assert.deepStrictEqual(world.readMemory().population['queued-1'].destiny, entry.destiny);
+});
+
+test('keeps a queued creep the room can not afford yet', () => {
+    const entry = {parts: Array(6).fill(C.WORK), name: 'big', behaviour: 'worker'};
+    const fixture = base({memory: {rooms: {W1N1: {spawnQueueHigh: [entry], spawnQueueMedium: [], spawnQueueLow: []}}}});
+    fixture.rooms.W1N1.structures[0].store.energy = 0;
+    fixture.rooms.W1N1.creeps.push({name: 'hauler', x: 30, y: 30, body: {carry: 2, move: 1}});
+    const world = harness.world(fixture).tick();
+    assert.deepStrictEqual(world.intentsOf(world.rooms.W1N1.structures[1].id), []);
+    assert.deepStrictEqual(world.spawnQueue('W1N1', 'High'), [entry]);
+});
+
+test('holds back queued creeps an incoming nuke would kill and spawns the ones behind them', () => {
+    const local = {parts: [C.WORK, C.CARRY, C.MOVE], name: 'local', behaviour: 'worker', destiny: {room: 'W1N1'}};
+    const remote = {parts: [C.WORK, C.CARRY, C.MOVE], name: 'remote', behaviour: 'remoteWorker', destiny: {room: 'W2N1'}};
+    const fixture = base({memory: {
+        parameters: {NUKE_DEFENSE: {ENABLED: true}},
+        rooms: {W1N1: {spawnQueueHigh: [local], spawnQueueMedium: [local, remote], spawnQueueLow: []}},
+    }});
+    fixture.rooms.W1N1.nukes = [{id: 'nuke', x: 10, y: 25, launchRoomName: 'W5N5', timeToLand: 1000}];
+    const world = harness.world(fixture).tick();
+    const [spawn] = world.intentsOf(world.rooms.W1N1.structures[1].id);
+    assert.deepStrictEqual(spawn.args, [remote.parts, 'remote-1', null]);
+    assert.deepStrictEqual(world.spawnQueue('W1N1', 'High'), [local]);
+    assert.deepStrictEqual(world.spawnQueue('W1N1', 'Medium'), [local]);
+});
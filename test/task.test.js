@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const _ = require('lodash');
+const C = require('./mock/constants');
+const harness = require('./harness');
+const base = require('./fixtures/base');
+
+// flags get placed once the room memory got synced, like in a running colony
+const place = (flag, tick = 1001) => ({[tick]: world => world.flags.push(flag)});
+
+test('a claim flag queues a claimer in the closest room and keeps it in the flag task memory', () => {
+    const world = harness.world(base({script: place({name: 'claimIt', roomName: 'W2N1', x: 25, y: 25, color: C.COLOR_GREEN, secondaryColor: C.COLOR_GREEN})})).tick(3);
+    const entry = _.find(world.spawnQueue('W1N1', 'Low'), {behaviour: 'claimer'});
+    assert.ok(entry, 'a claimer is queued');
+    assert.deepStrictEqual(entry.destiny, {task: 'claim', targetName: 'claimIt', flagName: 'claimIt', room: 'W2N1'});
+    const flag = world.readMemory().flags.claimIt;
+    assert.strictEqual(flag.task, 'claim');
+    assert.deepStrictEqual(flag.tasks.claim.queued, [{room: 'W1N1', name: entry.name, targetName: 'claimIt'}]);
+    assert.deepStrictEqual(world.errors, []);
+});
+
+test('a remote mining flag queues a remote miner and records it in Memory.tasks', () => {
+    const fixture = base({script: place({name: 'mineIt', roomName: 'W2N1', x: 25, y: 25, color: C.COLOR_GREEN, secondaryColor: C.COLOR_BROWN})});
+    fixture.rooms.W2N1 = {controller: {x: 20, y: 20}, sources: [{x: 30, y: 30}]};
+    const world = harness.world(fixture).tick(3);
+    const [entry] = world.spawnQueue('W1N1', 'Medium');
+    assert.strictEqual(entry.behaviour, 'remoteMiner');
+    assert.strictEqual(entry.destiny.room, 'W2N1');
+    const memory = world.taskMemory('mining', 'W2N1');
+    assert.deepStrictEqual(memory.queued.remoteMiner, [{room: 'W1N1', name: entry.name}]);
+    assert.deepStrictEqual(memory.running.remoteMiner, []);
+    assert.deepStrictEqual(world.errors, []);
+});
+
+// the room's own setups stay out of the way and its spawn and extensions get refilled
+const spawnReady = world => {
+    Spawn.priorityHigh = [];
+    const spawn = world.rooms.W1N1.structures[1];
+    if (spawn.spawning) spawn.spawning.remainingTime = 1;
+    world.rooms.W1N1.structures.forEach(s => {
+        if (s.structureType === C.STRUCTURE_SPAWN) s.store.energy = C.SPAWN_ENERGY_CAPACITY;
+        if (s.structureType === C.STRUCTURE_EXTENSION) s.store.energy = 50;
+    });
+};
+
+test('squad members move from queued over spawning to running in the task memory', () => {
+    const fixture = base({script: _.assign(place({name: 'squadIt', roomName: 'W2N1', x: 25, y: 25, color: C.COLOR_RED, secondaryColor: C.COLOR_ORANGE}),
+        {1002: spawnReady, 1020: spawnReady})});
+    fixture.rooms.W1N1.controller.level = 5;
+    const world = harness.world(fixture).tick(2);
+    let memory = world.taskMemory('squad', 'squadIt');
+    assert.deepStrictEqual(memory.queued, {
+        attacker: [{room: 'W1N1', name: 'squadAttacker-squadIt', index: 0}],
+        healer: [{room: 'W1N1', name: 'squadHealer-squadIt', index: 1}],
+    });
+    world.tick(4);
+    memory = world.taskMemory('squad', 'squadIt');
+    assert.deepStrictEqual(memory.queued.attacker, []);
+    assert.deepStrictEqual(_.map(memory.spawning.attacker, 'name'), ['squadAttacker-squadIt-1']);
+    world.tick(20);
+    memory = world.taskMemory('squad', 'squadIt');
+    assert.deepStrictEqual(memory.running, {attacker: ['squadAttacker-squadIt-1'], healer: []});
+    assert.deepStrictEqual(_.map(memory.spawning.healer, 'name'), ['squadHealer-squadIt-1']);
+    assert.strictEqual(memory.state, 'forming');
+    assert.deepStrictEqual(world.errors, []);
+});
+
+test('keeper mining queues a miner only once the keeper of its source is dead', () => {
+    const fixture = base();
+    fixture.rooms.W1N1.controller.level = 7;
+    const world = harness.world(fixture).tick();
+    const memory = Task.skMining.memory('W5N5');
+    _.assign(memory, {
+        spawnRoom: 'W1N1',
+        targets: [{id: 'source', lairId: 'lair'}],
+        lairs: {lair: {x: 20, y: 20, keeper: 'keeper', spawnAt: null}},
+    });
+    const flag = {name: 'skIt', pos: {roomName: 'W5N5'}};
+    Task.skMining.checkForRequiredCreeps(flag, memory);
+    assert.deepStrictEqual(memory.queued.miner, []);
+    _.assign(memory.lairs.lair, {keeper: null, spawnAt: Game.time + 300});
+    Task.skMining.checkForRequiredCreeps(flag, memory);
+    assert.strictEqual(memory.queued.miner.length, 1);
+    assert.strictEqual(memory.queued.miner[0].target, 'source');
+    assert.deepStrictEqual(world.errors, []);
+});
+
+// another room or the player removed a queued creep
+const dropQueued = name => world => {
+    const memory = JSON.parse(world.memory);
+    _.remove(memory.rooms.W1N1.spawnQueueMedium, {name});
+    world.memory = JSON.stringify(memory);
+};
+
+test('a squad queues members which never spawned again at its formation deadline and disbands after that', () => {
+    const fixture = base({
+        memory: {parameters: {TASK_CREEP_CHECK_INTERVAL: 1, SQUADS: {FORM_TIMEOUT: 5, FORM_RETRIES: 1}}},
+        script: _.assign(place({name: 'squadIt', roomName: 'W2N1', x: 25, y: 25, color: C.COLOR_RED, secondaryColor: C.COLOR_ORANGE}),
+            {1003: dropQueued('squadHealer-squadIt'), 1010: dropQueued('squadHealer-squadIt')}),
+    });
+    fixture.rooms.W1N1.controller.level = 5;
+    const world = harness.world(fixture).tick(2);
+    let memory = world.taskMemory('squad', 'squadIt');
+    assert.strictEqual(memory.formDeadline, 1006);
+    world.tick(6);
+    memory = world.taskMemory('squad', 'squadIt');
+    assert.deepStrictEqual(memory.queued.healer, [{room: 'W1N1', name: 'squadHealer-squadIt', index: 1}]);
+    assert.strictEqual(memory.requeued, 1);
+    assert.deepStrictEqual(_.map(world.spawnQueue('W1N1'), 'name'), ['squadAttacker-squadIt', 'squadHealer-squadIt']);
+    world.tick(6);
+    memory = world.taskMemory('squad', 'squadIt');
+    assert.strictEqual(memory.wave, 2);
+    assert.strictEqual(memory.state, 'forming');
+    assert.deepStrictEqual(_.map(world.spawnQueue('W1N1'), 'name'), ['squadAttacker-squadIt', 'squadHealer-squadIt']);
+    assert.deepStrictEqual(world.errors, []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const harness = require('./harness');
+const base = require('./fixtures/base');
+
+// hostiles show up once the room memory got synced, like in a running colony
+const invade = (creep, tick = 1001) => ({[tick]: world => world.rooms.W1N1.creeps.push(creep)});
+
+test('towers attack an invader', () => {
+    const world = harness.world(base({script: invade({id: 'invader', name: 'Invader1', owner: 'Invader', x: 28, y: 22, body: {attack: 2, move: 2}})})).tick(3);
+    const tower = world.rooms.W1N1.structures[2].id;
+    assert.deepStrictEqual(world.intentsOf(tower, 1000), []);
+    for (const tick of [1001, 1002]) {
+        const intents = world.intentsOf(tower, tick);
+        assert.strictEqual(intents.length, 1);
+        assert.strictEqual(intents[0].method, 'attack');
+        assert.strictEqual(intents[0].args[0].id, 'invader');
+    }
+    assert.deepStrictEqual(world.errors, []);
+});
+
+test('towers heal a wounded creep before attacking', () => {
+    const fixture = base({script: invade({id: 'invader', name: 'Invader1', owner: 'Invader', x: 28, y: 22, body: {attack: 2, move: 2}})});
+    fixture.rooms.W1N1.creeps.push({id: 'wounded', name: 'wounded', x: 26, y: 26, body: {tough: 5, work: 1, carry: 1, move: 1}, hits: 300});
+    const world = harness.world(fixture).tick(2);
+    const [intent] = world.intentsOf(world.rooms.W1N1.structures[2].id, 1001);
+    assert.strictEqual(intent.method, 'heal');
+    assert.strictEqual(intent.args[0].id, 'wounded');
+});
+
+// focused fire is opt in, the fixture's memory turns it on
+const focus = script => base({script, memory: {parameters: {TOWER_FOCUS: {ENABLED: true}}}});
+// boosted TOUGH soaks most of the tower damage and boosted HEAL restores more than is left
+const tank = {id: 'tank', name: 'Tank1', owner: 'Invader', x: 28, y: 22, body: {tough: 4, heal: 4, move: 4}, boosts: {tough: 'XGHO2', heal: 'XLHO2'}};
+
+test('focused towers hold fire against a hostile healing more than they deal', () => {
+    const world = harness.world(focus(invade(tank))).tick(2);
+    assert.deepStrictEqual(world.intentsOf(world.rooms.W1N1.structures[2].id, 1001), []);
+    assert.deepStrictEqual(world.errors, []);
+});
+
+test('focused towers shoot the hostile they can kill instead of the closest one', () => {
+    const invader = {id: 'invader', name: 'Invader1', owner: 'Invader', x: 20, y: 20, body: {attack: 2, move: 2}};
+    const world = harness.world(focus({1001: world => world.rooms.W1N1.creeps.push(tank, invader)})).tick(2);
+    const intents = world.intentsOf(world.rooms.W1N1.structures[2].id, 1001);
+    assert.strictEqual(intents.length, 1);
+    assert.strictEqual(intents[0].method, 'attack');
+    assert.strictEqual(intents[0].args[0].id, 'invader');
+});
@@ -8,35 +8,33 @@ mod.run = function(tower){
     if(tower) {
         const p = Util.startProfiling(tower.room.name + ':tower:' + tower.id, {enabled:PROFILING.ROOMS});
         // TODO: convert to action pattern
-        if( tower.room.casualties.length > 0) {
-            // Heal
-            var target = tower.room.casualties[0];
-            if(target.hitsMax - target.hits >= 400 || !tower.room.situation.invasion) {
-                tower.heal(target);
-                if( target.towers === undefined )
-                    target.towers = [];
-                target.towers.push(tower.id);
-                return;
-            }
-        }
-        p.checkCPU('casualties', 0.5);
-        if( tower.room.structures.urgentRepairable.length > 0 ) {
-            // urgent Repair
-            var target = tower.room.structures.urgentRepairable[0];
-            tower.repair(target);
+        const support = this.support(tower);
+        if( support ) {
+            // Heal or urgent Repair
+            var target = support.target;
+            if( support.heal ) tower.heal(target);
+            else tower.repair(target);
             if( target.towers === undefined )
                 target.towers = [];
             target.towers.push(tower.id);
+            p.checkCPU('support', 0.5);
             return;
         }
-        p.checkCPU('urgentRepairable', 0.5);
+        p.checkCPU('support', 0.5);
 
-        var closestHostile = tower.pos.findClosestByRange(tower.room.hostiles);
-        if(closestHostile) {
-            // Attack
-            tower.attack(closestHostile);
+        if( TOWER_FOCUS.ENABLED ) {
+            // Attack the target all towers focus on
+            var focusTarget = this.focusTarget(tower.room);
+            if(focusTarget) tower.attack(focusTarget);
+            p.checkCPU('focusTarget', 0.5);
+        } else {
+            var closestHostile = tower.pos.findClosestByRange(tower.room.hostiles);
+            if(closestHostile) {
+                // Attack
+                tower.attack(closestHostile);
+            }
+            p.checkCPU('closestHostile', 0.5);
         }
-        p.checkCPU('closestHostile', 0.5);
         /*
         else if( (tower.room.structures.repairable.length > 0) && (tower.energy > (tower.energyCapacity * 0.8)) ) {
             // Repair
@@ -52,3 +50,60 @@ mod.run = function(tower){
         */
     }
 };
+// the casualty to heal or structure to repair urgently before attacking, null if the tower is free to attack
+mod.support = function(tower){
+    const casualty = tower.room.casualties[0];
+    if( casualty && (casualty.hitsMax - casualty.hits >= 400 || !tower.room.situation.invasion) ) return {target: casualty, heal: true};
+    const repairable = tower.room.structures.urgentRepairable[0];
+    if( repairable ) return {target: repairable, heal: false};
+    return null;
+};
+// tower damage at a position, regarding range falloff
+mod.towerDamage = function(tower, pos){
+    const range = tower.pos.getRangeTo(pos);
+    if( range <= TOWER_OPTIMAL_RANGE ) return TOWER_POWER_ATTACK;
+    if( range >= TOWER_FALLOFF_RANGE ) return TOWER_POWER_ATTACK * (1 - TOWER_FALLOFF);
+    return TOWER_POWER_ATTACK * (1 - TOWER_FALLOFF * (range - TOWER_OPTIMAL_RANGE) / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE));
+};
+// hits a creep loses from raw damage. parts take damage in body order, boosted TOUGH parts reduce it
+mod.effectiveDamage = function(creep, damage){
+    let remaining = damage;
+    let dealt = 0;
+    for( const part of creep.body ) {
+        if( remaining <= 0 ) break;
+        if( part.hits === 0 ) continue;
+        const ratio = part.type === TOUGH && part.boost ? BOOSTS[TOUGH][part.boost].damage : 1;
+        const absorbed = Math.min(part.hits, remaining * ratio);
+        dealt += absorbed;
+        remaining -= absorbed / ratio;
+    }
+    return dealt + remaining;
+};
+// heal a creep can deliver to a target within one tick
+mod.healPower = function(healer, target){
+    const range = healer.pos.getRangeTo(target);
+    if( range > 3 ) return 0;
+    const power = range <= 1 ? HEAL_POWER : RANGED_HEAL_POWER;
+    return _.sum(healer.body, part => {
+        if( part.type !== HEAL || part.hits === 0 ) return 0;
+        return power * (part.boost ? BOOSTS[HEAL][part.boost].heal : 1);
+    });
+};
+// the hostile all towers should shoot: net damage after healing kills it fastest. null to hold fire
+mod.focusTarget = function(room){
+    if( _.isUndefined(room._towerFocusTarget) ) {
+        // towers busy healing or repairing don't add to the damage
+        const towers = room.structures.towers.filter(tower => tower.energy >= TOWER_ENERGY_COST && !this.support(tower));
+        let best = null;
+        room.hostiles.forEach(hostile => {
+            const damage = this.effectiveDamage(hostile, _.sum(towers, tower => this.towerDamage(tower, hostile.pos)));
+            const heal = _.sum(room.hostiles, healer => this.healPower(healer, hostile));
+            const net = damage - heal;
+            if( net <= 0 ) return;
+            const ticks = Math.ceil(hostile.hits / net);
+            if( ticks <= TOWER_FOCUS.MAX_KILL_TICKS && (!best || ticks < best.ticks) ) best = {hostile, ticks};
+        });
+        room._towerFocusTarget = best ? best.hostile : null;
+    }
+    return room._towerFocusTarget;
+};